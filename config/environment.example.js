@@ -60,41 +60,183 @@ module.exports = {
     contract: {
         initialPointsPerKgCO2: 10,
         streakBonusMultiplier: 5,
+        streakWindow: 86400, // 1 day (use 604800 for weekly streaks)
+        maxStreakBonus: 50,
+        streakMilestones: [7, 30, 100],
         referralBonus: 50,
+        refereeWelcomeBonus: 25,
+        maxReferralsPerReferrer: 50,
         initialRegistrationBonus: 100
     },
 
+    // Points Expiry (seconds, 0 = never expires), rounded up to whole days on-chain
+    pointsExpiry: {
+        defaultPeriod: 31536000, // 12 months
+        // Per points source: ACTIVITY, REGISTRATION, REFERRAL, BONUS
+        sources: {
+            REGISTRATION: 31536000,
+            REFERRAL: 31536000
+        }
+    },
+
     // Tier Configuration
-    tiers: {
-        bronze: {
-            maxPoints: 999,
+    tierDecay: {
+        qualifyingWindow: 31536000, // Rolling 12 months (0 = lifetime points)
+        gracePeriod: 2592000 // 30 days
+    },
+    // Ordered tier table; each tier ends one point below the next tier's minPoints and the last is open-ended.
+    // An optional badgeURI is off-chain artwork that replaces the tier badge's on-chain SVG.
+    tiers: [
+        {
+            name: "BRONZE",
+            minPoints: 0,
             multiplier: 100, // 1.0x
-            couponBonus: 0
+            couponBonus: 0,
+            hasPriorityAccess: false,
+            hasExclusiveProjects: false,
+            hasVipAccess: false
         },
-        silver: {
+        {
+            name: "SILVER",
             minPoints: 1000,
-            maxPoints: 4999,
             multiplier: 120, // 1.2x
-            couponBonus: 10
+            couponBonus: 10,
+            hasPriorityAccess: true,
+            hasExclusiveProjects: false,
+            hasVipAccess: false
         },
-        gold: {
+        {
+            name: "GOLD",
             minPoints: 5000,
-            maxPoints: 19999,
             multiplier: 150, // 1.5x
-            couponBonus: 20
+            couponBonus: 20,
+            hasPriorityAccess: true,
+            hasExclusiveProjects: true,
+            hasVipAccess: false
         },
-        platinum: {
+        {
+            name: "PLATINUM",
             minPoints: 20000,
-            maxPoints: 999999999,
             multiplier: 200, // 2.0x
-            couponBonus: 30
+            couponBonus: 30,
+            hasPriorityAccess: true,
+            hasExclusiveProjects: true,
+            hasVipAccess: true
         }
+    ],
+
+    // Offset certificates: members of this tier (by name, from the table above) and above may claim
+    // yearly statements
+    certificates: {
+        annualCertificateTier: "PLATINUM"
     },
 
     // Coupon Configuration
     coupons: {
         categories: ["FOOD", "SHOPPING", "TRAVEL", "ENTERTAINMENT", "EDUCATION"],
-        maxSupply: 10000
+        maxSupply: 10000,
+        priorityAccessWindow: 86400, // Priority tiers may buy 1 day before a coupon's start time
+        // Central coupons created at deployment; deposit is the vault inventory in cents
+        // (each purchase reserves its value plus tier bonus). terms is optional (see CouponTerms).
+        catalogue: [
+            {
+                name: "Starbucks $5 Gift Card",
+                description: "Enjoy a coffee on us! Valid at any Starbucks location.",
+                pointsCost: 500,
+                value: 500, // $5.00 in cents
+                category: "FOOD",
+                maxSupply: 1000,
+                deposit: 5000
+            },
+            {
+                name: "Amazon $10 Gift Card",
+                description: "Shop sustainably on Amazon with your GreenChain rewards.",
+                pointsCost: 1000,
+                value: 1000,
+                category: "SHOPPING",
+                maxSupply: 500,
+                deposit: 5000
+            },
+            {
+                name: "Uber $15 Ride Credit",
+                description: "Take a ride with Uber and reduce your carbon footprint.",
+                pointsCost: 1500,
+                value: 1500,
+                category: "TRAVEL",
+                maxSupply: 300,
+                deposit: 4500,
+                terms: { maxPerUser: 2, refundWindow: 604800 }
+            }
+        ]
+    },
+
+    // Achievement rules created at deployment; each unlocks a SPECIAL badge once per participant.
+    // ruleType: OFFSET_COUNT, CO2_TOTAL (optionally per activityType), ACTIVITIES_IN_WINDOW or TIER_REACHED
+    // (threshold is the tier level); window is in seconds.
+    achievements: [
+        {
+            name: "First Offset",
+            description: "Recorded a first carbon offset.",
+            ruleType: "OFFSET_COUNT",
+            threshold: 1,
+            bonusPoints: 50
+        },
+        {
+            name: "Green Commuter",
+            description: "Offset 100 kg of CO2 through transport.",
+            ruleType: "CO2_TOTAL",
+            activityType: "TRANSPORT",
+            threshold: 100,
+            bonusPoints: 100
+        },
+        {
+            name: "Busy Month",
+            description: "Recorded 10 offsets within 30 days.",
+            ruleType: "ACTIVITIES_IN_WINDOW",
+            threshold: 10,
+            window: 2592000 // 30 days
+        },
+        {
+            name: "Fast Track to Gold",
+            description: "Reached GOLD within 90 days of joining.",
+            ruleType: "TIER_REACHED",
+            threshold: 2, // GOLD
+            window: 7776000, // 90 days
+            bonusPoints: 250
+        }
+    ],
+
+    // Offset projects created at deployment. accessLevel: OPEN, PRIORITY, EXCLUSIVE or VIP (the matching
+    // tier flag is required); projectType is recorded as the offset activity type. openTime/closeTime are
+    // unix timestamps (0 = open now / no end).
+    projects: {
+        priorityAccessWindow: 86400, // Priority tiers may contribute 1 day before a project opens
+        vipAccessWindow: 259200, // VIP tiers 3 days before
+        pledgeDuration: 604800, // Unfunded pledges expire after 7 days and can then be cancelled by anyone
+        maxOpenPledges: 5, // Open pledges a wallet may hold at once (0 = no limit)
+        catalogue: [
+            {
+                name: "Borneo Rainforest Protection",
+                projectType: "FORESTRY",
+                location: "Central Kalimantan, Indonesia",
+                capacityKg: 500000,
+                accessLevel: "OPEN"
+            },
+            {
+                name: "Rajasthan Solar Park",
+                projectType: "RENEWABLE_ENERGY",
+                location: "Rajasthan, India",
+                capacityKg: 250000,
+                accessLevel: "PRIORITY"
+            },
+            {
+                name: "Kenya Clean Cookstoves",
+                projectType: "COOKSTOVES",
+                location: "Nairobi, Kenya",
+                capacityKg: 100000,
+                accessLevel: "EXCLUSIVE"
+            }
+        ]
     },
 
     // Security Configuration
@@ -0,0 +1,233 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./interfaces/IGreenChainSystem.sol";
+
+/**
+ * @title AchievementManager
+ * @dev Admin-defined achievement rules, checked by ParticipantRegistry after registrations and point awards.
+ * Each rule mints a SPECIAL badge at most once per participant and can award bonus points.
+ */
+contract AchievementManager is IAchievementManager, AccessControlUpgradeable, PausableUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant ACHIEVEMENT_ADMIN_ROLE = keccak256("ACHIEVEMENT_ADMIN_ROLE");
+    bytes32 public constant EVALUATOR_ROLE = keccak256("EVALUATOR_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Bounds the rule checks added to every registration and points award
+    uint256 public constant MAX_RULES = 50;
+    
+    // Rules by ID (IDs start at 1)
+    uint256 public ruleCount;
+    mapping(uint256 => AchievementRule) private _rules;
+    
+    // Achievement badge token IDs (ruleId => wallet => tokenId, 0 = not unlocked)
+    mapping(uint256 => mapping(address => uint256)) private _achievementBadges;
+    
+    // External contract addresses
+    address public participantRegistry;
+    address public badgeNFT;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _badgeNFT) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ACHIEVEMENT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
+        participantRegistry = _participantRegistry;
+        badgeNFT = _badgeNFT;
+    }
+    
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Define a new achievement (achievement admin only). Participants who already meet it
+     * unlock it on their next registration, offset or points award.
+     * @param rule Rule definition; isActive is ignored and the rule starts active
+     * @return New rule ID
+     */
+    function createRule(AchievementRule memory rule) external onlyRole(ACHIEVEMENT_ADMIN_ROLE) returns (uint256) {
+        require(ruleCount < MAX_RULES, "Too many rules");
+        require(bytes(rule.name).length > 0, "Name required");
+        require(rule.threshold > 0 || rule.ruleType == RuleType.TIER_REACHED, "Threshold required");
+        require(rule.window > 0 || rule.ruleType != RuleType.ACTIVITIES_IN_WINDOW, "Window required");
+        
+        rule.isActive = true;
+        ruleCount++;
+        _rules[ruleCount] = rule;
+        
+        emit AchievementRuleCreated(ruleCount, rule.name, rule.ruleType);
+        return ruleCount;
+    }
+    
+    /**
+     * @dev Enable or retire a rule (achievement admin only); badges already minted are kept
+     */
+    function setRuleActive(uint256 ruleId, bool isActive) external onlyRole(ACHIEVEMENT_ADMIN_ROLE) {
+        require(ruleId != 0 && ruleId <= ruleCount, "Rule does not exist");
+        _rules[ruleId].isActive = isActive;
+        emit AchievementRuleStatusChanged(ruleId, isActive);
+    }
+    
+    /**
+     * @dev Unlock every active rule the participant now meets (called by ParticipantRegistry).
+     * Does nothing while paused so registrations and point awards never fail because of achievements.
+     * Bonus points go through ParticipantRegistry, which checks again and may unlock tier achievements.
+     * @param wallet Participant address
+     */
+    function checkAchievements(address wallet) external override onlyRole(EVALUATOR_ROLE) {
+        if (paused()) {
+            return;
+        }
+        
+        IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(wallet);
+        if (!participant.isActive) {
+            return;
+        }
+        
+        uint256 totalBonus = 0;
+        for (uint256 ruleId = 1; ruleId <= ruleCount; ruleId++) {
+            AchievementRule storage rule = _rules[ruleId];
+            if (!rule.isActive || _achievementBadges[ruleId][wallet] != 0 || !_isMet(rule, participant)) {
+                continue;
+            }
+            
+            // Mark it unlocked before minting: the mint calls back into contract wallets, which could trigger another check
+            _achievementBadges[ruleId][wallet] = type(uint256).max;
+            uint256 badgeId = IBadgeNFT(badgeNFT).mintBadge(wallet, "SPECIAL", rule.name, rule.description, "");
+            _achievementBadges[ruleId][wallet] = badgeId;
+            totalBonus += rule.bonusPoints;
+            
+            emit AchievementUnlocked(ruleId, wallet, badgeId, rule.bonusPoints);
+        }
+        
+        if (totalBonus > 0) {
+            IParticipantRegistry(participantRegistry).updateParticipant(wallet, totalBonus, 0, "Achievement bonus");
+        }
+    }
+    
+    /**
+     * @dev Check a rule against the participant's registry record
+     */
+    function _isMet(
+        AchievementRule storage rule,
+        IParticipantRegistry.Participant memory participant
+    ) internal view returns (bool) {
+        if (rule.ruleType == RuleType.OFFSET_COUNT) {
+            return participant.activityCount >= rule.threshold;
+        }
+        
+        if (rule.ruleType == RuleType.CO2_TOTAL) {
+            if (bytes(rule.activityType).length == 0) {
+                return participant.totalCo2OffsetKg >= rule.threshold;
+            }
+            return IParticipantRegistry(participantRegistry).getCo2OffsetByActivityType(
+                participant.wallet,
+                rule.activityType
+            ) >= rule.threshold;
+        }
+        
+        if (rule.ruleType == RuleType.ACTIVITIES_IN_WINDOW) {
+            if (participant.activityCount < rule.threshold) {
+                return false;
+            }
+            // The threshold-th most recent offset must fall inside the window
+            IParticipantRegistry.ActivityRecord[] memory records = IParticipantRegistry(participantRegistry).getActivityHistory(
+                participant.wallet,
+                participant.activityCount - rule.threshold,
+                1
+            );
+            return records[0].timestamp + rule.window > block.timestamp;
+        }
+        
+        // TIER_REACHED
+        return participant.currentTier >= rule.threshold &&
+            (rule.window == 0 || block.timestamp <= participant.joinDate + rule.window);
+    }
+    
+    /**
+     * @dev Get a rule
+     */
+    function getRule(uint256 ruleId) external view returns (AchievementRule memory) {
+        require(ruleId != 0 && ruleId <= ruleCount, "Rule does not exist");
+        return _rules[ruleId];
+    }
+    
+    /**
+     * @dev Check if a participant has unlocked an achievement
+     */
+    function hasAchievement(uint256 ruleId, address wallet) external view override returns (bool) {
+        return _achievementBadges[ruleId][wallet] != 0;
+    }
+    
+    /**
+     * @dev Get the badge token ID minted for an achievement (0 if not unlocked)
+     */
+    function getAchievementBadge(uint256 ruleId, address wallet) external view returns (uint256) {
+        return _achievementBadges[ruleId][wallet];
+    }
+    
+    /**
+     * @dev Get the IDs of the rules a participant has unlocked
+     */
+    function getAchievements(address wallet) external view returns (uint256[] memory ruleIds) {
+        uint256 count = 0;
+        for (uint256 ruleId = 1; ruleId <= ruleCount; ruleId++) {
+            if (_achievementBadges[ruleId][wallet] != 0) {
+                count++;
+            }
+        }
+        
+        ruleIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 ruleId = 1; ruleId <= ruleCount; ruleId++) {
+            if (_achievementBadges[ruleId][wallet] != 0) {
+                ruleIds[index++] = ruleId;
+            }
+        }
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
+     */
+    function updateContractAddresses(address _participantRegistry, address _badgeNFT) external onlyRole(CONFIG_ADMIN_ROLE) {
+        participantRegistry = _participantRegistry;
+        badgeNFT = _badgeNFT;
+    }
+    
+    /**
+     * @dev Pause contract (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause contract (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+}
@@ -1,17 +1,40 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/interfaces/IERC4906.sol";
 import "./interfaces/IGreenChainSystem.sol";
+import "./interfaces/IERC5192.sol";
 
 /**
  * @title BadgeNFT
- * @dev ERC-721 token for GreenChain achievement badges and tier-based NFTs
+ * @dev Soulbound (ERC-5192) ERC-721 token for GreenChain achievement badges and tier-based NFTs.
+ * Each participant holds a single tier badge that is upgraded in place as their tier changes.
+ * Metadata is rendered on-chain; a badge's imageURI (the tier's badgeURI for tier badges) replaces the
+ * generated SVG artwork when set.
  */
-contract BadgeNFT is IBadgeNFT, ERC721, ERC721URIStorage, Ownable, Pausable {
+contract BadgeNFT is IBadgeNFT, IERC5192, IERC4906, ERC721Upgradeable, AccessControlUpgradeable, PausableUpgradeable, UUPSUpgradeable {
+    // Roles
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // ERC-165 ID of ERC-4906 (metadata update events)
+    bytes4 private constant ERC4906_INTERFACE_ID = bytes4(0x49064906);
+    
+    // Holder data shown in the token metadata
+    struct HolderStats {
+        string tierName;
+        uint256 co2OffsetKg;
+        uint256 points;
+    }
+    
     uint256 private _tokenIds;
     mapping(uint256 => Badge) private _badges;
     mapping(address => uint256[]) private _userBadges;
@@ -19,31 +42,50 @@ contract BadgeNFT is IBadgeNFT, ERC721, ERC721URIStorage, Ownable, Pausable {
     address public participantRegistry;
     address public tierManager;
     
-    modifier onlyAuthorized() {
-        require(
-            msg.sender == owner() || 
-            msg.sender == participantRegistry || 
-            msg.sender == tierManager,
-            "Not authorized"
-        );
-        _;
+    // Tier badge token ID per holder (0 = none yet)
+    mapping(address => uint256) private _tierBadges;
+    
+    // Unused since tokenURI is rendered on-chain instead of stored by ERC721URIStorage; kept for the storage layout
+    /// @custom:storage-location erc7201:openzeppelin.storage.ERC721URIStorage
+    struct ERC721URIStorageStorage {
+        mapping(uint256 tokenId => string) _tokenURIs;
+    }
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
     
-    constructor(address _participantRegistry, address _tierManager) 
-        ERC721("GreenChain Badges", "GCB")
-        Ownable(msg.sender)
-    {
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _tierManager) external initializer {
+        __ERC721_init("GreenChain Badges", "GCB");
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         participantRegistry = _participantRegistry;
         tierManager = _tierManager;
     }
     
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
     function mintBadge(
         address to,
         string memory badgeType,
         string memory name,
         string memory description,
         string memory imageURI
-    ) external override onlyAuthorized whenNotPaused returns (uint256) {
+    ) public override onlyRole(MINTER_ROLE) whenNotPaused returns (uint256) {
         require(to != address(0), "Cannot mint to zero address");
         
         _tokenIds++;
@@ -65,18 +107,60 @@ contract BadgeNFT is IBadgeNFT, ERC721, ERC721URIStorage, Ownable, Pausable {
         
         _safeMint(to, newTokenId);
         
-        string memory badgeTokenURI = string(abi.encodePacked(
-            "data:application/json;base64,",
-            _base64Encode(bytes(string(abi.encodePacked(
-                '{"name":"', name, '","description":"', description, '","image":"', imageURI, '"}'
-            ))))
-        ));
-        _setTokenURI(newTokenId, badgeTokenURI);
-        
+        emit Locked(newTokenId);
         emit BadgeMinted(to, newTokenId, badgeType);
         return newTokenId;
     }
     
+    /**
+     * @dev Issue the holder's tier badge, named after the tier, or upgrade their existing one in place (minter only)
+     * @param to Recipient address
+     * @param tierName Tier name, used as the badge type
+     * @param imageURI Off-chain artwork replacing the generated SVG (empty for the on-chain artwork)
+     * @return Tier badge token ID
+     */
+    function mintTierBadge(
+        address to,
+        string memory tierName,
+        string memory imageURI
+    ) external override returns (uint256) {
+        string memory name = string(abi.encodePacked("GreenChain ", tierName, " Member"));
+        string memory description = string(abi.encodePacked("Congratulations! You've reached ", tierName, " tier."));
+        
+        uint256 tokenId = _tierBadges[to];
+        if (tokenId != 0) {
+            updateBadge(tokenId, tierName, name, description, imageURI);
+            return tokenId;
+        }
+        
+        tokenId = mintBadge(to, tierName, name, description, imageURI);
+        _tierBadges[to] = tokenId;
+        return tokenId;
+    }
+    
+    /**
+     * @dev Mint a SPECIAL streak milestone badge (minter only)
+     * @param to Recipient address
+     * @param streak Streak length reached
+     * @param streakWindow Length of one streak window, used to label the streak
+     */
+    function mintStreakBadge(
+        address to,
+        uint256 streak,
+        uint256 streakWindow
+    ) external override returns (uint256) {
+        string memory unit = streakWindow == 1 days ? "Day" : (streakWindow == 7 days ? "Week" : "Period");
+        string memory streakLabel = string(abi.encodePacked(Strings.toString(streak), "-", unit, " Streak"));
+        
+        return mintBadge(
+            to,
+            "SPECIAL",
+            string(abi.encodePacked("GreenChain ", streakLabel)),
+            string(abi.encodePacked("Recorded carbon offsets for a ", streakLabel, ".")),
+            ""
+        );
+    }
+    
     function getBadge(uint256 tokenId) external view override returns (Badge memory) {
         require(ownerOf(tokenId) != address(0), "Badge does not exist");
         return _badges[tokenId];
@@ -96,79 +180,277 @@ contract BadgeNFT is IBadgeNFT, ERC721, ERC721URIStorage, Ownable, Pausable {
         return _userBadges[user];
     }
     
-    function updateBadge(uint256 tokenId, string memory badgeType) external override onlyAuthorized {
+    /**
+     * @dev Get a holder's tier badge
+     * @return Tier badge token ID, 0 if none was issued
+     */
+    function getTierBadge(address holder) external view override returns (uint256) {
+        return _tierBadges[holder];
+    }
+    
+    /**
+     * @dev Update a badge in place and refresh its token metadata (minter only)
+     * @param tokenId Badge token ID
+     * @param badgeType New badge type
+     * @param name New badge name
+     * @param description New badge description
+     * @param imageURI New off-chain artwork replacing the generated SVG (empty for the on-chain artwork)
+     */
+    function updateBadge(
+        uint256 tokenId,
+        string memory badgeType,
+        string memory name,
+        string memory description,
+        string memory imageURI
+    ) public override onlyRole(MINTER_ROLE) whenNotPaused {
         require(ownerOf(tokenId) != address(0), "Badge does not exist");
-        _badges[tokenId].badgeType = badgeType;
+        
+        Badge storage badge = _badges[tokenId];
+        badge.badgeType = badgeType;
+        badge.name = name;
+        badge.description = description;
+        badge.imageURI = imageURI;
+        badge.earnedDate = block.timestamp;
+        
+        emit MetadataUpdate(tokenId);
         emit BadgeUpdated(tokenId, badgeType);
     }
     
-    function burnBadge(uint256 tokenId) external override onlyAuthorized {
+    /**
+     * @dev Activate or deactivate a badge (e.g., a revoked achievement)
+     * @param tokenId Badge token ID
+     * @param isActive New badge status
+     */
+    function setBadgeActive(uint256 tokenId, bool isActive) external override onlyRole(MINTER_ROLE) {
+        require(ownerOf(tokenId) != address(0), "Badge does not exist");
+        _badges[tokenId].isActive = isActive;
+        emit MetadataUpdate(tokenId);
+        emit BadgeStatusChanged(tokenId, isActive);
+    }
+    
+    /**
+     * @dev Signal (ERC-4906) that a holder's badge metadata changed with their stats (minter only)
+     * @param holder Badge holder whose points or CO2 offset changed
+     */
+    function refreshMetadata(address holder) external override onlyRole(MINTER_ROLE) {
+        uint256[] storage userBadges = _userBadges[holder];
+        for (uint256 i = 0; i < userBadges.length; i++) {
+            emit MetadataUpdate(userBadges[i]);
+        }
+    }
+    
+    /**
+     * @dev Burn a badge (admin only)
+     */
+    function burnBadge(uint256 tokenId) external override onlyRole(DEFAULT_ADMIN_ROLE) {
         require(ownerOf(tokenId) != address(0), "Badge does not exist");
         address badgeOwner = _badges[tokenId].owner;
         
-        // Remove from user badges
-        uint256[] storage userBadges = _userBadges[badgeOwner];
-        for (uint256 i = 0; i < userBadges.length; i++) {
-            if (userBadges[i] == tokenId) {
-                userBadges[i] = userBadges[userBadges.length - 1];
-                userBadges.pop();
-                break;
-            }
+        _removeUserBadge(badgeOwner, tokenId);
+        if (_tierBadges[badgeOwner] == tokenId) {
+            delete _tierBadges[badgeOwner];
         }
         
         delete _badges[tokenId];
         _update(address(0), tokenId, address(0));
     }
     
-    function updateContractAddresses(address _participantRegistry, address _tierManager) external onlyOwner {
+    /**
+     * @dev Move a badge to a participant's new wallet, e.g. after a lost key (admin only)
+     * @param tokenId Badge token ID
+     * @param to New holder address
+     */
+    function recoverBadge(uint256 tokenId, address to) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(to != address(0), "Cannot recover to zero address");
+        address from = ownerOf(tokenId);
+        require(from != to, "Already held by recipient");
+        
+        if (_tierBadges[from] == tokenId) {
+            require(_tierBadges[to] == 0, "Recipient has a tier badge");
+            delete _tierBadges[from];
+            _tierBadges[to] = tokenId;
+        }
+        
+        _removeUserBadge(from, tokenId);
+        _userBadges[to].push(tokenId);
+        _badges[tokenId].owner = to;
+        _update(to, tokenId, address(0));
+        
+        emit BadgeRecovered(tokenId, from, to);
+    }
+    
+    /**
+     * @dev ERC-5192: every badge is locked to its holder
+     */
+    function locked(uint256 tokenId) external view override returns (bool) {
+        require(ownerOf(tokenId) != address(0), "Badge does not exist");
+        return true;
+    }
+    
+    function updateContractAddresses(address _participantRegistry, address _tierManager) external onlyRole(CONFIG_ADMIN_ROLE) {
         participantRegistry = _participantRegistry;
         tierManager = _tierManager;
     }
     
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
-    function _base64Encode(bytes memory data) internal pure returns (string memory) {
-        string memory table = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
-        uint256 len = data.length;
-        if (len == 0) return "";
-        
-        uint256 encodedLen = 4 * ((len + 2) / 3);
-        bytes memory result = new bytes(encodedLen);
-        
-        uint256 i = 0;
-        uint256 j = 0;
-        
-        while (i < len) {
-            uint256 a = i < len ? uint8(data[i++]) : 0;
-            uint256 b = i < len ? uint8(data[i++]) : 0;
-            uint256 c = i < len ? uint8(data[i++]) : 0;
-            
-            uint256 triple = (a << 16) + (b << 8) + c;
-            
-            result[j++] = bytes1(bytes(table)[triple >> 18 & 0x3F]);
-            result[j++] = bytes1(bytes(table)[triple >> 12 & 0x3F]);
-            result[j++] = bytes1(bytes(table)[triple >> 6 & 0x3F]);
-            result[j++] = bytes1(bytes(table)[triple & 0x3F]);
+    /**
+     * @dev Badges are soulbound: they are only moved by minting, burning and admin recovery,
+     * which call _update without an authorized spender
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        require(from == address(0) || to == address(0) || auth == address(0), "Badge is soulbound");
+        return super._update(to, tokenId, auth);
+    }
+    
+    /**
+     * @dev Remove a badge from a holder's badge list
+     */
+    function _removeUserBadge(address holder, uint256 tokenId) internal {
+        uint256[] storage userBadges = _userBadges[holder];
+        for (uint256 i = 0; i < userBadges.length; i++) {
+            if (userBadges[i] == tokenId) {
+                userBadges[i] = userBadges[userBadges.length - 1];
+                userBadges.pop();
+                break;
+            }
+        }
+    }
+    
+    /**
+     * @dev Holder stats shown in the badge metadata
+     */
+    function _holderStats(address holder) internal view returns (HolderStats memory stats) {
+        stats.tierName = "UNREGISTERED";
+        if (participantRegistry.code.length == 0) {
+            return stats;
         }
         
-        while (j > 0 && result[j - 1] == "=") {
-            j--;
+        IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(holder);
+        if (participant.isActive) {
+            stats.tierName = ITierManager(tierManager).getTierName(participant.currentTier);
+            stats.co2OffsetKg = participant.totalCo2OffsetKg;
+            stats.points = participant.totalPoints;
         }
+    }
+    
+    /**
+     * @dev SVG artwork: a medal in the badge type's color with the badge name and the holder's lifetime CO2
+     */
+    function _renderSVG(Badge storage badge, HolderStats memory stats) internal view returns (string memory) {
+        string memory medal = string.concat(
+            '<circle cx="175" cy="140" r="82" fill="', badge.isActive ? _badgeColor(badge.badgeType) : "#9CA3AF",
+            '" stroke="#F0FDF4" stroke-width="6"/>',
+            '<text x="175" y="150" text-anchor="middle" font-family="sans-serif" font-size="26" font-weight="bold" fill="#0B3D2E">',
+            _escapeXML(badge.badgeType),
+            "</text>"
+        );
+        string memory caption = string.concat(
+            '<text x="175" y="265" text-anchor="middle" font-family="sans-serif" font-size="18" fill="#F0FDF4">',
+            _escapeXML(badge.name),
+            '</text><text x="175" y="300" text-anchor="middle" font-family="sans-serif" font-size="14" fill="#A7F3D0">',
+            Strings.toString(stats.co2OffsetKg),
+            " kg CO2 offset</text>"
+        );
         
-        return string(result);
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350"><rect width="350" height="350" rx="24" fill="#0B3D2E"/>',
+            medal,
+            caption,
+            "</svg>"
+        );
+    }
+    
+    /**
+     * @dev OpenSea-style attributes: badge type, status, earned date and the holder's current tier and lifetime stats
+     */
+    function _renderAttributes(Badge storage badge, HolderStats memory stats) internal view returns (string memory) {
+        string memory badgeTraits = string.concat(
+            '[{"trait_type":"Badge Type","value":"', Strings.escapeJSON(badge.badgeType),
+            '"},{"trait_type":"Status","value":"', badge.isActive ? "Active" : "Inactive",
+            '"},{"display_type":"date","trait_type":"Earned","value":', Strings.toString(badge.earnedDate)
+        );
+        string memory holderTraits = string.concat(
+            '},{"trait_type":"Tier","value":"', Strings.escapeJSON(stats.tierName),
+            '"},{"display_type":"number","trait_type":"Lifetime CO2 Offset (kg)","value":', Strings.toString(stats.co2OffsetKg),
+            '},{"display_type":"number","trait_type":"Lifetime Points","value":', Strings.toString(stats.points),
+            "}]"
+        );
+        return string.concat(badgeTraits, holderTraits);
+    }
+    
+    /**
+     * @dev Medal color for a badge type (tiers added later get the default green)
+     */
+    function _badgeColor(string memory badgeType) internal pure returns (string memory) {
+        bytes32 typeHash = keccak256(bytes(badgeType));
+        if (typeHash == keccak256("BRONZE")) return "#CD7F32";
+        if (typeHash == keccak256("SILVER")) return "#C0C0C0";
+        if (typeHash == keccak256("GOLD")) return "#FFD700";
+        if (typeHash == keccak256("PLATINUM")) return "#E5E4E2";
+        if (typeHash == keccak256("SPECIAL")) return "#F472B6";
+        if (typeHash == keccak256("SEASON")) return "#60A5FA";
+        return "#34D399";
     }
     
-    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
-        return super.tokenURI(tokenId);
+    /**
+     * @dev Escape the characters that are special in SVG text
+     */
+    function _escapeXML(string memory input) internal pure returns (string memory) {
+        bytes memory data = bytes(input);
+        bytes memory output;
+        for (uint256 i = 0; i < data.length; i++) {
+            bytes1 char = data[i];
+            if (char == "&") {
+                output = abi.encodePacked(output, "&amp;");
+            } else if (char == "<") {
+                output = abi.encodePacked(output, "&lt;");
+            } else if (char == ">") {
+                output = abi.encodePacked(output, "&gt;");
+            } else if (char == '"') {
+                output = abi.encodePacked(output, "&quot;");
+            } else if (char == "'") {
+                output = abi.encodePacked(output, "&apos;");
+            } else {
+                output = abi.encodePacked(output, char);
+            }
+        }
+        return string(output);
+    }
+    
+    /**
+     * @dev Token metadata rendered on-chain on every read: SVG artwork for the badge type (or the badge's
+     * imageURI when set) and attributes with the holder's current tier and lifetime stats, so it follows the
+     * holder without re-minting
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        Badge storage badge = _badges[tokenId];
+        HolderStats memory stats = _holderStats(badge.owner);
+        
+        string memory image = bytes(badge.imageURI).length > 0
+            ? Strings.escapeJSON(badge.imageURI)
+            : string.concat("data:image/svg+xml;base64,", Base64.encode(bytes(_renderSVG(badge, stats))));
+        string memory json = string.concat(
+            '{"name":"', Strings.escapeJSON(badge.name),
+            '","description":"', Strings.escapeJSON(badge.description),
+            '","image":"', image,
+            '","attributes":', _renderAttributes(badge, stats),
+            "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
     }
     
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage) returns (bool) {
-        return super.supportsInterface(interfaceId);
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721Upgradeable, AccessControlUpgradeable, IERC165) returns (bool) {
+        return interfaceId == type(IERC5192).interfaceId ||
+            interfaceId == ERC4906_INTERFACE_ID ||
+            super.supportsInterface(interfaceId);
     }
 } 
\ No newline at end of file
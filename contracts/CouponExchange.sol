@@ -1,16 +1,41 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/MulticallUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "./interfaces/IGreenChainSystem.sol";
 
 /**
  * @title CouponExchange
  * @dev Manages coupon creation, purchase, and redemption using GreenChain points
  */
-contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
+contract CouponExchange is ICouponExchange, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, MulticallUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant COUPON_ADMIN_ROLE = keccak256("COUPON_ADMIN_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    // Reward partner account
+    struct Merchant {
+        string name;
+        string[] categories; // Categories the merchant may list and confirm
+        bool isActive;
+        uint256 registeredAt;
+    }
+    
+    // Per-merchant settlement totals
+    struct MerchantSettlement {
+        uint256 couponsListed;
+        uint256 couponsSold; // Purchases of the merchant's coupons (excluding cancellations)
+        uint256 redeemedCount; // Redemptions confirmed by the merchant at the till
+        uint256 redeemedValue; // Value of confirmed redemptions (incl. tier bonus)
+        uint256 outstandingLiability; // Value of sold merchant coupons not yet confirmed
+    }
+    
     uint256 private _couponIds;
     uint256 private _userCouponIdCounter;
     
@@ -18,36 +43,89 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
     mapping(uint256 => UserCoupon) private _userCoupons;
     mapping(address => uint256[]) private _userCouponIds;
     mapping(uint256 => uint256[]) private _couponUserCoupons;
+    mapping(uint256 => CouponTerms) private _couponTerms;
+    mapping(uint256 => mapping(address => uint256)) private _userPurchaseCounts;
+    
+    // How long before a coupon's start time tiers with priority access may buy it
+    uint256 public priorityAccessWindow;
+    
+    // Merchant registry
+    mapping(address => Merchant) private _merchants;
+    mapping(address => mapping(bytes32 => bool)) private _merchantCategories;
+    mapping(address => MerchantSettlement) private _settlements;
+    mapping(address => uint256[]) private _merchantCoupons;
+    address[] private _merchantList;
     
     address public pointsToken;
     address public participantRegistry;
     address public tierManager;
     address public rewardsVault;
     
-    modifier onlyAuthorized() {
+    // Points spend behind each user coupon, refunded if the coupon is cancelled
+    mapping(uint256 => uint256) private _pointsSpendIds;
+    
+    event MerchantRegistered(address indexed merchant, string name, string[] categories);
+    event MerchantUpdated(address indexed merchant, bool isActive);
+    event MerchantCategoriesUpdated(address indexed merchant, string[] categories);
+    event CouponStocked(address indexed merchant, uint256 couponId, uint256 amount);
+    event PriorityAccessWindowUpdated(uint256 window);
+    
+    modifier onlyMerchant() {
+        require(isMerchant(msg.sender), "Not a merchant");
+        _;
+    }
+    
+    modifier onlyCouponManager(uint256 couponId) {
+        require(_coupons[couponId].couponId != 0, "Coupon does not exist");
         require(
-            msg.sender == owner() || 
-            msg.sender == participantRegistry || 
-            msg.sender == tierManager,
+            hasRole(COUPON_ADMIN_ROLE, msg.sender) || 
+            (msg.sender == _coupons[couponId].merchant && isMerchant(msg.sender)),
             "Not authorized"
         );
         _;
     }
     
-    constructor(
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(
         address _pointsToken,
         address _participantRegistry,
         address _tierManager,
         address _rewardsVault
-    ) 
-        Ownable(msg.sender)
-    {
+    ) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __Multicall_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(COUPON_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         pointsToken = _pointsToken;
         participantRegistry = _participantRegistry;
         tierManager = _tierManager;
         rewardsVault = _rewardsVault;
+        priorityAccessWindow = 1 days;
     }
     
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Create a coupon (coupon admin, or an active merchant within its allowed categories)
+     */
     function createCoupon(
         string memory name,
         string memory description,
@@ -55,7 +133,14 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         uint256 value,
         string memory category,
         uint256 maxSupply
-    ) external override onlyOwner returns (uint256) {
+    ) external override returns (uint256) {
+        address merchant = address(0);
+        if (!hasRole(COUPON_ADMIN_ROLE, msg.sender)) {
+            require(isMerchant(msg.sender), "Not authorized");
+            require(isMerchantCategory(msg.sender, category), "Category not allowed");
+            merchant = msg.sender;
+        }
+        
         require(bytes(name).length > 0, "Name required");
         require(pointsCost > 0, "Points cost must be greater than 0");
         require(value > 0, "Value must be greater than 0");
@@ -73,9 +158,15 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
             category: category,
             isActive: true,
             maxSupply: maxSupply,
-            currentSupply: 0
+            currentSupply: 0,
+            merchant: merchant
         });
         
+        if (merchant != address(0)) {
+            _merchantCoupons[merchant].push(couponId);
+            _settlements[merchant].couponsListed++;
+        }
+        
         emit CouponCreated(couponId, name, pointsCost, value);
         return couponId;
     }
@@ -90,21 +181,26 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         // Check if user is registered
         require(IParticipantRegistry(participantRegistry).isRegistered(msg.sender), "Not registered");
         
-        // Get user's tier for bonus calculation
+        // Get user's tier for eligibility and bonus calculation
         IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(msg.sender);
-        ITierManager.Tier userTier = ITierManager.Tier(participant.currentTier);
-        uint256 tierBonus = ITierManager(tierManager).getTierCouponBonus(userTier);
+        _checkPurchaseTerms(couponId, msg.sender, participant.currentTier);
+        
+        uint256 tierBonus = ITierManager(tierManager).getTierCouponBonus(participant.currentTier);
         
         // Apply tier bonus to coupon value
         uint256 bonusValue = (coupon.value * tierBonus) / 100;
         uint256 totalValue = coupon.value + bonusValue;
         
-        // Burn points from user
-        IPointsToken(pointsToken).burn(msg.sender, pointsCost, string(abi.encodePacked("Purchased coupon: ", coupon.name)));
+        // Hold the reward in the vault until the coupon is redeemed or cancelled
+        IRewardsVault(rewardsVault).reserveInventory(couponId, totalValue);
+        
+        // Burn points from user as a refundable spend
+        uint256 spendId = IPointsToken(pointsToken).spend(msg.sender, pointsCost, string(abi.encodePacked("Purchased coupon: ", coupon.name)));
         
         // Create user coupon
         _userCouponIdCounter++;
         uint256 userCouponId = _userCouponIdCounter;
+        _pointsSpendIds[userCouponId] = spendId;
         
         _userCoupons[userCouponId] = UserCoupon({
             couponId: couponId,
@@ -112,34 +208,140 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
             purchaseDate: block.timestamp,
             isRedeemed: false,
             redemptionDate: 0,
-            redemptionCode: ""
+            redemptionCodeHash: bytes32(0),
+            isConsumed: false,
+            reservedValue: totalValue,
+            pointsSpent: pointsCost,
+            isCancelled: false
         });
         
         _userCouponIds[msg.sender].push(userCouponId);
         _couponUserCoupons[couponId].push(userCouponId);
+        _userPurchaseCounts[couponId][msg.sender]++;
         
         // Update coupon supply
         coupon.currentSupply++;
         
+        if (coupon.merchant != address(0)) {
+            _settlements[coupon.merchant].couponsSold++;
+            _settlements[coupon.merchant].outstandingLiability += totalValue;
+        }
+        
         emit CouponPurchased(msg.sender, couponId, pointsCost);
         return userCouponId;
     }
     
-    function redeemCoupon(uint256 userCouponId) external override whenNotPaused nonReentrant returns (string memory) {
+    /**
+     * @dev Redeem a coupon by committing to a redemption code only the owner knows
+     * @param userCouponId User coupon ID
+     * @param redemptionCodeHash hashRedemptionCode(userCouponId, code) for an off-chain code
+     *        (e.g., the owner's signature over the user coupon ID)
+     */
+    function redeemCoupon(uint256 userCouponId, bytes32 redemptionCodeHash) external override whenNotPaused nonReentrant {
         require(_userCoupons[userCouponId].couponId != 0, "User coupon does not exist");
         require(_userCoupons[userCouponId].owner == msg.sender, "Not coupon owner");
         require(!_userCoupons[userCouponId].isRedeemed, "Coupon already redeemed");
+        require(!_userCoupons[userCouponId].isCancelled, "Coupon cancelled");
+        require(redemptionCodeHash != bytes32(0), "Redemption code hash required");
         
         UserCoupon storage userCoupon = _userCoupons[userCouponId];
+        uint256 endTime = _couponTerms[userCoupon.couponId].endTime;
+        require(endTime == 0 || block.timestamp <= endTime, "Coupon expired");
+        
         userCoupon.isRedeemed = true;
         userCoupon.redemptionDate = block.timestamp;
+        userCoupon.redemptionCodeHash = redemptionCodeHash;
+        
+        // Pay out the reserved reward
+        IRewardsVault(rewardsVault).consumeInventory(userCoupon.couponId, userCoupon.reservedValue);
+        
+        emit CouponRedeemed(msg.sender, userCoupon.couponId, redemptionCodeHash);
+    }
+    
+    /**
+     * @dev Confirm a redeemed coupon at the till (merchants only)
+     * @dev Merchant coupons can only be confirmed by their merchant; central coupons by any
+     *      merchant allowed for the coupon's category
+     * @param userCouponId User coupon ID
+     * @param redemptionCode Plaintext code presented by the coupon owner
+     */
+    function consumeRedemption(uint256 userCouponId, string memory redemptionCode) external onlyMerchant whenNotPaused {
+        require(_isValidRedemption(userCouponId, redemptionCode), "Invalid redemption code");
+        
+        UserCoupon storage userCoupon = _userCoupons[userCouponId];
+        Coupon storage coupon = _coupons[userCoupon.couponId];
+        
+        if (coupon.merchant != address(0)) {
+            require(coupon.merchant == msg.sender, "Not coupon merchant");
+            _settlements[msg.sender].outstandingLiability -= userCoupon.reservedValue;
+        } else {
+            require(isMerchantCategory(msg.sender, coupon.category), "Category not allowed");
+        }
+        
+        userCoupon.isConsumed = true;
+        _settlements[msg.sender].redeemedCount++;
+        _settlements[msg.sender].redeemedValue += userCoupon.reservedValue;
+        
+        emit RedemptionConsumed(userCouponId, msg.sender);
+    }
+    
+    /**
+     * @dev Cancel an unredeemed user coupon, refund its points with their original expiry and release its reserved vault inventory
+     * @dev The coupon owner may cancel within the coupon's refund window; a coupon admin at any time
+     * @param userCouponId User coupon ID
+     */
+    function cancelCoupon(uint256 userCouponId) external whenNotPaused nonReentrant {
+        require(_userCoupons[userCouponId].couponId != 0, "User coupon does not exist");
+        require(!_userCoupons[userCouponId].isRedeemed, "Coupon already redeemed");
+        require(!_userCoupons[userCouponId].isCancelled, "Coupon cancelled");
+        
+        UserCoupon storage userCoupon = _userCoupons[userCouponId];
+        uint256 couponId = userCoupon.couponId;
+        
+        if (!hasRole(COUPON_ADMIN_ROLE, msg.sender)) {
+            require(userCoupon.owner == msg.sender, "Not coupon owner");
+            require(
+                block.timestamp <= userCoupon.purchaseDate + _couponTerms[couponId].refundWindow,
+                "Refund window closed"
+            );
+        }
+        
+        userCoupon.isCancelled = true;
+        _coupons[couponId].currentSupply--;
+        _userPurchaseCounts[couponId][userCoupon.owner]--;
+        
+        address merchant = _coupons[couponId].merchant;
+        if (merchant != address(0)) {
+            _settlements[merchant].couponsSold--;
+            _settlements[merchant].outstandingLiability -= userCoupon.reservedValue;
+        }
+        
+        IRewardsVault(rewardsVault).releaseInventory(couponId, userCoupon.reservedValue);
+        IPointsToken(pointsToken).refund(_pointsSpendIds[userCouponId], "Coupon refund");
+        
+        emit CouponCancelled(userCoupon.owner, couponId, userCouponId, userCoupon.pointsSpent);
+    }
+    
+    /**
+     * @dev Set sale window, purchase limit, tier gating and refund window for a coupon
+     * @param couponId Coupon ID
+     * @param terms Coupon terms
+     */
+    function setCouponTerms(uint256 couponId, CouponTerms memory terms) external onlyCouponManager(couponId) {
+        require(terms.endTime == 0 || terms.endTime > terms.startTime, "Invalid validity window");
+        require(terms.minTier < ITierManager(tierManager).getTierCount(), "Invalid tier");
         
-        // Generate redemption code
-        string memory redemptionCode = _generateRedemptionCode(userCouponId);
-        userCoupon.redemptionCode = redemptionCode;
+        _couponTerms[couponId] = terms;
         
-        emit CouponRedeemed(msg.sender, userCoupon.couponId, redemptionCode);
-        return redemptionCode;
+        emit CouponTermsUpdated(couponId, terms);
+    }
+    
+    function getCouponTerms(uint256 couponId) external view returns (CouponTerms memory) {
+        return _couponTerms[couponId];
+    }
+    
+    function getUserPurchaseCount(uint256 couponId, address user) external view returns (uint256) {
+        return _userPurchaseCounts[couponId][user];
     }
     
     function getCoupon(uint256 couponId) external view override returns (Coupon memory) {
@@ -157,13 +359,22 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         return result;
     }
     
+    /**
+     * @dev Get the user coupon IDs held by a user, in the same order as getUserCoupons
+     * @param user User address
+     * @return User coupon IDs
+     */
+    function getUserCouponIds(address user) external view returns (uint256[] memory) {
+        return _userCouponIds[user];
+    }
+    
     function getAvailableCoupons() external view override returns (uint256[] memory) {
         uint256 totalCoupons = _couponIds;
         uint256[] memory availableCoupons = new uint256[](totalCoupons);
         uint256 availableCount = 0;
         
         for (uint256 i = 1; i <= totalCoupons; i++) {
-            if (_coupons[i].isActive && _coupons[i].currentSupply < _coupons[i].maxSupply) {
+            if (_coupons[i].isActive && _coupons[i].currentSupply < _coupons[i].maxSupply && _isOnSale(i)) {
                 availableCoupons[availableCount] = i;
                 availableCount++;
             }
@@ -184,8 +395,7 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         
         // Get user's tier bonus
         IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(user);
-        ITierManager.Tier userTier = ITierManager.Tier(participant.currentTier);
-        uint256 tierBonus = ITierManager(tierManager).getTierCouponBonus(userTier);
+        uint256 tierBonus = ITierManager(tierManager).getTierCouponBonus(participant.currentTier);
         
         uint256 bonusValue = (coupon.value * tierBonus) / 100;
         uint256 totalValue = coupon.value + bonusValue;
@@ -193,8 +403,7 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         return (coupon.pointsCost, totalValue);
     }
     
-    function updateCoupon(uint256 couponId, bool isActive) external onlyOwner {
-        require(_coupons[couponId].couponId != 0, "Coupon does not exist");
+    function updateCoupon(uint256 couponId, bool isActive) external onlyCouponManager(couponId) {
         _coupons[couponId].isActive = isActive;
     }
     
@@ -203,65 +412,37 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         address _participantRegistry,
         address _tierManager,
         address _rewardsVault
-    ) external onlyOwner {
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
         pointsToken = _pointsToken;
         participantRegistry = _participantRegistry;
         tierManager = _tierManager;
         rewardsVault = _rewardsVault;
     }
     
-    function pause() external onlyOwner {
-        _pause();
+    /**
+     * @dev Set how early priority-access tiers may buy coupons before their start time (config admin only)
+     * @param window Early access window in seconds
+     */
+    function setPriorityAccessWindow(uint256 window) external onlyRole(CONFIG_ADMIN_ROLE) {
+        priorityAccessWindow = window;
+        emit PriorityAccessWindowUpdated(window);
     }
     
-    function unpause() external onlyOwner {
-        _unpause();
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
     }
     
-    function _generateRedemptionCode(uint256 userCouponId) internal view returns (string memory) {
-        return string(abi.encodePacked(
-            "GC-",
-            _uint2str(userCouponId),
-            "-",
-            _uint2str(block.timestamp)
-        ));
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
     }
     
-    function _uint2str(uint256 _i) internal pure returns (string memory) {
-        if (_i == 0) {
-            return "0";
-        }
-        
-        uint256 j = _i;
-        uint256 length;
-        
-        while (j != 0) {
-            length++;
-            j /= 10;
-        }
-        
-        bytes memory bstr = new bytes(length);
-        uint256 k = length;
-        
-        while (_i != 0) {
-            k -= 1;
-            uint8 temp = (48 + uint8(_i - _i / 10 * 10));
-            bytes1 b1 = bytes1(temp);
-            bstr[k] = b1;
-            _i /= 10;
-        }
-        
-        return string(bstr);
-    }
-
     /**
-     * @dev Update exchange rates for coupons (owner only)
+     * @dev Update exchange rates for coupons (coupon admin or listing merchant)
      * @param couponId Coupon ID to update
      * @param newPointsCost New points cost
      * @param newValue New coupon value
      */
-    function updateExchangeRates(uint256 couponId, uint256 newPointsCost, uint256 newValue) external onlyOwner {
-        require(_coupons[couponId].couponId != 0, "Coupon does not exist");
+    function updateExchangeRates(uint256 couponId, uint256 newPointsCost, uint256 newValue) external onlyCouponManager(couponId) {
         require(newPointsCost > 0, "Points cost must be greater than 0");
         require(newValue > 0, "Value must be greater than 0");
         
@@ -271,32 +452,170 @@ contract CouponExchange is ICouponExchange, Ownable, Pausable, ReentrancyGuard {
         emit CouponCreated(couponId, _coupons[couponId].name, newPointsCost, newValue);
     }
     
+    /**
+     * @dev Stock vault inventory for one of the merchant's own coupons
+     * @param couponId Coupon ID
+     * @param amount Inventory value to deposit (in cents)
+     */
+    function stockCoupon(uint256 couponId, uint256 amount) external onlyMerchant whenNotPaused {
+        require(_coupons[couponId].merchant == msg.sender, "Not coupon merchant");
+        
+        IRewardsVault(rewardsVault).depositReward(couponId, amount);
+        
+        emit CouponStocked(msg.sender, couponId, amount);
+    }
+    
+    /**
+     * @dev Register a reward partner (coupon admin only)
+     * @param merchant Merchant address
+     * @param name Merchant name
+     * @param categories Coupon categories the merchant may list and confirm
+     */
+    function registerMerchant(address merchant, string memory name, string[] memory categories) external onlyRole(COUPON_ADMIN_ROLE) {
+        require(merchant != address(0), "Invalid merchant");
+        require(_merchants[merchant].registeredAt == 0, "Merchant already registered");
+        require(bytes(name).length > 0, "Name required");
+        
+        _merchants[merchant].name = name;
+        _merchants[merchant].isActive = true;
+        _merchants[merchant].registeredAt = block.timestamp;
+        _merchantList.push(merchant);
+        _setMerchantCategories(merchant, categories);
+        
+        emit MerchantRegistered(merchant, name, categories);
+    }
+    
+    /**
+     * @dev Activate or suspend a merchant (coupon admin only)
+     * @param merchant Merchant address
+     * @param isActive True to activate
+     */
+    function setMerchantActive(address merchant, bool isActive) external onlyRole(COUPON_ADMIN_ROLE) {
+        require(_merchants[merchant].registeredAt != 0, "Merchant not registered");
+        _merchants[merchant].isActive = isActive;
+        emit MerchantUpdated(merchant, isActive);
+    }
+    
+    /**
+     * @dev Replace a merchant's allowed categories (coupon admin only)
+     * @param merchant Merchant address
+     * @param categories Coupon categories the merchant may list and confirm
+     */
+    function setMerchantCategories(address merchant, string[] memory categories) external onlyRole(COUPON_ADMIN_ROLE) {
+        require(_merchants[merchant].registeredAt != 0, "Merchant not registered");
+        _setMerchantCategories(merchant, categories);
+        emit MerchantCategoriesUpdated(merchant, categories);
+    }
+    
+    /**
+     * @dev Check whether an address is an active merchant
+     * @param merchant Address to check
+     * @return True if registered and active
+     */
+    function isMerchant(address merchant) public view returns (bool) {
+        return _merchants[merchant].isActive;
+    }
+    
+    /**
+     * @dev Check whether a merchant may list and confirm coupons in a category
+     * @param merchant Merchant address
+     * @param category Coupon category
+     * @return True if allowed
+     */
+    function isMerchantCategory(address merchant, string memory category) public view returns (bool) {
+        return _merchantCategories[merchant][keccak256(bytes(category))];
+    }
+    
+    function getMerchant(address merchant) external view returns (Merchant memory) {
+        return _merchants[merchant];
+    }
+    
+    function getMerchants() external view returns (address[] memory) {
+        return _merchantList;
+    }
+    
+    function getMerchantCoupons(address merchant) external view returns (uint256[] memory) {
+        return _merchantCoupons[merchant];
+    }
+    
+    /**
+     * @dev Get settlement totals for invoicing a merchant
+     * @param merchant Merchant address
+     * @return Coupons listed and sold, redemptions confirmed and their value, and outstanding liability
+     */
+    function getMerchantSettlement(address merchant) external view returns (MerchantSettlement memory) {
+        return _settlements[merchant];
+    }
+    
+    /**
+     * @dev Hash a redemption code into the commitment stored on redemption
+     * @param userCouponId User coupon ID
+     * @param redemptionCode Plaintext redemption code
+     * @return Redemption code hash
+     */
+    function hashRedemptionCode(uint256 userCouponId, string memory redemptionCode) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(userCouponId, redemptionCode));
+    }
+    
     /**
      * @dev Validate coupon redemption
      * @param userCouponId User coupon ID
      * @param redemptionCode Redemption code to validate
-     * @return valid True if redemption is valid
+     * @return valid True if the coupon is redeemed, unused and the code matches its commitment
      * @return couponInfo Coupon information if valid
      */
     function validateRedemption(uint256 userCouponId, string memory redemptionCode) external view returns (
         bool valid,
         Coupon memory couponInfo
     ) {
-        UserCoupon memory userCoupon = _userCoupons[userCouponId];
-        
-        if (userCoupon.couponId == 0) {
+        if (!_isValidRedemption(userCouponId, redemptionCode)) {
             return (false, couponInfo);
         }
         
-        if (!userCoupon.isRedeemed) {
-            return (false, couponInfo);
+        valid = true;
+        couponInfo = _coupons[_userCoupons[userCouponId].couponId];
+    }
+    
+    function _checkPurchaseTerms(uint256 couponId, address user, uint256 tier) internal view {
+        CouponTerms storage terms = _couponTerms[couponId];
+        
+        if (block.timestamp < terms.startTime) {
+            require(
+                ITierManager(tierManager).hasPriorityAccess(tier) &&
+                    block.timestamp + priorityAccessWindow >= terms.startTime,
+                "Coupon not yet available"
+            );
+        }
+        require(terms.endTime == 0 || block.timestamp <= terms.endTime, "Coupon expired");
+        require(terms.maxPerUser == 0 || _userPurchaseCounts[couponId][user] < terms.maxPerUser, "Purchase limit reached");
+        require(tier >= terms.minTier, "Tier too low");
+        require(!terms.isExclusive || ITierManager(tierManager).hasExclusiveAccess(tier), "Exclusive access required");
+    }
+    
+    function _isOnSale(uint256 couponId) internal view returns (bool) {
+        CouponTerms storage terms = _couponTerms[couponId];
+        return block.timestamp >= terms.startTime && (terms.endTime == 0 || block.timestamp <= terms.endTime);
+    }
+    
+    function _setMerchantCategories(address merchant, string[] memory categories) internal {
+        string[] storage current = _merchants[merchant].categories;
+        for (uint256 i = 0; i < current.length; i++) {
+            _merchantCategories[merchant][keccak256(bytes(current[i]))] = false;
         }
         
-        if (keccak256(bytes(userCoupon.redemptionCode)) != keccak256(bytes(redemptionCode))) {
-            return (false, couponInfo);
+        delete _merchants[merchant].categories;
+        for (uint256 i = 0; i < categories.length; i++) {
+            _merchantCategories[merchant][keccak256(bytes(categories[i]))] = true;
+            _merchants[merchant].categories.push(categories[i]);
         }
+    }
+    
+    function _isValidRedemption(uint256 userCouponId, string memory redemptionCode) internal view returns (bool) {
+        UserCoupon storage userCoupon = _userCoupons[userCouponId];
         
-        valid = true;
-        couponInfo = _coupons[userCoupon.couponId];
+        return userCoupon.couponId != 0 &&
+            userCoupon.isRedeemed &&
+            !userCoupon.isConsumed &&
+            userCoupon.redemptionCodeHash == hashRedemptionCode(userCouponId, redemptionCode);
     }
-} 
\ No newline at end of file
+}
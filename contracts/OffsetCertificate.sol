@@ -0,0 +1,369 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/ERC1155Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/IGreenChainSystem.sol";
+import "./libraries/CalendarYear.sol";
+
+/**
+ * @title OffsetCertificate
+ * @dev ERC-1155 carbon offset certificates. Participants claim whole tonnes of registry credits against the
+ * CO2 offset verified through ParticipantRegistry; each certificate is its own token ID carrying the project,
+ * vintage, serial range and beneficiary. Certificates are non-transferable and retired by burning them.
+ * Members of the annual certificate tier can also claim one yearly statement per calendar year.
+ */
+contract OffsetCertificate is IOffsetCertificate, ERC1155Upgradeable, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    using Strings for uint256;
+    
+    // Roles
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // One registry serial (and one certificate token) per tonne
+    uint256 public constant KG_PER_TONNE = 1000;
+    
+    // Credit batches by ID (IDs start at 1)
+    uint256 public batchCount;
+    mapping(uint256 => CreditBatch) private _batches;
+    
+    // Certificates by token ID (IDs start at 1)
+    uint256 public certificateCount;
+    mapping(uint256 => Certificate) private _certificates;
+    mapping(address => uint256[]) private _userCertificates;
+    
+    // Verified CO2 already covered by credit certificates, per participant
+    mapping(address => uint256) private _certifiedCo2Kg;
+    
+    // Annual certificate token IDs (wallet => year => tokenId)
+    mapping(address => mapping(uint256 => uint256)) private _annualCertificates;
+    
+    // Minimum tier for annual certificates
+    uint256 public annualCertificateTier;
+    
+    // External contract addresses
+    address public participantRegistry;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     * @param _participantRegistry ParticipantRegistry address
+     * @param _annualCertificateTier Minimum TierManager tier index for annual certificates
+     */
+    function initialize(address _participantRegistry, uint256 _annualCertificateTier) external initializer {
+        __ERC1155_init("");
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ISSUER_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
+        participantRegistry = _participantRegistry;
+        annualCertificateTier = _annualCertificateTier;
+    }
+    
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Make registry credits available for certificates (issuer only).
+     * The credits must already be retired on the offset registry on behalf of GreenChain.
+     * @param projectId Offset project ID
+     * @param vintage Vintage year
+     * @param serialPrefix Registry serial prefix
+     * @param serialStart First serial number in the block
+     * @param serialEnd Last serial number in the block
+     * @return New batch ID
+     */
+    function addCreditBatch(
+        uint256 projectId,
+        uint256 vintage,
+        string memory serialPrefix,
+        uint256 serialStart,
+        uint256 serialEnd
+    ) external onlyRole(ISSUER_ROLE) returns (uint256) {
+        require(projectId > 0, "Project ID required");
+        require(vintage > 0, "Vintage required");
+        require(bytes(serialPrefix).length > 0, "Serial prefix required");
+        require(serialStart > 0 && serialEnd >= serialStart, "Invalid serial range");
+        
+        batchCount++;
+        _batches[batchCount] = CreditBatch({
+            projectId: projectId,
+            vintage: vintage,
+            serialPrefix: serialPrefix,
+            serialStart: serialStart,
+            serialEnd: serialEnd,
+            nextSerial: serialStart
+        });
+        
+        emit CreditBatchAdded(batchCount, projectId, vintage, serialStart, serialEnd);
+        return batchCount;
+    }
+    
+    /**
+     * @dev Claim a certificate for whole tonnes of the caller's verified, not yet certified CO2 offset.
+     * Serials are allocated from the batch in order, so no serial is ever certified twice.
+     * @param batchId Credit batch to draw from
+     * @param tonnes Tonnes to certify
+     * @return Certificate token ID
+     */
+    function claimCertificate(uint256 batchId, uint256 tonnes) external whenNotPaused nonReentrant returns (uint256) {
+        require(batchId != 0 && batchId <= batchCount, "Batch does not exist");
+        require(tonnes > 0, "Tonnes must be greater than 0");
+        require(IParticipantRegistry(participantRegistry).isRegistered(msg.sender), "Participant not registered");
+        
+        uint256 co2OffsetKg = tonnes * KG_PER_TONNE;
+        require(co2OffsetKg <= getClaimableCo2(msg.sender), "Insufficient verified offset");
+        
+        CreditBatch storage batch = _batches[batchId];
+        require(batch.serialEnd + 1 - batch.nextSerial >= tonnes, "Insufficient credits in batch");
+        
+        uint256 serialStart = batch.nextSerial;
+        batch.nextSerial += tonnes;
+        _certifiedCo2Kg[msg.sender] += co2OffsetKg;
+        
+        return _issue(Certificate({
+            kind: CertificateKind.CREDIT,
+            beneficiary: msg.sender,
+            projectId: batch.projectId,
+            vintage: batch.vintage,
+            serialPrefix: batch.serialPrefix,
+            serialStart: serialStart,
+            serialEnd: serialStart + tonnes - 1,
+            co2OffsetKg: co2OffsetKg,
+            retiredTonnes: 0,
+            issuedAt: block.timestamp
+        }), tonnes);
+    }
+    
+    /**
+     * @dev Claim the yearly offset statement for a finished calendar year (UTC).
+     * Open to participants currently at or above annualCertificateTier; one per participant per year.
+     * @param year Calendar year covered
+     * @return Certificate token ID
+     */
+    function claimAnnualCertificate(uint256 year) external whenNotPaused nonReentrant returns (uint256) {
+        require(year >= 1970 && year < CalendarYear.yearOf(block.timestamp), "Year not finished");
+        require(_annualCertificates[msg.sender][year] == 0, "Annual certificate already claimed");
+        
+        IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(msg.sender);
+        require(participant.isActive, "Participant not registered");
+        require(participant.currentTier >= annualCertificateTier, "Tier not eligible");
+        
+        uint256 co2OffsetKg = getYearlyCo2(msg.sender, year);
+        require(co2OffsetKg > 0, "No offsets in year");
+        
+        // Recorded before minting: the mint calls back into contract wallets
+        _annualCertificates[msg.sender][year] = certificateCount + 1;
+        
+        return _issue(Certificate({
+            kind: CertificateKind.ANNUAL,
+            beneficiary: msg.sender,
+            projectId: 0,
+            vintage: year,
+            serialPrefix: "",
+            serialStart: 0,
+            serialEnd: 0,
+            co2OffsetKg: co2OffsetKg,
+            retiredTonnes: 0,
+            issuedAt: block.timestamp
+        }), 1);
+    }
+    
+    /**
+     * @dev Retire tonnes of a credit certificate held by the caller; retired tonnes are burned
+     * @param certificateId Certificate token ID
+     * @param tonnes Tonnes to retire
+     */
+    function retireCertificate(uint256 certificateId, uint256 tonnes) external whenNotPaused nonReentrant {
+        require(certificateId != 0 && certificateId <= certificateCount, "Certificate does not exist");
+        require(tonnes > 0, "Tonnes must be greater than 0");
+        
+        Certificate storage certificate = _certificates[certificateId];
+        require(certificate.kind == CertificateKind.CREDIT, "Annual certificates cannot be retired");
+        
+        _burn(msg.sender, certificateId, tonnes);
+        certificate.retiredTonnes += tonnes;
+        
+        emit CertificateRetired(certificateId, msg.sender, tonnes);
+    }
+    
+    /**
+     * @dev Store and mint a certificate to its beneficiary
+     */
+    function _issue(Certificate memory certificate, uint256 amount) internal returns (uint256) {
+        certificateCount++;
+        uint256 certificateId = certificateCount;
+        _certificates[certificateId] = certificate;
+        _userCertificates[certificate.beneficiary].push(certificateId);
+        
+        _mint(certificate.beneficiary, certificateId, amount, "");
+        
+        emit CertificateIssued(certificateId, certificate.beneficiary, certificate.kind, amount, certificate.co2OffsetKg);
+        return certificateId;
+    }
+    
+    /**
+     * @dev Certificates stay with their beneficiary: only minting and retirement (burning) move them
+     */
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values
+    ) internal override {
+        require(from == address(0) || to == address(0), "Certificates are non-transferable");
+        super._update(from, to, ids, values);
+    }
+    
+    /**
+     * @dev Total verified CO2 recorded for a participant in a calendar year (UTC), from the registry ledger
+     */
+    function getYearlyCo2(address wallet, uint256 year) public view returns (uint256) {
+        return IParticipantRegistry(participantRegistry).getCo2OffsetByYear(wallet, year);
+    }
+    
+    /**
+     * @dev Get a certificate, including how many of its tonnes have been retired
+     */
+    function getCertificate(uint256 certificateId) external view override returns (Certificate memory) {
+        require(certificateId != 0 && certificateId <= certificateCount, "Certificate does not exist");
+        return _certificates[certificateId];
+    }
+    
+    /**
+     * @dev Check whether every tonne of a credit certificate has been retired
+     */
+    function isFullyRetired(uint256 certificateId) external view returns (bool) {
+        Certificate storage certificate = _certificates[certificateId];
+        return certificate.kind == CertificateKind.CREDIT &&
+            certificate.issuedAt != 0 &&
+            certificate.retiredTonnes * KG_PER_TONNE == certificate.co2OffsetKg;
+    }
+    
+    /**
+     * @dev Get the certificate IDs issued to a participant
+     */
+    function getUserCertificates(address wallet) external view override returns (uint256[] memory) {
+        return _userCertificates[wallet];
+    }
+    
+    /**
+     * @dev Verified CO2 a participant can still certify (kg)
+     */
+    function getClaimableCo2(address wallet) public view override returns (uint256) {
+        uint256 verified = IParticipantRegistry(participantRegistry).getParticipant(wallet).totalCo2OffsetKg;
+        uint256 certified = _certifiedCo2Kg[wallet];
+        return verified > certified ? verified - certified : 0;
+    }
+    
+    /**
+     * @dev Get a participant's annual certificate token ID for a year (0 if not claimed)
+     */
+    function getAnnualCertificate(address wallet, uint256 year) external view returns (uint256) {
+        return _annualCertificates[wallet][year];
+    }
+    
+    /**
+     * @dev Get a credit batch
+     */
+    function getCreditBatch(uint256 batchId) external view returns (CreditBatch memory) {
+        require(batchId != 0 && batchId <= batchCount, "Batch does not exist");
+        return _batches[batchId];
+    }
+    
+    /**
+     * @dev Certificate metadata as an on-chain JSON data URI
+     */
+    function uri(uint256 certificateId) public view override returns (string memory) {
+        require(certificateId != 0 && certificateId <= certificateCount, "Certificate does not exist");
+        Certificate storage certificate = _certificates[certificateId];
+        
+        string memory attributes;
+        if (certificate.kind == CertificateKind.CREDIT) {
+            attributes = string.concat(
+                '{"trait_type":"Kind","value":"Credit"},',
+                '{"trait_type":"Project ID","value":"', certificate.projectId.toString(), '"},',
+                '{"trait_type":"Vintage","value":"', certificate.vintage.toString(), '"},',
+                '{"trait_type":"Serial Range","value":"', Strings.escapeJSON(_serialRange(certificate)), '"},',
+                '{"trait_type":"Retired (t)","display_type":"number","value":', certificate.retiredTonnes.toString(), '},'
+            );
+        } else {
+            attributes = string.concat(
+                '{"trait_type":"Kind","value":"Annual"},',
+                '{"trait_type":"Year","value":"', certificate.vintage.toString(), '"},'
+            );
+        }
+        
+        string memory json = string.concat(
+            '{"name":"GreenChain Offset Certificate #', certificateId.toString(),
+            '","description":"Carbon offset certificate issued to ', Strings.toHexString(certificate.beneficiary),
+            '","attributes":[', attributes,
+            '{"trait_type":"CO2 Offset (kg)","display_type":"number","value":', certificate.co2OffsetKg.toString(), '}]}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+    
+    /**
+     * @dev Serial range as shown on the offset registry, e.g. "VCS-VCU-1234-101-150"
+     */
+    function _serialRange(Certificate storage certificate) internal view returns (string memory) {
+        return string.concat(
+            certificate.serialPrefix, "-", certificate.serialStart.toString(), "-", certificate.serialEnd.toString()
+        );
+    }
+    
+    /**
+     * @dev Set the minimum tier for annual certificates (config admin only)
+     */
+    function setAnnualCertificateTier(uint256 tier) external onlyRole(CONFIG_ADMIN_ROLE) {
+        annualCertificateTier = tier;
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
+     */
+    function updateContractAddresses(address _participantRegistry) external onlyRole(CONFIG_ADMIN_ROLE) {
+        participantRegistry = _participantRegistry;
+    }
+    
+    /**
+     * @dev Pause contract (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause contract (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @dev See {IERC165-supportsInterface}
+     */
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155Upgradeable, AccessControlUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -1,16 +1,57 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/MulticallUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./interfaces/IGreenChainSystem.sol";
+import "./libraries/CalendarYear.sol";
 
 /**
  * @title ParticipantRegistry
  * @dev Main contract for managing GreenChain participants, their points, and activity tracking
  */
-contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, ReentrancyGuard {
+contract ParticipantRegistry is IParticipantRegistry, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, EIP712Upgradeable, MulticallUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant ACTIVITY_RECORDER_ROLE = keccak256("ACTIVITY_RECORDER_ROLE");
+    bytes32 public constant TIER_UPDATER_ROLE = keccak256("TIER_UPDATER_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Offset attestation signed by a VERIFIER_ROLE holder (EIP-712)
+    struct OffsetAttestation {
+        address wallet;
+        uint256 co2OffsetKg;
+        string activityType;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    // One offset in a batchRecordOffsetActivity call
+    struct OffsetActivity {
+        address wallet;
+        uint256 co2OffsetKg;
+        string activityType;
+        string activityDescription;
+    }
+    
+    // Consecutive-window activity streak
+    struct StreakInfo {
+        uint256 currentStreak;
+        uint256 longestStreak;
+        uint256 lastStreakActivityDate; // Last offset that counted towards the streak
+    }
+    
+    bytes32 public constant OFFSET_ATTESTATION_TYPEHASH = keccak256(
+        "OffsetAttestation(address wallet,uint256 co2OffsetKg,string activityType,uint256 nonce,uint256 deadline)"
+    );
     
     // Mapping from wallet address to participant data
     mapping(address => Participant) private _participants;
@@ -24,18 +65,65 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
     // Total number of participants
     uint256 private _totalParticipants;
     
+    // Offset ledger: activity history and lifetime CO2 per activity type
+    mapping(address => ActivityRecord[]) private _activityHistory;
+    mapping(address => mapping(bytes32 => uint256)) private _co2ByActivityType;
+    mapping(address => string[]) private _activityTypes;
+    
+    // Unused since BadgeNFT keeps a single tier badge per participant; kept for the storage layout
+    mapping(address => mapping(uint256 => uint256)) private _tierBadges;
+    
+    // Referral program
+    uint256 public refereeWelcomeBonus; // Points for the referee once the referral is rewarded
+    uint256 public maxReferralsPerReferrer; // Cap on rewarded referrals per referrer
+    mapping(address => address) private _referrers; // referee => referrer (permanent)
+    mapping(address => address[]) private _referrals; // referrer => downline
+    mapping(address => uint256) private _rewardedReferrals; // referrer => rewarded referral count
+    mapping(address => bool) private _referralRewarded; // referee => bonus paid
+    mapping(bytes32 => address) private _referralCodeOwners;
+    mapping(address => bytes32) private _referralCodes;
+    
     // Points configuration
-    uint256 public basePointsPerKgCO2 = 10; // Base points per kg of CO2 offset
-    uint256 public streakBonusMultiplier = 5; // Additional points for activity streaks
-    uint256 public referralBonus = 50; // Points for successful referrals
+    uint256 public basePointsPerKgCO2; // Base points per kg of CO2 offset
+    uint256 public streakBonusMultiplier; // Additional bonus percent per consecutive streak window
+    uint256 public referralBonus; // Points for successful referrals
+    
+    // Streak configuration
+    uint256 public streakWindow; // Length of one streak window (e.g., 1 days or 7 days)
+    uint256 public maxStreakBonus; // Cap on the streak bonus percent
+    uint256[] private _streakMilestones; // Streak lengths that earn a SPECIAL badge
+    mapping(address => StreakInfo) private _streaks;
     
     // External contract addresses
     address public tierManager;
     address public pointsToken;
     address public badgeNFT;
     
+    // Consumed attestation nonces (verifier => nonce => used)
+    mapping(address => mapping(uint256 => bool)) private _usedNonces;
+    
+    // Season points and leaderboards (optional; zero disables seasons)
+    address public seasonManager;
+    
+    // Achievement rules checked after registrations and point awards (optional; zero disables achievements)
+    address public achievementManager;
+    
+    // Offset ledger: CO2 per calendar year (UTC), for annual statements
+    mapping(address => mapping(uint256 => uint256)) private _co2ByYear;
+    
     // Events
     event TierUpgraded(address indexed wallet, uint256 oldTier, uint256 newTier, uint256 points);
+    event TierDowngraded(address indexed wallet, uint256 oldTier, uint256 newTier, uint256 qualifyingPoints);
+    event ReferralCodeSet(address indexed wallet, bytes32 code);
+    event ReferralRegistered(address indexed referrer, address indexed referee);
+    event ReferralRewarded(address indexed referrer, address indexed referee, uint256 referrerBonus, uint256 refereeBonus);
+    event ReferralConfigUpdated(uint256 refereeWelcomeBonus, uint256 maxReferralsPerReferrer);
+    event AttestationConsumed(address indexed verifier, address indexed wallet, uint256 nonce);
+    event OffsetRecorded(address indexed wallet, string activityType, uint256 co2OffsetKg, uint256 points, address indexed verifier);
+    event StreakUpdated(address indexed wallet, uint256 currentStreak, uint256 longestStreak);
+    event StreakMilestoneReached(address indexed wallet, uint256 streak, uint256 badgeId);
+    event StreakConfigUpdated(uint256 streakWindow, uint256 maxStreakBonus, uint256[] milestones);
+    event OffsetActivitySkipped(uint256 indexed index, address indexed wallet, string reason);
     
     // Modifiers
     modifier onlyRegistered() {
@@ -43,24 +131,90 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
         _;
     }
     
-    modifier onlyAuthorized() {
-        require(msg.sender == owner() || msg.sender == tierManager, "Not authorized");
-        _;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
     
-    constructor(address _tierManager, address _pointsToken, address _badgeNFT) 
-        Ownable(msg.sender)
-    {
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _tierManager, address _pointsToken, address _badgeNFT) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __EIP712_init("GreenChain ParticipantRegistry", "1");
+        __Multicall_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         tierManager = _tierManager;
         pointsToken = _pointsToken;
         badgeNFT = _badgeNFT;
+        
+        refereeWelcomeBonus = 25;
+        maxReferralsPerReferrer = 50;
+        basePointsPerKgCO2 = 10;
+        streakBonusMultiplier = 5;
+        referralBonus = 50;
+        streakWindow = 1 days;
+        maxStreakBonus = 50;
+        
+        _streakMilestones.push(7);
+        _streakMilestones.push(30);
+        _streakMilestones.push(100);
     }
     
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
     /**
      * @dev Register a new participant
      * @param profileHash IPFS hash containing off-chain profile data
      */
     function registerParticipant(string memory profileHash) external override whenNotPaused nonReentrant {
+        _register(profileHash);
+    }
+    
+    /**
+     * @dev Register a new participant referred by an existing participant
+     * @param profileHash IPFS hash containing off-chain profile data
+     * @param referrer Referring participant address
+     */
+    function registerParticipantWithReferrer(
+        string memory profileHash,
+        address referrer
+    ) external whenNotPaused nonReentrant {
+        _register(profileHash);
+        _setReferrer(msg.sender, referrer);
+    }
+    
+    /**
+     * @dev Register a new participant using a referral code
+     * @param profileHash IPFS hash containing off-chain profile data
+     * @param referralCode Referral code claimed by the referrer
+     */
+    function registerParticipantWithCode(
+        string memory profileHash,
+        bytes32 referralCode
+    ) external whenNotPaused nonReentrant {
+        address referrer = _referralCodeOwners[referralCode];
+        require(referrer != address(0), "Unknown referral code");
+        
+        _register(profileHash);
+        _setReferrer(msg.sender, referrer);
+    }
+    
+    /**
+     * @dev Create the participant record and mint registration points and badge
+     */
+    function _register(string memory profileHash) internal {
         require(!_participants[msg.sender].isActive, "Already registered");
         require(bytes(profileHash).length > 0, "Profile hash required");
         
@@ -70,6 +224,8 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
             currentTier: 0, // BRONZE tier
             joinDate: block.timestamp,
             lastActivityDate: block.timestamp,
+            totalCo2OffsetKg: 0,
+            activityCount: 0,
             isActive: true,
             profileHash: profileHash
         });
@@ -84,26 +240,24 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
         _participants[msg.sender].totalPoints = initialPoints;
         
         // Mint points token
-        IPointsToken(pointsToken).mint(msg.sender, initialPoints, "Registration bonus");
-        
-        // Mint BRONZE badge
-        IBadgeNFT(badgeNFT).mintBadge(
-            msg.sender,
-            "BRONZE",
-            "GreenChain Bronze Member",
-            "Welcome to GreenChain! You've taken your first step towards a sustainable future.",
-            "ipfs://QmBronzeBadgeURI"
-        );
+        _mintPoints(msg.sender, initialPoints, IPointsToken.PointsSource.REGISTRATION, "Registration bonus");
+        
+        // Issue the tier badge at the entry tier (BRONZE)
+        _setTierBadge(msg.sender, 0);
         
         emit ParticipantRegistered(msg.sender, block.timestamp);
-        emit PointsEarned(msg.sender, initialPoints, 0, "Registration bonus");
+        emit PointsEarned(msg.sender, initialPoints, 0, "Registration bonus", address(0));
+        
+        _checkAchievements(msg.sender);
     }
     
     /**
-     * @dev Update participant points and activity (called by authorized contracts)
+     * @dev Update participant points and activity (called by authorized contracts). Pure bonuses are minted as
+     * BONUS and never count towards tiers. A CO2 adjustment is written to the ledger and minted as ACTIVITY, so it
+     * raises tiers and certifiable CO2 like a recorded offset; the caller must therefore also hold VERIFIER_ROLE.
      * @param wallet Participant wallet address
      * @param points Points to add
-     * @param co2Offset CO2 offset amount in kg
+     * @param co2Offset CO2 offset amount in kg, recorded in the ledger as an ADJUSTMENT (0 for pure bonuses)
      * @param activity Activity description
      */
     function updateParticipant(
@@ -111,16 +265,15 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
         uint256 points,
         uint256 co2Offset,
         string memory activity
-    ) external override onlyAuthorized {
+    ) external override onlyRole(ACTIVITY_RECORDER_ROLE) {
         require(_participants[wallet].isActive, "Participant not found");
         require(points > 0, "Points must be greater than 0");
+        require(co2Offset == 0 || hasRole(VERIFIER_ROLE, msg.sender), "CO2 adjustments need a verifier");
         
         Participant storage participant = _participants[wallet];
         
         // Calculate tier-based multiplier
-        uint256 tierMultiplier = ITierManager(tierManager).getTierMultiplier(
-            ITierManager.Tier(participant.currentTier)
-        );
+        uint256 tierMultiplier = ITierManager(tierManager).getTierMultiplier(participant.currentTier);
         
         // Apply tier multiplier to points
         uint256 adjustedPoints = (points * tierMultiplier) / 100;
@@ -129,30 +282,44 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
         participant.totalPoints += adjustedPoints;
         participant.lastActivityDate = block.timestamp;
         
-        // Check for tier upgrade
-        ITierManager.Tier newTier = ITierManager(tierManager).calculateTier(participant.totalPoints);
-        if (uint256(newTier) > participant.currentTier) {
-            ITierManager.Tier oldTier = ITierManager.Tier(participant.currentTier);
-            participant.currentTier = uint256(newTier);
-            
-            // Mint tier badge
-            string memory tierName = _getTierName(newTier);
-            IBadgeNFT(badgeNFT).mintBadge(
-                wallet,
-                tierName,
-                string(abi.encodePacked("GreenChain ", tierName, " Member")),
-                string(abi.encodePacked("Congratulations! You've reached ", tierName, " tier.")),
-                string(abi.encodePacked("ipfs://Qm", tierName, "BadgeURI"))
-            );
-            
-            emit TierUpgraded(wallet, uint256(oldTier), uint256(newTier), participant.totalPoints);
+        // Reported CO2 goes into the ledger so the activity history agrees with the CO2 totals
+        if (co2Offset > 0) {
+            _recordLedgerEntry(wallet, co2Offset, "ADJUSTMENT", adjustedPoints, msg.sender);
         }
         
-        // Mint points token
-        IPointsToken(pointsToken).mint(wallet, adjustedPoints, activity);
+        // Mint points token (offsets count towards tiers, bonuses do not), then check for tier upgrade
+        _mintPoints(wallet, adjustedPoints, co2Offset > 0 ? IPointsToken.PointsSource.ACTIVITY : IPointsToken.PointsSource.BONUS, activity);
+        _checkTierUpgrade(wallet);
         
         emit ParticipantUpdated(wallet, participant.totalPoints, participant.currentTier);
-        emit PointsEarned(wallet, adjustedPoints, co2Offset, activity);
+        emit PointsEarned(wallet, adjustedPoints, co2Offset, activity, msg.sender);
+        
+        _checkAchievements(wallet);
+    }
+    
+    /**
+     * @dev Demote a participant whose qualifying points fell below their tier (called by TierManager)
+     * @param wallet Participant wallet address
+     * @param newTier Tier the participant still qualifies for
+     * @param qualifyingPoints Points within the qualifying window
+     */
+    function downgradeTier(
+        address wallet,
+        uint256 newTier,
+        uint256 qualifyingPoints
+    ) external override onlyRole(TIER_UPDATER_ROLE) {
+        require(_participants[wallet].isActive, "Participant not found");
+        
+        Participant storage participant = _participants[wallet];
+        uint256 oldTier = participant.currentTier;
+        require(newTier < oldTier, "Not a downgrade");
+        
+        participant.currentTier = newTier;
+        
+        _setTierBadge(wallet, newTier);
+        
+        emit TierDowngraded(wallet, oldTier, newTier, qualifyingPoints);
+        emit ParticipantUpdated(wallet, participant.totalPoints, newTier);
     }
     
     /**
@@ -161,65 +328,295 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
      * @param co2OffsetKg CO2 offset amount in kg
      * @param activityType Type of activity (e.g., "TRANSPORT", "ENERGY", "WASTE")
      * @param activityDescription Detailed description of the activity
-     * @param hasStreak Whether user has activity streak
+     * @return activityIndex Index of the new record in getActivityHistory
      */
     function recordOffsetActivity(
         address wallet,
         uint256 co2OffsetKg,
         string memory activityType,
-        string memory activityDescription,
-        bool hasStreak
-    ) external onlyAuthorized {
-        require(_participants[wallet].isActive, "Participant not found");
-        require(co2OffsetKg > 0, "CO2 offset must be greater than 0");
-        require(bytes(activityType).length > 0, "Activity type required");
-        require(bytes(activityDescription).length > 0, "Activity description required");
-        
-        // Calculate points based on CO2 offset
-        uint256 basePoints = co2OffsetKg * basePointsPerKgCO2;
-        if (hasStreak) {
-            basePoints += (basePoints * streakBonusMultiplier) / 100;
+        string memory activityDescription
+    ) external override onlyRole(ACTIVITY_RECORDER_ROLE) whenNotPaused returns (uint256 activityIndex) {
+        _requireValidOffset(wallet, co2OffsetKg, activityType, activityDescription);
+        // The ledger entry is appended before any hook runs, so it lands at the current history length
+        activityIndex = _activityHistory[wallet].length;
+        _recordOffset(wallet, co2OffsetKg, activityType, activityDescription, msg.sender);
+    }
+    
+    /**
+     * @dev Record many offsets in one transaction. Each item goes into the ledger as it is processed, priced at
+     * the tier multiplier its wallet had when the batch started; the points are then minted once per wallet,
+     * followed by one tier check and one achievement check per wallet.
+     * @param activities Offsets to record, in order
+     * @param atomic True to revert the whole batch on an invalid item; false to skip invalid items
+     * (unregistered wallet, zero CO2, missing type or description) and emit OffsetActivitySkipped for each.
+     * Only these checks are skipped: a failure while minting or in the badge, season or achievement hooks
+     * reverts the whole batch in either mode.
+     * @return recorded Number of offsets recorded
+     * @return skipped Per item, true if it was skipped as invalid (always all false in atomic mode)
+     */
+    function batchRecordOffsetActivity(
+        OffsetActivity[] calldata activities,
+        bool atomic
+    ) external onlyRole(ACTIVITY_RECORDER_ROLE) whenNotPaused nonReentrant returns (uint256 recorded, bool[] memory skipped) {
+        // Distinct wallets in first-seen order, with their multiplier and points from this batch
+        address[] memory wallets = new address[](activities.length);
+        uint256[] memory multipliers = new uint256[](activities.length);
+        uint256[] memory points = new uint256[](activities.length);
+        uint256 walletCount = 0;
+        skipped = new bool[](activities.length);
+        
+        for (uint256 i = 0; i < activities.length; i++) {
+            OffsetActivity calldata activity = activities[i];
+            string memory reason = _offsetError(
+                activity.wallet,
+                activity.co2OffsetKg,
+                activity.activityType,
+                activity.activityDescription
+            );
+            if (bytes(reason).length > 0) {
+                require(!atomic, reason);
+                emit OffsetActivitySkipped(i, activity.wallet, reason);
+                skipped[i] = true;
+                continue;
+            }
+            
+            uint256 w = 0;
+            while (w < walletCount && wallets[w] != activity.wallet) {
+                w++;
+            }
+            if (w == walletCount) {
+                wallets[w] = activity.wallet;
+                multipliers[w] = ITierManager(tierManager).getTierMultiplier(_participants[activity.wallet].currentTier);
+                walletCount++;
+            }
+            
+            points[w] += _recordOffsetEntry(
+                activity.wallet,
+                activity.co2OffsetKg,
+                activity.activityType,
+                activity.activityDescription,
+                msg.sender,
+                multipliers[w]
+            );
+            recorded++;
         }
         
-        // Update participant directly
-        Participant storage participant = _participants[wallet];
+        for (uint256 w = 0; w < walletCount; w++) {
+            _awardOffsetPoints(wallets[w], points[w], "Batch offset activity");
+        }
+    }
+    
+    /**
+     * @dev Record carbon offset activity from a verifier-signed attestation (callable by anyone)
+     * @param attestation Attested offset (wallet, co2OffsetKg, activityType, nonce, deadline)
+     * @param signature EIP-712 signature from a VERIFIER_ROLE holder
+     */
+    function recordAttestedOffsetActivity(
+        OffsetAttestation calldata attestation,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant {
+        require(block.timestamp <= attestation.deadline, "Attestation expired");
         
-        // Calculate tier-based multiplier
-        uint256 tierMultiplier = ITierManager(tierManager).getTierMultiplier(
-            ITierManager.Tier(participant.currentTier)
-        );
+        address verifier = ECDSA.recover(hashOffsetAttestation(attestation), signature);
+        require(hasRole(VERIFIER_ROLE, verifier), "Invalid verifier");
+        require(!_usedNonces[verifier][attestation.nonce], "Attestation already used");
+        _usedNonces[verifier][attestation.nonce] = true;
         
-        // Apply tier multiplier to points
-        uint256 adjustedPoints = (basePoints * tierMultiplier) / 100;
+        emit AttestationConsumed(verifier, attestation.wallet, attestation.nonce);
+        
+        _requireValidOffset(attestation.wallet, attestation.co2OffsetKg, attestation.activityType, attestation.activityType);
+        _recordOffset(
+            attestation.wallet,
+            attestation.co2OffsetKg,
+            attestation.activityType,
+            attestation.activityType,
+            verifier
+        );
+    }
+    
+    /**
+     * @dev Get the EIP-712 digest a verifier signs for an attestation
+     * @param attestation Attested offset
+     * @return Typed data digest
+     */
+    function hashOffsetAttestation(OffsetAttestation calldata attestation) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            OFFSET_ATTESTATION_TYPEHASH,
+            attestation.wallet,
+            attestation.co2OffsetKg,
+            keccak256(bytes(attestation.activityType)),
+            attestation.nonce,
+            attestation.deadline
+        )));
+    }
+    
+    /**
+     * @dev Check if a verifier nonce has already been consumed
+     * @param verifier Verifier address
+     * @param nonce Attestation nonce
+     * @return True if used
+     */
+    function isNonceUsed(address verifier, uint256 nonce) external view returns (bool) {
+        return _usedNonces[verifier][nonce];
+    }
+    
+    /**
+     * @dev Why an offset cannot be recorded, or "" if it is valid
+     */
+    function _offsetError(
+        address wallet,
+        uint256 co2OffsetKg,
+        string memory activityType,
+        string memory activityDescription
+    ) internal view returns (string memory) {
+        if (!_participants[wallet].isActive) return "Participant not found";
+        if (co2OffsetKg == 0) return "CO2 offset must be greater than 0";
+        if (bytes(activityType).length == 0) return "Activity type required";
+        if (bytes(activityDescription).length == 0) return "Activity description required";
+        return "";
+    }
+    
+    /**
+     * @dev Revert with the reason from _offsetError if the offset is invalid
+     */
+    function _requireValidOffset(
+        address wallet,
+        uint256 co2OffsetKg,
+        string memory activityType,
+        string memory activityDescription
+    ) internal view {
+        string memory reason = _offsetError(wallet, co2OffsetKg, activityType, activityDescription);
+        require(bytes(reason).length == 0, reason);
+    }
+    
+    /**
+     * @dev Record an offset (already validated) and award its points
+     * @param verifier Address that vouched for the offset (verifier or authorized recorder)
+     */
+    function _recordOffset(
+        address wallet,
+        uint256 co2OffsetKg,
+        string memory activityType,
+        string memory activityDescription,
+        address verifier
+    ) internal {
+        uint256 multiplier = ITierManager(tierManager).getTierMultiplier(_participants[wallet].currentTier);
+        uint256 points = _recordOffsetEntry(wallet, co2OffsetKg, activityType, activityDescription, verifier, multiplier);
+        _awardOffsetPoints(wallet, points, activityDescription);
+    }
+    
+    /**
+     * @dev Price an offset with the streak and a tier multiplier, add it to the participant and the ledger
+     * @return adjustedPoints Points earned, still to be minted by _awardOffsetPoints
+     */
+    function _recordOffsetEntry(
+        address wallet,
+        uint256 co2OffsetKg,
+        string memory activityType,
+        string memory activityDescription,
+        address verifier,
+        uint256 tierMultiplier
+    ) internal returns (uint256 adjustedPoints) {
+        // Calculate points based on CO2 offset and the participant's streak, then apply the tier multiplier
+        uint256 basePoints = _calculatePoints(co2OffsetKg, _updateStreak(wallet));
+        adjustedPoints = (basePoints * tierMultiplier) / 100;
         
         // Update participant data
+        Participant storage participant = _participants[wallet];
         participant.totalPoints += adjustedPoints;
         participant.lastActivityDate = block.timestamp;
+        _recordLedgerEntry(wallet, co2OffsetKg, activityType, adjustedPoints, verifier);
+        
+        emit PointsEarned(wallet, adjustedPoints, co2OffsetKg, activityDescription, verifier);
+    }
+    
+    /**
+     * @dev Mint offset points, then run the tier check, the pending referral bonus and the achievement check
+     */
+    function _awardOffsetPoints(address wallet, uint256 points, string memory reason) internal {
+        _mintPoints(wallet, points, IPointsToken.PointsSource.ACTIVITY, reason);
+        _checkTierUpgrade(wallet);
+        
+        // First verified offset unlocks a pending referral bonus
+        if (_referrers[wallet] != address(0) && !_referralRewarded[wallet]) {
+            _rewardReferral(_referrers[wallet], wallet);
+        }
         
-        // Check for tier upgrade
-        ITierManager.Tier newTier = ITierManager(tierManager).calculateTier(participant.totalPoints);
-        if (uint256(newTier) > participant.currentTier) {
-            ITierManager.Tier oldTier = ITierManager.Tier(participant.currentTier);
-            participant.currentTier = uint256(newTier);
+        Participant storage participant = _participants[wallet];
+        emit ParticipantUpdated(wallet, participant.totalPoints, participant.currentTier);
+        
+        _checkAchievements(wallet);
+    }
+    
+    /**
+     * @dev Mint points, count them towards the active season and flag the holder's badge metadata as changed
+     */
+    function _mintPoints(address to, uint256 amount, IPointsToken.PointsSource source, string memory reason) internal {
+        IPointsToken(pointsToken).mint(to, amount, source, reason);
+        IBadgeNFT(badgeNFT).refreshMetadata(to);
+        if (seasonManager != address(0)) {
+            ISeasonManager(seasonManager).recordPoints(to, amount);
+        }
+    }
+    
+    /**
+     * @dev Let the achievement manager unlock any achievements the participant now meets
+     */
+    function _checkAchievements(address wallet) internal {
+        if (achievementManager != address(0)) {
+            IAchievementManager(achievementManager).checkAchievements(wallet);
+        }
+    }
+    
+    /**
+     * @dev Upgrade the participant's tier if qualifying points reach a higher tier
+     */
+    function _checkTierUpgrade(address wallet) internal {
+        Participant storage participant = _participants[wallet];
+        uint256 qualifyingPoints = ITierManager(tierManager).syncQualifyingPoints(wallet, participant.currentTier);
+        uint256 newTier = ITierManager(tierManager).calculateTier(qualifyingPoints);
+        
+        if (newTier > participant.currentTier) {
+            uint256 oldTier = participant.currentTier;
+            participant.currentTier = newTier;
             
-            // Mint tier badge
-            string memory tierName = _getTierName(newTier);
-            IBadgeNFT(badgeNFT).mintBadge(
-                wallet,
-                tierName,
-                string(abi.encodePacked("GreenChain ", tierName, " Member")),
-                string(abi.encodePacked("Congratulations! You've reached ", tierName, " tier.")),
-                string(abi.encodePacked("ipfs://Qm", tierName, "BadgeURI"))
-            );
+            _setTierBadge(wallet, newTier);
             
-            emit TierUpgraded(wallet, uint256(oldTier), uint256(newTier), participant.totalPoints);
+            emit TierUpgraded(wallet, oldTier, newTier, participant.totalPoints);
+        }
+    }
+    
+    /**
+     * @dev Append an activity record and update the lifetime and yearly CO2 aggregates
+     */
+    function _recordLedgerEntry(
+        address wallet,
+        uint256 co2OffsetKg,
+        string memory activityType,
+        uint256 points,
+        address verifier
+    ) internal {
+        Participant storage participant = _participants[wallet];
+        participant.totalCo2OffsetKg += co2OffsetKg;
+        participant.activityCount++;
+        
+        // CO2 amounts are always positive, so a zero total marks a first-seen activity type
+        bytes32 typeKey = keccak256(bytes(activityType));
+        if (_co2ByActivityType[wallet][typeKey] == 0) {
+            _activityTypes[wallet].push(activityType);
         }
+        _co2ByActivityType[wallet][typeKey] += co2OffsetKg;
+        _co2ByYear[wallet][CalendarYear.yearOf(block.timestamp)] += co2OffsetKg;
         
-        // Mint points token
-        IPointsToken(pointsToken).mint(wallet, adjustedPoints, activityDescription);
+        _activityHistory[wallet].push(ActivityRecord({
+            activityType: activityType,
+            co2OffsetKg: co2OffsetKg,
+            points: points,
+            timestamp: block.timestamp,
+            verifier: verifier
+        }));
         
-        emit ParticipantUpdated(wallet, participant.totalPoints, participant.currentTier);
-        emit PointsEarned(wallet, adjustedPoints, co2OffsetKg, activityDescription);
+        emit OffsetRecorded(wallet, activityType, co2OffsetKg, points, verifier);
     }
     
     /**
@@ -256,92 +653,433 @@ contract ParticipantRegistry is IParticipantRegistry, Ownable, Pausable, Reentra
         return _participantAddresses;
     }
     
+    /**
+     * @dev Get lifetime CO2 offset for a single activity type
+     * @param wallet Participant wallet address
+     * @param activityType Activity type (e.g., "TRANSPORT")
+     * @return CO2 offset in kg
+     */
+    function getCo2OffsetByActivityType(address wallet, string memory activityType) external view override returns (uint256) {
+        return _co2ByActivityType[wallet][keccak256(bytes(activityType))];
+    }
+    
+    /**
+     * @dev Get CO2 offset recorded in a calendar year
+     * @param wallet Participant wallet address
+     * @param year Calendar year (UTC)
+     * @return CO2 offset in kg
+     */
+    function getCo2OffsetByYear(address wallet, uint256 year) external view override returns (uint256) {
+        return _co2ByYear[wallet][year];
+    }
+    
+    /**
+     * @dev Get lifetime CO2 offset broken down by activity type
+     * @param wallet Participant wallet address
+     * @return activityTypes Activity types in order first recorded
+     * @return co2OffsetKg CO2 offset in kg for each activity type
+     */
+    function getActivityTypeTotals(address wallet) external view returns (
+        string[] memory activityTypes,
+        uint256[] memory co2OffsetKg
+    ) {
+        activityTypes = _activityTypes[wallet];
+        co2OffsetKg = new uint256[](activityTypes.length);
+        
+        for (uint256 i = 0; i < activityTypes.length; i++) {
+            co2OffsetKg[i] = _co2ByActivityType[wallet][keccak256(bytes(activityTypes[i]))];
+        }
+    }
+    
+    /**
+     * @dev Get number of recorded offset activities
+     * @param wallet Participant wallet address
+     * @return Activity count
+     */
+    function getActivityCount(address wallet) external view returns (uint256) {
+        return _activityHistory[wallet].length;
+    }
+    
+    /**
+     * @dev Get a page of activity records, oldest first
+     * @param wallet Participant wallet address
+     * @param offset Index of the first record to return
+     * @param limit Maximum number of records to return
+     * @return Activity records
+     */
+    function getActivityHistory(address wallet, uint256 offset, uint256 limit) external view override returns (ActivityRecord[] memory) {
+        ActivityRecord[] storage history = _activityHistory[wallet];
+        if (offset >= history.length) {
+            return new ActivityRecord[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > history.length) {
+            end = history.length;
+        }
+        
+        ActivityRecord[] memory result = new ActivityRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = history[i];
+        }
+        
+        return result;
+    }
+    
     /**
      * @dev Calculate points for CO2 offset
      * @param co2Kg CO2 offset amount in kg
-     * @param hasStreak Whether user has activity streak
+     * @param streakLength Streak length the activity counts towards (1 = no streak)
      * @return Calculated points
      */
-    function calculatePoints(uint256 co2Kg, bool hasStreak) external view returns (uint256) {
-        uint256 basePoints = co2Kg * basePointsPerKgCO2;
-        if (hasStreak) {
-            basePoints += (basePoints * streakBonusMultiplier) / 100;
+    function calculatePoints(uint256 co2Kg, uint256 streakLength) external view returns (uint256) {
+        return _calculatePoints(co2Kg, streakLength);
+    }
+    
+    /**
+     * @dev Get streak bonus percent for a streak length, capped at maxStreakBonus
+     * @param streakLength Streak length in windows
+     * @return Bonus percent
+     */
+    function getStreakBonus(uint256 streakLength) public view returns (uint256) {
+        if (streakLength <= 1) {
+            return 0;
         }
-        return basePoints;
+        uint256 bonus = (streakLength - 1) * streakBonusMultiplier;
+        return bonus > maxStreakBonus ? maxStreakBonus : bonus;
+    }
+    
+    /**
+     * @dev Get participant streak data
+     * @param wallet Participant wallet address
+     * @return StreakInfo structure
+     */
+    function getStreakInfo(address wallet) external view returns (StreakInfo memory) {
+        return _streaks[wallet];
+    }
+    
+    /**
+     * @dev Get the streak length an offset recorded now would count towards
+     * @param wallet Participant wallet address
+     * @return Projected streak length
+     */
+    function getProjectedStreak(address wallet) external view returns (uint256) {
+        return _projectedStreak(_streaks[wallet]);
+    }
+    
+    /**
+     * @dev Get streak lengths that earn a milestone badge
+     * @return Milestone streak lengths
+     */
+    function getStreakMilestones() external view returns (uint256[] memory) {
+        return _streakMilestones;
     }
     
     /**
-     * @dev Award referral bonus
+     * @dev Award referral bonus for a referral made outside the registration flow (once per referee)
      * @param referrer Referrer address
      * @param referee Referee address
      */
-    function awardReferralBonus(address referrer, address referee) external onlyAuthorized {
+    function awardReferralBonus(address referrer, address referee) external onlyRole(ACTIVITY_RECORDER_ROLE) {
         require(_participants[referrer].isActive, "Referrer not registered");
         require(_participants[referee].isActive, "Referee not registered");
         require(referrer != referee, "Cannot refer self");
+        require(!_referralRewarded[referee], "Referral already rewarded");
+        
+        if (_referrers[referee] == address(0)) {
+            _setReferrer(referee, referrer);
+        }
+        require(_referrers[referee] == referrer, "Referee has a different referrer");
+        
+        _rewardReferral(referrer, referee);
+    }
+    
+    /**
+     * @dev Claim a referral code for the caller
+     * @param code Referral code (e.g., ethers.encodeBytes32String("ALICE"))
+     */
+    function setReferralCode(bytes32 code) external onlyRegistered whenNotPaused {
+        require(code != bytes32(0), "Referral code required");
+        require(_referralCodeOwners[code] == address(0), "Referral code taken");
+        require(_referralCodes[msg.sender] == bytes32(0), "Referral code already set");
         
-        // Award points to referrer
-        _participants[referrer].totalPoints += referralBonus;
-        IPointsToken(pointsToken).mint(referrer, referralBonus, "Referral bonus");
+        _referralCodeOwners[code] = msg.sender;
+        _referralCodes[msg.sender] = code;
         
-        emit PointsEarned(referrer, referralBonus, 0, "Referral bonus");
+        emit ReferralCodeSet(msg.sender, code);
+    }
+    
+    /**
+     * @dev Get the participant that owns a referral code
+     * @param code Referral code
+     * @return Referrer address, zero if unclaimed
+     */
+    function getReferralCodeOwner(bytes32 code) external view returns (address) {
+        return _referralCodeOwners[code];
+    }
+    
+    /**
+     * @dev Get a participant's referral code
+     * @param wallet Participant wallet address
+     * @return Referral code, zero if none
+     */
+    function getReferralCode(address wallet) external view returns (bytes32) {
+        return _referralCodes[wallet];
+    }
+    
+    /**
+     * @dev Get who referred a participant
+     * @param referee Referee address
+     * @return Referrer address, zero if none
+     */
+    function getReferrer(address referee) external view returns (address) {
+        return _referrers[referee];
     }
     
     /**
-     * @dev Update points configuration (owner only)
+     * @dev Get referral statistics for a referrer
+     * @param referrer Referrer address
+     * @return totalReferrals Participants referred
+     * @return rewardedReferrals Referrals that have paid a bonus
+     */
+    function getReferralStats(address referrer) external view returns (uint256 totalReferrals, uint256 rewardedReferrals) {
+        return (_referrals[referrer].length, _rewardedReferrals[referrer]);
+    }
+    
+    /**
+     * @dev Check if a referee's referral bonus has been paid
+     * @param referee Referee address
+     * @return True if paid
+     */
+    function isReferralRewarded(address referee) external view returns (bool) {
+        return _referralRewarded[referee];
+    }
+    
+    /**
+     * @dev Get a page of a referrer's downline, oldest first
+     * @param referrer Referrer address
+     * @param offset Index of the first referee to return
+     * @param limit Maximum number of referees to return
+     * @return Referee addresses
+     */
+    function getReferrals(address referrer, uint256 offset, uint256 limit) external view returns (address[] memory) {
+        address[] storage referrals = _referrals[referrer];
+        if (offset >= referrals.length) {
+            return new address[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > referrals.length) {
+            end = referrals.length;
+        }
+        
+        address[] memory result = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = referrals[i];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @dev Record a permanent referrer relationship
+     */
+    function _setReferrer(address referee, address referrer) internal {
+        require(referrer != referee, "Cannot refer self");
+        require(_participants[referrer].isActive, "Referrer not registered");
+        
+        _referrers[referee] = referrer;
+        _referrals[referrer].push(referee);
+        
+        emit ReferralRegistered(referrer, referee);
+    }
+    
+    /**
+     * @dev Pay the referrer bonus (subject to the per-referrer cap) and the referee welcome bonus
+     */
+    function _rewardReferral(address referrer, address referee) internal {
+        _referralRewarded[referee] = true;
+        
+        uint256 referrerBonus = 0;
+        if (_rewardedReferrals[referrer] < maxReferralsPerReferrer && referralBonus > 0) {
+            referrerBonus = referralBonus;
+            _rewardedReferrals[referrer]++;
+            _participants[referrer].totalPoints += referrerBonus;
+            _mintPoints(referrer, referrerBonus, IPointsToken.PointsSource.REFERRAL, "Referral bonus");
+            emit PointsEarned(referrer, referrerBonus, 0, "Referral bonus", address(0));
+        }
+        
+        if (refereeWelcomeBonus > 0) {
+            _participants[referee].totalPoints += refereeWelcomeBonus;
+            _mintPoints(referee, refereeWelcomeBonus, IPointsToken.PointsSource.REFERRAL, "Referral welcome bonus");
+            emit PointsEarned(referee, refereeWelcomeBonus, 0, "Referral welcome bonus", address(0));
+        }
+        
+        emit ReferralRewarded(referrer, referee, referrerBonus, refereeWelcomeBonus);
+    }
+    
+    /**
+     * @dev Update points configuration (config admin only)
      */
     function updatePointsConfig(
         uint256 _basePointsPerKgCO2,
         uint256 _streakBonusMultiplier,
         uint256 _referralBonus
-    ) external onlyOwner {
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
         basePointsPerKgCO2 = _basePointsPerKgCO2;
         streakBonusMultiplier = _streakBonusMultiplier;
         referralBonus = _referralBonus;
     }
     
     /**
-     * @dev Update external contract addresses (owner only)
+     * @dev Update referral program configuration (config admin only)
+     * @param _refereeWelcomeBonus Points for the referee once the referral is rewarded
+     * @param _maxReferralsPerReferrer Cap on rewarded referrals per referrer
+     */
+    function updateReferralConfig(uint256 _refereeWelcomeBonus, uint256 _maxReferralsPerReferrer) external onlyRole(CONFIG_ADMIN_ROLE) {
+        refereeWelcomeBonus = _refereeWelcomeBonus;
+        maxReferralsPerReferrer = _maxReferralsPerReferrer;
+        emit ReferralConfigUpdated(_refereeWelcomeBonus, _maxReferralsPerReferrer);
+    }
+    
+    /**
+     * @dev Update streak configuration (config admin only)
+     * @param _streakWindow Length of one streak window in seconds (e.g., 1 days or 7 days)
+     * @param _maxStreakBonus Cap on the streak bonus percent
+     * @param milestones Ascending streak lengths that earn a milestone badge
+     */
+    function updateStreakConfig(
+        uint256 _streakWindow,
+        uint256 _maxStreakBonus,
+        uint256[] calldata milestones
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
+        require(_streakWindow > 0, "Invalid streak window");
+        for (uint256 i = 0; i < milestones.length; i++) {
+            require(milestones[i] > 1, "Invalid milestone");
+            require(i == 0 || milestones[i] > milestones[i - 1], "Milestones must be ascending");
+        }
+        
+        streakWindow = _streakWindow;
+        maxStreakBonus = _maxStreakBonus;
+        _streakMilestones = milestones;
+        
+        emit StreakConfigUpdated(_streakWindow, _maxStreakBonus, milestones);
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
      */
     function updateContractAddresses(
         address _tierManager,
         address _pointsToken,
-        address _badgeNFT
-    ) external onlyOwner {
+        address _badgeNFT,
+        address _seasonManager,
+        address _achievementManager
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
         tierManager = _tierManager;
         pointsToken = _pointsToken;
         badgeNFT = _badgeNFT;
+        seasonManager = _seasonManager;
+        achievementManager = _achievementManager;
     }
     
     /**
-     * @dev Pause contract (owner only)
+     * @dev Pause contract (pauser only)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (owner only)
+     * @dev Unpause contract (pauser only)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
     /**
-     * @dev Get tier name from enum
+     * @dev Base points for a CO2 offset plus the streak bonus
+     */
+    function _calculatePoints(uint256 co2Kg, uint256 streakLength) internal view returns (uint256) {
+        uint256 basePoints = co2Kg * basePointsPerKgCO2;
+        return basePoints + (basePoints * getStreakBonus(streakLength)) / 100;
+    }
+    
+    /**
+     * @dev Streak length for an offset recorded in the current window
+     */
+    function _projectedStreak(StreakInfo memory info) internal view returns (uint256) {
+        if (info.currentStreak == 0) {
+            return 1;
+        }
+        
+        uint256 currentWindow = block.timestamp / streakWindow;
+        uint256 lastWindow = info.lastStreakActivityDate / streakWindow;
+        
+        if (currentWindow == lastWindow) {
+            return info.currentStreak; // Already counted this window
+        }
+        if (currentWindow == lastWindow + 1) {
+            return info.currentStreak + 1;
+        }
+        return 1; // Missed a window, streak restarts
+    }
+    
+    /**
+     * @dev Advance the participant's streak and mint a badge on new milestone records
+     * @return streak Streak length the current offset counts towards
+     */
+    function _updateStreak(address wallet) internal returns (uint256 streak) {
+        StreakInfo storage info = _streaks[wallet];
+        streak = _projectedStreak(info);
+        
+        info.currentStreak = streak;
+        info.lastStreakActivityDate = block.timestamp;
+        
+        // Only a new longest streak can reach a milestone, so each badge is minted once
+        if (streak > info.longestStreak) {
+            info.longestStreak = streak;
+            if (_isStreakMilestone(streak)) {
+                _mintStreakBadge(wallet, streak);
+            }
+        }
+        
+        emit StreakUpdated(wallet, streak, info.longestStreak);
+    }
+    
+    /**
+     * @dev Check if a streak length is a configured milestone
+     */
+    function _isStreakMilestone(uint256 streak) internal view returns (bool) {
+        for (uint256 i = 0; i < _streakMilestones.length; i++) {
+            if (_streakMilestones[i] == streak) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Mint a SPECIAL streak milestone badge
+     */
+    function _mintStreakBadge(address wallet, uint256 streak) internal {
+        uint256 badgeId = IBadgeNFT(badgeNFT).mintStreakBadge(wallet, streak, streakWindow);
+        
+        emit StreakMilestoneReached(wallet, streak, badgeId);
+    }
+    
+    /**
+     * @dev Issue the participant's tier badge, or upgrade it in place, for a tier from TierManager's tier list
      */
-    function _getTierName(ITierManager.Tier tier) internal pure returns (string memory) {
-        if (tier == ITierManager.Tier.BRONZE) return "BRONZE";
-        if (tier == ITierManager.Tier.SILVER) return "SILVER";
-        if (tier == ITierManager.Tier.GOLD) return "GOLD";
-        if (tier == ITierManager.Tier.PLATINUM) return "PLATINUM";
-        return "UNKNOWN";
+    function _setTierBadge(address wallet, uint256 tier) internal {
+        ITierManager.TierInfo memory info = ITierManager(tierManager).getTierInfo(tier);
+        IBadgeNFT(badgeNFT).mintTierBadge(wallet, info.name, info.badgeURI);
     }
 
     /**
      * @dev Get participant tier level
      * @param wallet Participant wallet address
-     * @return Tier level (0=BRONZE, 1=SILVER, 2=GOLD, 3=PLATINUM)
+     * @return Tier level (index into TierManager's tier list, 0=BRONZE)
      */
     function getTierLevel(address wallet) external view returns (uint256) {
         require(_participants[wallet].isActive, "Participant not found");
@@ -1,17 +1,39 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import "./interfaces/IGreenChainSystem.sol";
 
 /**
  * @title PointsToken
  * @dev ERC-20 token representing GreenChain points earned through carbon offset activities
  */
-contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard {
+contract PointsToken is IPointsToken, ERC20Upgradeable, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    using Checkpoints for Checkpoints.Trace208;
+    
+    // Points minted together that expire together
+    struct PointsLot {
+        uint256 amount; // Remaining (unspent, unexpired) points
+        uint256 expiresAt; // 0 = never expires
+    }
+    
+    // Refundable burn; the lots it consumed are kept so a refund restores their original expiry
+    struct PointsSpend {
+        address account;
+        bool refunded;
+    }
     
     // External contract addresses
     address public participantRegistry;
@@ -22,47 +44,107 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
     string public constant POINTS_NAME = "GreenChain Points";
     uint8 public constant DECIMALS = 18;
     
-    // Modifiers
-    modifier onlyAuthorized() {
-        require(
-            msg.sender == owner() || 
-            msg.sender == participantRegistry || 
-            msg.sender == couponExchange,
-            "Not authorized"
-        );
-        _;
-    }
-    
-    constructor(address _participantRegistry, address _couponExchange) 
-        ERC20(POINTS_NAME, POINTS_SYMBOL)
-        Ownable(msg.sender)
-    {
+    // Timestamped checkpoints: cumulative earned (minted) and spent (burned) per account,
+    // account balances, and global minted/burned totals
+    mapping(address => Checkpoints.Trace208) private _earnedCheckpoints;
+    mapping(address => Checkpoints.Trace208) private _spentCheckpoints;
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalMintedCheckpoints;
+    Checkpoints.Trace208 private _totalBurnedCheckpoints;
+    
+    // Points lots per account, ordered by expiry (never-expiring last) and spent soonest-expiring first;
+    // lots before the head are fully used
+    mapping(address => PointsLot[]) private _lots;
+    mapping(address => uint256) private _lotHead;
+    mapping(address => uint256) private _expiredTotals;
+    bool private _expiring;
+    
+    // Expiry configuration: per points source, falling back to the default (0 = never expires)
+    uint256 public defaultExpiryPeriod;
+    mapping(PointsSource => uint256) private _sourceExpiryPeriods;
+    mapping(PointsSource => bool) private _hasSourceExpiryPeriod;
+    
+    // Expiry times are rounded up to whole days so a day's mints share one lot
+    uint256 public constant EXPIRY_ROUNDING = 1 days;
+    
+    // Refundable spends and the lots each one consumed
+    uint256 private _spendCount;
+    mapping(uint256 => PointsSpend) private _spends;
+    mapping(uint256 => PointsLot[]) private _spendLots;
+    bool private _refunding;
+    
+    // Cumulative points minted for offset activities per account (what tiers qualify on)
+    mapping(address => Checkpoints.Trace208) private _activityCheckpoints;
+    
+    // Cumulative points refunded per account and in total; earned, spent, minted and burned only ever grow,
+    // so refunds are tracked here instead of being taken off the spent and burned totals
+    mapping(address => Checkpoints.Trace208) private _refundedCheckpoints;
+    Checkpoints.Trace208 private _totalRefundedCheckpoints;
+    
+    // Events
+    event ExpiryPeriodUpdated(PointsSource indexed source, uint256 period);
+    event DefaultExpiryPeriodUpdated(uint256 period);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _couponExchange) external initializer {
+        __ERC20_init(POINTS_NAME, POINTS_SYMBOL);
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         participantRegistry = _participantRegistry;
         couponExchange = _couponExchange;
+        defaultExpiryPeriod = 365 days;
     }
     
     /**
-     * @dev Mint points to an address (authorized contracts only)
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Mint points to an address (minter only)
      * @param to Recipient address
      * @param amount Points amount
+     * @param source What the points were earned for (selects the expiry period)
      * @param reason Reason for minting
      */
     function mint(
         address to, 
         uint256 amount, 
+        PointsSource source,
         string memory reason
-    ) external override onlyAuthorized whenNotPaused {
+    ) external override onlyRole(MINTER_ROLE) whenNotPaused {
         require(to != address(0), "Cannot mint to zero address");
         require(amount > 0, "Amount must be greater than 0");
         require(bytes(reason).length > 0, "Reason required");
         
         _mint(to, amount);
+        _addLot(to, amount, _expiryFor(source));
+        
+        if (source == PointsSource.ACTIVITY) {
+            Checkpoints.Trace208 storage activity = _activityCheckpoints[to];
+            activity.push(SafeCast.toUint48(block.timestamp), activity.latest() + SafeCast.toUint208(amount));
+        }
         
         emit PointsMinted(to, amount, reason);
     }
     
     /**
-     * @dev Burn points from an address (authorized contracts only)
+     * @dev Burn points from an address (minter only)
      * @param from Address to burn from
      * @param amount Points amount
      * @param reason Reason for burning
@@ -71,19 +153,63 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
         address from, 
         uint256 amount, 
         string memory reason
-    ) external override onlyAuthorized whenNotPaused {
-        require(from != address(0), "Cannot burn from zero address");
-        require(amount > 0, "Amount must be greater than 0");
-        require(balanceOf(from) >= amount, "Insufficient balance");
+    ) external override onlyRole(MINTER_ROLE) whenNotPaused {
+        _burnPoints(from, amount, reason, 0);
+    }
+    
+    /**
+     * @dev Burn points from an address as a refundable spend (minter only)
+     * @param from Address to burn from
+     * @param amount Points amount
+     * @param reason Reason for spending
+     * @return spendId ID to pass to refund
+     */
+    function spend(
+        address from,
+        uint256 amount,
+        string memory reason
+    ) external override onlyRole(MINTER_ROLE) whenNotPaused returns (uint256 spendId) {
+        spendId = ++_spendCount;
+        _spends[spendId].account = from;
+        _burnPoints(from, amount, reason, spendId);
+    }
+    
+    /**
+     * @dev Give back the points of a spend in their original lots and expiry (minter only)
+     * @dev The refund reverses the spend in the spent and burned totals rather than counting as newly
+     *      earned points; restored points that expired in the meantime are swept straight away
+     * @param spendId Spend ID returned by spend
+     * @param reason Reason for refunding
+     * @return amount Points refunded
+     */
+    function refund(
+        uint256 spendId,
+        string memory reason
+    ) external override onlyRole(MINTER_ROLE) whenNotPaused returns (uint256 amount) {
+        PointsSpend storage pointsSpend = _spends[spendId];
+        require(pointsSpend.account != address(0), "Spend does not exist");
+        require(!pointsSpend.refunded, "Spend already refunded");
         require(bytes(reason).length > 0, "Reason required");
         
-        _burn(from, amount);
+        pointsSpend.refunded = true;
+        address account = pointsSpend.account;
+        PointsLot[] storage lots = _spendLots[spendId];
+        for (uint256 i = 0; i < lots.length; i++) {
+            amount += lots[i].amount;
+            _addLot(account, lots[i].amount, lots[i].expiresAt);
+        }
         
-        emit PointsBurned(from, amount, reason);
+        _refunding = true;
+        _mint(account, amount);
+        _refunding = false;
+        
+        emit PointsRefunded(account, amount, spendId, reason);
+        
+        _sweepExpired(account);
     }
     
     /**
-     * @dev Transfer points between addresses (authorized contracts only)
+     * @dev Transfer points between addresses (minter only)
      * @param from Source address
      * @param to Destination address
      * @param amount Points amount
@@ -92,23 +218,111 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
         address from, 
         address to, 
         uint256 amount
-    ) external override onlyAuthorized whenNotPaused {
+    ) external override onlyRole(MINTER_ROLE) whenNotPaused {
         require(from != address(0), "Cannot transfer from zero address");
         require(to != address(0), "Cannot transfer to zero address");
         require(amount > 0, "Amount must be greater than 0");
+        
+        _sweepExpired(from);
         require(balanceOf(from) >= amount, "Insufficient balance");
         
+        // Transferred points keep their original expiry
+        _consumeLots(from, to, amount, 0);
         _transfer(from, to, amount);
         
         emit PointsTransferred(from, to, amount);
     }
     
+    /**
+     * @dev Burn an account's expired points (callable by anyone)
+     * @param account Address to sweep
+     * @return Points expired
+     */
+    function sweepExpiredPoints(address account) external whenNotPaused nonReentrant returns (uint256) {
+        return _sweepExpired(account);
+    }
+    
+    /**
+     * @dev Burn expired points for several accounts (callable by anyone)
+     * @param accounts Addresses to sweep
+     * @return total Points expired across all accounts
+     */
+    function sweepExpiredPointsBatch(address[] calldata accounts) external whenNotPaused nonReentrant returns (uint256 total) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            total += _sweepExpired(accounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Get an account's unspent points lots, soonest expiring first
+     * @param account Address to check
+     * @return Points lots with remaining points
+     */
+    function getPointsLots(address account) external view returns (PointsLot[] memory) {
+        PointsLot[] storage lots = _lots[account];
+        uint256 head = _lotHead[account];
+        
+        uint256 count = 0;
+        for (uint256 i = head; i < lots.length; i++) {
+            if (lots[i].amount > 0) count++;
+        }
+        
+        PointsLot[] memory result = new PointsLot[](count);
+        uint256 index = 0;
+        for (uint256 i = head; i < lots.length; i++) {
+            if (lots[i].amount > 0) {
+                result[index] = lots[i];
+                index++;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @dev Get points that expire at or before a time (including expired points not yet swept)
+     * @param account Address to check
+     * @param beforeTime Cut-off timestamp
+     * @return Expiring points
+     */
+    function getExpiringPoints(address account, uint256 beforeTime) public view returns (uint256) {
+        PointsLot[] storage lots = _lots[account];
+        uint256 expiring = 0;
+        
+        // Lots are ordered by expiry, so stop at the first one still live at the cut-off
+        for (uint256 i = _lotHead[account]; i < lots.length; i++) {
+            uint256 expiresAt = lots[i].expiresAt;
+            if (expiresAt == 0 || expiresAt > beforeTime) break;
+            expiring += lots[i].amount;
+        }
+        
+        return expiring;
+    }
+    
+    /**
+     * @dev Get balance excluding expired points that have not been swept yet
+     * @param account Address to check
+     * @return Spendable points
+     */
+    function getSpendableBalance(address account) external view returns (uint256) {
+        return balanceOf(account) - getExpiringPoints(account, block.timestamp);
+    }
+    
+    /**
+     * @dev Get expiry period applied to a points source
+     * @param source Points source (e.g., REGISTRATION)
+     * @return Expiry period in seconds (0 = never expires)
+     */
+    function getExpiryPeriod(PointsSource source) public view returns (uint256) {
+        return _hasSourceExpiryPeriod[source] ? _sourceExpiryPeriods[source] : defaultExpiryPeriod;
+    }
+    
     /**
      * @dev Get points balance for an address
      * @param account Address to check
      * @return Points balance
      */
-    function balanceOf(address account) public view override(ERC20, IPointsToken) returns (uint256) {
+    function balanceOf(address account) public view override(ERC20Upgradeable, IPointsToken) returns (uint256) {
         return super.balanceOf(account);
     }
     
@@ -125,7 +339,7 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
      * @dev Get total points supply
      * @return Total supply
      */
-    function totalSupply() public view override(ERC20, IPointsToken) returns (uint256) {
+    function totalSupply() public view override(ERC20Upgradeable, IPointsToken) returns (uint256) {
         return super.totalSupply();
     }
     
@@ -165,18 +379,43 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
     }
     
     /**
-     * @dev Get points statistics
+     * @dev Get points statistics; refunded points are neither minted nor un-burned (see getTotalRefunded)
      * @return Total minted, total burned, current supply
      */
     function getPointsStats() external view returns (uint256, uint256, uint256) {
-        return (totalSupply(), 0, totalSupply()); // Burned points not tracked separately in this implementation
+        return (_totalMintedCheckpoints.latest(), _totalBurnedCheckpoints.latest(), totalSupply());
+    }
+    
+    /**
+     * @dev Get points statistics as of a past timestamp
+     * @param timestamp Time to look up
+     * @return totalMinted Total minted up to and including timestamp
+     * @return totalBurned Total burned up to and including timestamp
+     * @return supply Supply at timestamp (minted plus refunded, less burned)
+     */
+    function getPointsStatsAt(uint256 timestamp) external view returns (
+        uint256 totalMinted,
+        uint256 totalBurned,
+        uint256 supply
+    ) {
+        uint48 key = _toKey(timestamp);
+        totalMinted = _totalMintedCheckpoints.upperLookupRecent(key);
+        totalBurned = _totalBurnedCheckpoints.upperLookupRecent(key);
+        supply = totalMinted + _totalRefundedCheckpoints.upperLookupRecent(key) - totalBurned;
+    }
+    
+    /**
+     * @dev Get total points given back by refunded spends
+     */
+    function getTotalRefunded() external view returns (uint256) {
+        return _totalRefundedCheckpoints.latest();
     }
     
     /**
      * @dev Get points earned by address in a time range
      * @param account Address to check
-     * @param fromTime Start time
-     * @param toTime End time
+     * @param fromTime Start time (inclusive)
+     * @param toTime End time (inclusive)
      * @return Points earned in time range
      */
     function getPointsEarnedInRange(
@@ -184,33 +423,304 @@ contract PointsToken is IPointsToken, ERC20, Ownable, Pausable, ReentrancyGuard
         uint256 fromTime, 
         uint256 toTime
     ) external view returns (uint256) {
-        // This would require additional event tracking for precise calculation
-        // For now, return current balance as approximation
-        return balanceOf(account);
+        return _rangeDelta(_earnedCheckpoints[account], fromTime, toTime);
+    }
+    
+    /**
+     * @dev Get points minted to address for offset activities in a time range
+     * @param account Address to check
+     * @param fromTime Start time (inclusive)
+     * @param toTime End time (inclusive)
+     * @return Activity points earned in time range
+     */
+    function getActivityPointsInRange(
+        address account,
+        uint256 fromTime,
+        uint256 toTime
+    ) external view returns (uint256) {
+        return _rangeDelta(_activityCheckpoints[account], fromTime, toTime);
     }
     
     /**
-     * @dev Update external contract addresses (owner only)
+     * @dev Get points spent (burned) by address in a time range
+     * @param account Address to check
+     * @param fromTime Start time (inclusive)
+     * @param toTime End time (inclusive)
+     * @return Points spent in time range
+     */
+    function getPointsSpentInRange(
+        address account,
+        uint256 fromTime,
+        uint256 toTime
+    ) external view returns (uint256) {
+        return _rangeDelta(_spentCheckpoints[account], fromTime, toTime);
+    }
+    
+    /**
+     * @dev Get points refunded to address in a time range (by when the refund happened, not the spend)
+     * @param account Address to check
+     * @param fromTime Start time (inclusive)
+     * @param toTime End time (inclusive)
+     * @return Points refunded in time range
+     */
+    function getPointsRefundedInRange(
+        address account,
+        uint256 fromTime,
+        uint256 toTime
+    ) external view returns (uint256) {
+        return _rangeDelta(_refundedCheckpoints[account], fromTime, toTime);
+    }
+    
+    /**
+     * @dev Get balance of an address as of a past timestamp
+     * @param account Address to check
+     * @param timestamp Time to look up
+     * @return Balance at timestamp
+     */
+    function getBalanceAt(address account, uint256 timestamp) external view returns (uint256) {
+        return _balanceCheckpoints[account].upperLookupRecent(_toKey(timestamp));
+    }
+    
+    /**
+     * @dev Get lifetime earned and spent totals for an address
+     * @param account Address to check
+     * @return earned Total points minted to the address
+     * @return spent Total points spent (burned other than by expiry) from the address, refunded spends included
+     * @return expired Total points expired from the address
+     * @return refunded Total points refunded to the address
+     */
+    function getAccountTotals(address account) external view returns (
+        uint256 earned,
+        uint256 spent,
+        uint256 expired,
+        uint256 refunded
+    ) {
+        earned = _earnedCheckpoints[account].latest();
+        spent = _spentCheckpoints[account].latest();
+        expired = _expiredTotals[account];
+        refunded = _refundedCheckpoints[account].latest();
+    }
+    
+    /**
+     * @dev Set the expiry period for a points source (config admin only)
+     * @param source Points source (e.g., REGISTRATION, REFERRAL)
+     * @param period Expiry period in seconds (0 = never expires)
+     */
+    function setExpiryPeriod(PointsSource source, uint256 period) external onlyRole(CONFIG_ADMIN_ROLE) {
+        _sourceExpiryPeriods[source] = period;
+        _hasSourceExpiryPeriod[source] = true;
+        emit ExpiryPeriodUpdated(source, period);
+    }
+    
+    /**
+     * @dev Set the expiry period for sources without their own period, e.g. activities (config admin only)
+     * @param period Expiry period in seconds (0 = never expires)
+     */
+    function setDefaultExpiryPeriod(uint256 period) external onlyRole(CONFIG_ADMIN_ROLE) {
+        defaultExpiryPeriod = period;
+        emit DefaultExpiryPeriodUpdated(period);
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
      */
-    function updateContractAddresses(address _participantRegistry, address _couponExchange) external onlyOwner {
+    function updateContractAddresses(address _participantRegistry, address _couponExchange) external onlyRole(CONFIG_ADMIN_ROLE) {
         participantRegistry = _participantRegistry;
         couponExchange = _couponExchange;
     }
     
     /**
-     * @dev Pause contract (owner only)
+     * @dev Pause contract (pauser only)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (owner only)
+     * @dev Unpause contract (pauser only)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
+    /**
+     * @dev Record checkpoints for every mint, burn and balance change
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+        
+        uint48 key = SafeCast.toUint48(block.timestamp);
+        uint208 amount = SafeCast.toUint208(value);
+        
+        if (from == address(0)) {
+            if (_refunding) {
+                // A refund gives back spent points rather than minting newly earned ones
+                _totalRefundedCheckpoints.push(key, _totalRefundedCheckpoints.latest() + amount);
+                _refundedCheckpoints[to].push(key, _refundedCheckpoints[to].latest() + amount);
+            } else {
+                _totalMintedCheckpoints.push(key, _totalMintedCheckpoints.latest() + amount);
+                _earnedCheckpoints[to].push(key, _earnedCheckpoints[to].latest() + amount);
+            }
+        } else {
+            _balanceCheckpoints[from].push(key, SafeCast.toUint208(balanceOf(from)));
+        }
+        
+        if (to == address(0)) {
+            _totalBurnedCheckpoints.push(key, _totalBurnedCheckpoints.latest() + amount);
+            if (!_expiring) {
+                _spentCheckpoints[from].push(key, _spentCheckpoints[from].latest() + amount);
+            }
+        } else {
+            _balanceCheckpoints[to].push(key, SafeCast.toUint208(balanceOf(to)));
+        }
+    }
+    
+    /**
+     * @dev Expiry timestamp for points minted now from a source, rounded up to a whole day
+     */
+    function _expiryFor(PointsSource source) internal view returns (uint256) {
+        uint256 period = getExpiryPeriod(source);
+        if (period == 0) return 0;
+        return ((block.timestamp + period + EXPIRY_ROUNDING - 1) / EXPIRY_ROUNDING) * EXPIRY_ROUNDING;
+    }
+    
+    /**
+     * @dev Insert a lot in expiry order, merging with a lot that expires at the same time
+     */
+    function _addLot(address account, uint256 amount, uint256 expiresAt) internal {
+        PointsLot[] storage lots = _lots[account];
+        uint256 head = _lotHead[account];
+        uint256 key = _expirySortKey(expiresAt);
+        
+        // New points usually expire last, so search from the back
+        uint256 i = lots.length;
+        while (i > head && _expirySortKey(lots[i - 1].expiresAt) > key) {
+            i--;
+        }
+        
+        if (i > head && lots[i - 1].expiresAt == expiresAt) {
+            lots[i - 1].amount += amount;
+        } else if (i == head && head > 0) {
+            // Expires before every live lot: reuse the spent slot in front of the head
+            lots[head - 1] = PointsLot({amount: amount, expiresAt: expiresAt});
+            _lotHead[account] = head - 1;
+        } else {
+            lots.push(PointsLot({amount: amount, expiresAt: expiresAt}));
+            for (uint256 j = lots.length - 1; j > i; j--) {
+                lots[j] = lots[j - 1];
+            }
+            lots[i] = PointsLot({amount: amount, expiresAt: expiresAt});
+        }
+    }
+    
+    /**
+     * @dev Order key for a lot's expiry (never-expiring lots sort last)
+     */
+    function _expirySortKey(uint256 expiresAt) internal pure returns (uint256) {
+        return expiresAt == 0 ? type(uint256).max : expiresAt;
+    }
+    
+    /**
+     * @dev Burn points after sweeping expired ones; a non-zero spend ID records the consumed lots for a refund
+     */
+    function _burnPoints(address from, uint256 amount, string memory reason, uint256 spendId) internal {
+        require(from != address(0), "Cannot burn from zero address");
+        require(amount > 0, "Amount must be greater than 0");
+        require(bytes(reason).length > 0, "Reason required");
+        
+        // Expired points cannot be spent
+        _sweepExpired(from);
+        require(balanceOf(from) >= amount, "Insufficient balance");
+        
+        _consumeLots(from, address(0), amount, spendId);
+        _burn(from, amount);
+        
+        emit PointsBurned(from, amount, reason);
+    }
+    
+    /**
+     * @dev Spend lots soonest expiring first; moved points are re-lotted for the recipient unless burned,
+     *      and burned lots are recorded against a non-zero spend ID
+     */
+    function _consumeLots(address from, address to, uint256 amount, uint256 spendId) internal {
+        PointsLot[] storage lots = _lots[from];
+        uint256 remaining = amount;
+        
+        for (uint256 i = _lotHead[from]; i < lots.length && remaining > 0; i++) {
+            uint256 used = lots[i].amount < remaining ? lots[i].amount : remaining;
+            if (used > 0) {
+                lots[i].amount -= used;
+                remaining -= used;
+                if (to != address(0)) {
+                    _addLot(to, used, lots[i].expiresAt);
+                } else if (spendId != 0) {
+                    _spendLots[spendId].push(PointsLot({amount: used, expiresAt: lots[i].expiresAt}));
+                }
+            }
+        }
+        
+        require(remaining == 0, "Insufficient points lots");
+        _advanceLotHead(from);
+    }
+    
+    /**
+     * @dev Burn all expired lots for an account; lots are ordered by expiry, so only expired lots are visited
+     */
+    function _sweepExpired(address account) internal returns (uint256 expired) {
+        PointsLot[] storage lots = _lots[account];
+        uint256 i = _lotHead[account];
+        
+        while (i < lots.length && lots[i].expiresAt != 0 && lots[i].expiresAt <= block.timestamp) {
+            expired += lots[i].amount;
+            lots[i].amount = 0;
+            i++;
+        }
+        
+        if (expired > 0) {
+            _lotHead[account] = i;
+            _expiredTotals[account] += expired;
+            
+            _expiring = true;
+            _burn(account, expired);
+            _expiring = false;
+            
+            emit PointsExpired(account, expired);
+        }
+    }
+    
+    /**
+     * @dev Skip fully used lots at the front of the queue
+     */
+    function _advanceLotHead(address account) internal {
+        PointsLot[] storage lots = _lots[account];
+        uint256 head = _lotHead[account];
+        while (head < lots.length && lots[head].amount == 0) {
+            head++;
+        }
+        _lotHead[account] = head;
+    }
+    
+    /**
+     * @dev Difference in a cumulative checkpoint trace over an inclusive time range
+     */
+    function _rangeDelta(
+        Checkpoints.Trace208 storage trace,
+        uint256 fromTime,
+        uint256 toTime
+    ) internal view returns (uint256) {
+        require(fromTime <= toTime, "Invalid time range");
+        uint256 endValue = trace.upperLookupRecent(_toKey(toTime));
+        uint256 startValue = fromTime == 0 ? 0 : trace.upperLookupRecent(_toKey(fromTime - 1));
+        return endValue - startValue;
+    }
+    
+    /**
+     * @dev Clamp a timestamp to the uint48 checkpoint key space
+     */
+    function _toKey(uint256 timestamp) internal pure returns (uint48) {
+        return timestamp > type(uint48).max ? type(uint48).max : uint48(timestamp);
+    }
+    
     /**
      * @dev Override decimals to match specification
      */
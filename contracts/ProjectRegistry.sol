@@ -0,0 +1,370 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/IGreenChainSystem.sol";
+
+/**
+ * @title ProjectRegistry
+ * @dev Catalogue of offset projects that participants pledge to or fund, gated by the TierManager access flags.
+ * Funded contributions are recorded through ParticipantRegistry.recordOffsetActivity with the project type as
+ * activity type, and the resulting activity record is linked back to the project.
+ */
+contract ProjectRegistry is IProjectRegistry, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant PROJECT_ADMIN_ROLE = keccak256("PROJECT_ADMIN_ROLE");
+    bytes32 public constant CONTRIBUTION_MANAGER_ROLE = keccak256("CONTRIBUTION_MANAGER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Projects by ID (IDs start at 1)
+    uint256 public projectCount;
+    mapping(uint256 => Project) private _projects;
+    
+    // Contributions by ID (IDs start at 1)
+    uint256 public contributionCount;
+    mapping(uint256 => Contribution) private _contributions;
+    mapping(address => uint256[]) private _userContributions;
+    
+    // Funded contribution per registry activity record (wallet => activityIndex => contributionId)
+    mapping(address => mapping(uint256 => uint256)) private _activityContributions;
+    
+    // How long before a project's open time priority and VIP tiers may contribute
+    uint256 public priorityAccessWindow;
+    uint256 public vipAccessWindow;
+    
+    // External contract addresses
+    address public participantRegistry;
+    address public tierManager;
+    
+    // How long a pledge holds capacity before it can no longer be funded (0 = no expiry)
+    uint256 public pledgeDuration;
+    // Open pledges a wallet may hold at once (0 = no limit)
+    uint256 public maxOpenPledges;
+    mapping(address => uint256) public openPledgeCount;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _tierManager) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PROJECT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
+        participantRegistry = _participantRegistry;
+        tierManager = _tierManager;
+        priorityAccessWindow = 1 days;
+        vipAccessWindow = 3 days;
+        pledgeDuration = 7 days;
+        maxOpenPledges = 5;
+    }
+    
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Add an offset project to the catalogue (project admin only)
+     * @param project Project details; committedKg, fundedKg and isActive are ignored and the project starts active
+     * @return New project ID
+     */
+    function createProject(Project memory project) external onlyRole(PROJECT_ADMIN_ROLE) returns (uint256) {
+        _validateProject(project);
+        
+        project.committedKg = 0;
+        project.fundedKg = 0;
+        project.isActive = true;
+        projectCount++;
+        _projects[projectCount] = project;
+        
+        emit ProjectCreated(projectCount, project.name, project.projectType, project.accessLevel, project.capacityKg);
+        return projectCount;
+    }
+    
+    /**
+     * @dev Edit a project's details (project admin only); contribution totals and status are kept
+     * @param projectId Project ID
+     * @param project New details; capacityKg may not drop below what is already committed
+     */
+    function updateProject(uint256 projectId, Project memory project) external onlyRole(PROJECT_ADMIN_ROLE) {
+        require(projectId != 0 && projectId <= projectCount, "Project does not exist");
+        _validateProject(project);
+        
+        Project storage existing = _projects[projectId];
+        require(project.capacityKg >= existing.committedKg, "Capacity below committed");
+        
+        project.committedKg = existing.committedKg;
+        project.fundedKg = existing.fundedKg;
+        project.isActive = existing.isActive;
+        _projects[projectId] = project;
+        
+        emit ProjectUpdated(projectId);
+    }
+    
+    /**
+     * @dev Open or close a project to new contributions (project admin only); open pledges can still be funded
+     */
+    function setProjectActive(uint256 projectId, bool isActive) external onlyRole(PROJECT_ADMIN_ROLE) {
+        require(projectId != 0 && projectId <= projectCount, "Project does not exist");
+        _projects[projectId].isActive = isActive;
+        emit ProjectStatusChanged(projectId, isActive);
+    }
+    
+    function _validateProject(Project memory project) internal pure {
+        require(bytes(project.name).length > 0, "Name required");
+        require(bytes(project.projectType).length > 0, "Project type required");
+        require(project.capacityKg > 0, "Capacity required");
+        require(project.closeTime == 0 || project.closeTime > project.openTime, "Invalid schedule");
+    }
+    
+    /**
+     * @dev Pledge an offset in a project, reserving its capacity until the pledge is funded, cancelled or
+     * released after pledgeDuration. A wallet may hold at most maxOpenPledges open pledges.
+     * @param projectId Project ID
+     * @param co2OffsetKg CO2 to offset in kg
+     * @return Contribution ID
+     */
+    function pledge(uint256 projectId, uint256 co2OffsetKg) external whenNotPaused returns (uint256) {
+        require(maxOpenPledges == 0 || openPledgeCount[msg.sender] < maxOpenPledges, "Too many open pledges");
+        
+        uint256 contributionId = _addContribution(projectId, msg.sender, co2OffsetKg);
+        openPledgeCount[msg.sender]++;
+        
+        emit ContributionPledged(contributionId, projectId, msg.sender, co2OffsetKg);
+        return contributionId;
+    }
+    
+    /**
+     * @dev Cancel an open pledge (the pledging participant or a contribution manager) and release its capacity.
+     * Anyone may cancel a pledge that has expired.
+     */
+    function cancelPledge(uint256 contributionId) external whenNotPaused {
+        Contribution storage contribution = _getOpenPledge(contributionId);
+        require(
+            msg.sender == contribution.wallet ||
+                hasRole(CONTRIBUTION_MANAGER_ROLE, msg.sender) ||
+                _isPledgeExpired(contribution),
+            "Not authorized"
+        );
+        
+        contribution.status = ContributionStatus.CANCELLED;
+        openPledgeCount[contribution.wallet]--;
+        _projects[contribution.projectId].committedKg -= contribution.co2OffsetKg;
+        
+        emit ContributionCancelled(contributionId, contribution.projectId, contribution.wallet);
+    }
+    
+    /**
+     * @dev Mark a pledge as funded once payment has been received and record the offset (contribution manager only).
+     * Expired pledges cannot be funded; cancel them instead.
+     */
+    function fundPledge(uint256 contributionId) external onlyRole(CONTRIBUTION_MANAGER_ROLE) whenNotPaused nonReentrant {
+        Contribution storage contribution = _getOpenPledge(contributionId);
+        require(!_isPledgeExpired(contribution), "Pledge expired");
+        
+        openPledgeCount[contribution.wallet]--;
+        _fund(contributionId, contribution);
+    }
+    
+    /**
+     * @dev Check whether an open pledge has outlived pledgeDuration
+     */
+    function _isPledgeExpired(Contribution storage contribution) internal view returns (bool) {
+        return pledgeDuration != 0 && block.timestamp > contribution.createdAt + pledgeDuration;
+    }
+    
+    /**
+     * @dev Record a contribution funded outside a pledge (contribution manager only).
+     * The participant must have access to the project, as for a pledge.
+     * @param projectId Project ID
+     * @param wallet Contributing participant
+     * @param co2OffsetKg CO2 offset in kg
+     * @return Contribution ID
+     */
+    function recordContribution(
+        uint256 projectId,
+        address wallet,
+        uint256 co2OffsetKg
+    ) external onlyRole(CONTRIBUTION_MANAGER_ROLE) whenNotPaused nonReentrant returns (uint256) {
+        uint256 contributionId = _addContribution(projectId, wallet, co2OffsetKg);
+        _fund(contributionId, _contributions[contributionId]);
+        return contributionId;
+    }
+    
+    /**
+     * @dev Check access and capacity, then store a new pledged contribution
+     */
+    function _addContribution(uint256 projectId, address wallet, uint256 co2OffsetKg) internal returns (uint256) {
+        require(projectId != 0 && projectId <= projectCount, "Project does not exist");
+        require(co2OffsetKg > 0, "CO2 offset must be greater than 0");
+        
+        Project storage project = _projects[projectId];
+        require(project.isActive, "Project not active");
+        require(project.closeTime == 0 || block.timestamp <= project.closeTime, "Project closed");
+        require(project.committedKg + co2OffsetKg <= project.capacityKg, "Insufficient project capacity");
+        
+        IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(wallet);
+        require(participant.isActive, "Participant not registered");
+        _checkAccess(project, participant.currentTier);
+        
+        project.committedKg += co2OffsetKg;
+        contributionCount++;
+        _contributions[contributionCount] = Contribution({
+            projectId: projectId,
+            wallet: wallet,
+            co2OffsetKg: co2OffsetKg,
+            status: ContributionStatus.PLEDGED,
+            createdAt: block.timestamp,
+            activityIndex: 0
+        });
+        _userContributions[wallet].push(contributionCount);
+        
+        return contributionCount;
+    }
+    
+    /**
+     * @dev Require the tier flag for the project's access level, and an early-access window before it opens
+     */
+    function _checkAccess(Project storage project, uint256 tier) internal view {
+        ITierManager tiers = ITierManager(tierManager);
+        
+        if (project.accessLevel == AccessLevel.PRIORITY) {
+            require(tiers.hasPriorityAccess(tier), "Priority access required");
+        } else if (project.accessLevel == AccessLevel.EXCLUSIVE) {
+            require(tiers.hasExclusiveAccess(tier), "Exclusive access required");
+        } else if (project.accessLevel == AccessLevel.VIP) {
+            require(tiers.hasVipAccess(tier), "VIP access required");
+        }
+        
+        if (block.timestamp < project.openTime) {
+            // VIP tiers get the longer of the two windows
+            uint256 window = tiers.hasPriorityAccess(tier) ? priorityAccessWindow : 0;
+            if (tiers.hasVipAccess(tier) && vipAccessWindow > window) {
+                window = vipAccessWindow;
+            }
+            require(block.timestamp + window >= project.openTime, "Project not yet open");
+        }
+    }
+    
+    /**
+     * @dev Record a pledged contribution as an offset in ParticipantRegistry and link the activity record to it
+     */
+    function _fund(uint256 contributionId, Contribution storage contribution) internal {
+        Project storage project = _projects[contribution.projectId];
+        
+        contribution.status = ContributionStatus.FUNDED;
+        project.fundedKg += contribution.co2OffsetKg;
+        
+        uint256 activityIndex = IParticipantRegistry(participantRegistry).recordOffsetActivity(
+            contribution.wallet,
+            contribution.co2OffsetKg,
+            project.projectType,
+            string.concat("Project #", Strings.toString(contribution.projectId), ": ", project.name)
+        );
+        contribution.activityIndex = activityIndex;
+        _activityContributions[contribution.wallet][activityIndex] = contributionId;
+        
+        emit ContributionFunded(contributionId, contribution.projectId, contribution.wallet, contribution.co2OffsetKg, activityIndex);
+    }
+    
+    function _getOpenPledge(uint256 contributionId) internal view returns (Contribution storage contribution) {
+        require(contributionId != 0 && contributionId <= contributionCount, "Contribution does not exist");
+        contribution = _contributions[contributionId];
+        require(contribution.status == ContributionStatus.PLEDGED, "Pledge not open");
+    }
+    
+    /**
+     * @dev Get a project
+     */
+    function getProject(uint256 projectId) external view override returns (Project memory) {
+        require(projectId != 0 && projectId <= projectCount, "Project does not exist");
+        return _projects[projectId];
+    }
+    
+    /**
+     * @dev Get a contribution
+     */
+    function getContribution(uint256 contributionId) external view override returns (Contribution memory) {
+        require(contributionId != 0 && contributionId <= contributionCount, "Contribution does not exist");
+        return _contributions[contributionId];
+    }
+    
+    /**
+     * @dev Get the contribution IDs of a participant
+     */
+    function getUserContributions(address wallet) external view returns (uint256[] memory) {
+        return _userContributions[wallet];
+    }
+    
+    /**
+     * @dev Get the project behind a registry activity record (0 if it was not a project contribution)
+     * @param wallet Participant address
+     * @param activityIndex Index in ParticipantRegistry.getActivityHistory
+     */
+    function getActivityProject(address wallet, uint256 activityIndex) external view override returns (uint256) {
+        uint256 contributionId = _activityContributions[wallet][activityIndex];
+        return contributionId == 0 ? 0 : _contributions[contributionId].projectId;
+    }
+    
+    /**
+     * @dev Set how early priority and VIP tiers may contribute before a project opens (config admin only)
+     */
+    function setAccessWindows(uint256 _priorityAccessWindow, uint256 _vipAccessWindow) external onlyRole(CONFIG_ADMIN_ROLE) {
+        priorityAccessWindow = _priorityAccessWindow;
+        vipAccessWindow = _vipAccessWindow;
+        emit AccessWindowsUpdated(_priorityAccessWindow, _vipAccessWindow);
+    }
+    
+    /**
+     * @dev Set how long pledges hold capacity and how many open pledges a wallet may hold (config admin only).
+     * A new duration also applies to pledges already open.
+     * @param _pledgeDuration Pledge lifetime in seconds (0 = no expiry)
+     * @param _maxOpenPledges Open pledges per wallet (0 = no limit)
+     */
+    function setPledgeLimits(uint256 _pledgeDuration, uint256 _maxOpenPledges) external onlyRole(CONFIG_ADMIN_ROLE) {
+        pledgeDuration = _pledgeDuration;
+        maxOpenPledges = _maxOpenPledges;
+        emit PledgeLimitsUpdated(_pledgeDuration, _maxOpenPledges);
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
+     */
+    function updateContractAddresses(address _participantRegistry, address _tierManager) external onlyRole(CONFIG_ADMIN_ROLE) {
+        participantRegistry = _participantRegistry;
+        tierManager = _tierManager;
+    }
+    
+    /**
+     * @dev Pause contract (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause contract (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+}
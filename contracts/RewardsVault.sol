@@ -1,57 +1,81 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "./interfaces/IGreenChainSystem.sol";
 
 /**
  * @title RewardsVault
  * @dev Manages coupon inventory and reward distribution for GreenChain
  */
-contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
+contract RewardsVault is IRewardsVault, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
     
-    // Coupon inventory mapping
+    // Roles
+    bytes32 public constant INVENTORY_MANAGER_ROLE = keccak256("INVENTORY_MANAGER_ROLE");
+    bytes32 public constant COUPON_ADMIN_ROLE = keccak256("COUPON_ADMIN_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Coupon inventory mapping (available for new purchases)
     mapping(uint256 => uint256) private _couponInventory;
     
-    // Total rewards tracking
+    // Inventory held for purchased coupons and inventory paid out on redemption
+    mapping(uint256 => uint256) private _reservedInventory;
+    mapping(uint256 => uint256) private _consumedInventory;
+    
+    // Every coupon that has ever been stocked
+    uint256[] private _stockedCoupons;
+    mapping(uint256 => bool) private _isStocked;
+    
+    // Total rewards tracking (available + reserved)
     uint256 private _totalRewards;
     
     // External contract addresses
     address public couponExchange;
     address public participantRegistry;
     
-    // Modifiers
-    modifier onlyAuthorized() {
-        require(
-            msg.sender == owner() || 
-            msg.sender == couponExchange || 
-            msg.sender == participantRegistry,
-            "Not authorized"
-        );
-        _;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
     
-    constructor(address _couponExchange, address _participantRegistry) 
-        Ownable(msg.sender)
-    {
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _couponExchange, address _participantRegistry) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(COUPON_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         couponExchange = _couponExchange;
         participantRegistry = _participantRegistry;
     }
     
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
     /**
      * @dev Deposit rewards for a specific coupon
      * @param couponId Coupon ID
      * @param amount Amount to deposit
      */
-    function depositReward(uint256 couponId, uint256 amount) external override onlyAuthorized whenNotPaused {
+    function depositReward(uint256 couponId, uint256 amount) external override onlyRole(INVENTORY_MANAGER_ROLE) whenNotPaused {
         require(amount > 0, "Amount must be greater than 0");
         
-        _couponInventory[couponId] += amount;
-        _totalRewards += amount;
-        
-        emit RewardDeposited(couponId, amount);
+        _addInventory(couponId, amount);
     }
     
     /**
@@ -59,18 +83,52 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
      * @param couponId Coupon ID
      * @param amount Amount to withdraw
      */
-    function withdrawReward(uint256 couponId, uint256 amount) external override onlyAuthorized whenNotPaused {
+    function withdrawReward(uint256 couponId, uint256 amount) external override onlyRole(COUPON_ADMIN_ROLE) whenNotPaused {
         require(amount > 0, "Amount must be greater than 0");
-        require(_couponInventory[couponId] >= amount, "Insufficient inventory");
         
-        _couponInventory[couponId] -= amount;
+        _removeInventory(couponId, amount);
+    }
+    
+    /**
+     * @dev Reserve available inventory for a purchased coupon
+     * @param couponId Coupon ID
+     * @param amount Amount to reserve
+     */
+    function reserveInventory(uint256 couponId, uint256 amount) external override onlyRole(INVENTORY_MANAGER_ROLE) whenNotPaused {
+        require(amount > 0, "Amount must be greater than 0");
+        
+        _reserveInventory(couponId, amount);
+    }
+    
+    /**
+     * @dev Return reserved inventory to the available pool (e.g., cancelled coupon)
+     * @param couponId Coupon ID
+     * @param amount Amount to release
+     */
+    function releaseInventory(uint256 couponId, uint256 amount) external override onlyRole(INVENTORY_MANAGER_ROLE) whenNotPaused {
+        require(amount > 0, "Amount must be greater than 0");
+        
+        _releaseInventory(couponId, amount);
+    }
+    
+    /**
+     * @dev Pay out reserved inventory for a redeemed coupon
+     * @param couponId Coupon ID
+     * @param amount Amount to consume
+     */
+    function consumeInventory(uint256 couponId, uint256 amount) external override onlyRole(INVENTORY_MANAGER_ROLE) whenNotPaused {
+        require(amount > 0, "Amount must be greater than 0");
+        require(_reservedInventory[couponId] >= amount, "Insufficient reserved inventory");
+        
+        _reservedInventory[couponId] -= amount;
+        _consumedInventory[couponId] += amount;
         _totalRewards -= amount;
         
-        emit RewardWithdrawn(couponId, amount);
+        emit InventoryConsumed(couponId, amount);
     }
     
     /**
-     * @dev Get reward balance for a specific coupon
+     * @dev Get available reward balance for a specific coupon
      * @param couponId Coupon ID
      * @return Reward balance
      */
@@ -89,13 +147,16 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
     /**
      * @dev Get coupon inventory status
      * @param couponId Coupon ID
-     * @return Available amount, total deposited, total withdrawn
+     * @return available Amount available for new purchases
+     * @return reserved Amount held for purchased, unredeemed coupons
+     * @return consumed Amount paid out for redeemed coupons
      */
-    function getCouponInventoryStatus(uint256 couponId) external view returns (uint256, uint256, uint256) {
-        uint256 available = _couponInventory[couponId];
-        // Note: This simplified version doesn't track individual deposits/withdrawals
-        // A more complex implementation would track these separately
-        return (available, available, 0);
+    function getCouponInventoryStatus(uint256 couponId) external view override returns (
+        uint256 available,
+        uint256 reserved,
+        uint256 consumed
+    ) {
+        return (_couponInventory[couponId], _reservedInventory[couponId], _consumedInventory[couponId]);
     }
     
     /**
@@ -109,49 +170,57 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev Get all coupons with inventory
+     * @dev Get all coupons with available or reserved inventory
      * @return Array of coupon IDs with inventory
      */
     function getCouponsWithInventory() external view returns (uint256[] memory) {
-        // This would require tracking all coupon IDs that have been deposited
-        // For simplicity, return empty array - in production this would track active coupons
-        return new uint256[](0);
+        uint256 count = 0;
+        for (uint256 i = 0; i < _stockedCoupons.length; i++) {
+            if (_hasInventory(_stockedCoupons[i])) count++;
+        }
+        
+        uint256[] memory result = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _stockedCoupons.length; i++) {
+            if (_hasInventory(_stockedCoupons[i])) {
+                result[index] = _stockedCoupons[i];
+                index++;
+            }
+        }
+        
+        return result;
     }
     
     /**
-     * @dev Emergency withdrawal (owner only)
+     * @dev Emergency withdrawal (default admin only)
      * @param couponId Coupon ID
      * @param amount Amount to withdraw
      */
-    function emergencyWithdraw(uint256 couponId, uint256 amount) external onlyOwner {
+    function emergencyWithdraw(uint256 couponId, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(amount > 0, "Amount must be greater than 0");
-        require(_couponInventory[couponId] >= amount, "Insufficient inventory");
         
-        _couponInventory[couponId] -= amount;
-        _totalRewards -= amount;
-        
-        emit RewardWithdrawn(couponId, amount);
+        _removeInventory(couponId, amount);
     }
     
     /**
-     * @dev Update external contract addresses (owner only)
+     * @dev Update external contract addresses (config admin only)
      */
-    function updateContractAddresses(address _couponExchange, address _participantRegistry) external onlyOwner {
+    function updateContractAddresses(address _couponExchange, address _participantRegistry) external onlyRole(CONFIG_ADMIN_ROLE) {
         couponExchange = _couponExchange;
         participantRegistry = _participantRegistry;
     }
     
     /**
-     * @dev Pause contract (owner only)
+     * @dev Pause contract (pauser only)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (owner only)
+     * @dev Unpause contract (pauser only)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -161,9 +230,9 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
      * @param action Action to perform (0=add, 1=remove, 2=reserve, 3=release)
      * @param amount Amount to manage
      * @return success True if operation successful
-     * @return newBalance New inventory balance
+     * @return newBalance New available inventory balance
      */
-    function manageInventory(uint256 couponId, uint8 action, uint256 amount) external onlyAuthorized returns (
+    function manageInventory(uint256 couponId, uint8 action, uint256 amount) external onlyRole(COUPON_ADMIN_ROLE) returns (
         bool success,
         uint256 newBalance
     ) {
@@ -173,20 +242,16 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
         uint256 _newBalance;
         
         if (action == 0) { // Add inventory
-            _couponInventory[couponId] += amount;
-            _totalRewards += amount;
+            _addInventory(couponId, amount);
             _success = true;
         } else if (action == 1) { // Remove inventory
-            require(_couponInventory[couponId] >= amount, "Insufficient inventory");
-            _couponInventory[couponId] -= amount;
-            _totalRewards -= amount;
+            _removeInventory(couponId, amount);
             _success = true;
         } else if (action == 2) { // Reserve inventory
-            require(_couponInventory[couponId] >= amount, "Insufficient inventory");
-            // In a more complex system, this would move inventory to a reserved state
+            _reserveInventory(couponId, amount);
             _success = true;
         } else if (action == 3) { // Release inventory
-            // In a more complex system, this would release reserved inventory
+            _releaseInventory(couponId, amount);
             _success = true;
         } else {
             _success = false;
@@ -195,4 +260,47 @@ contract RewardsVault is IRewardsVault, Ownable, Pausable, ReentrancyGuard {
         _newBalance = _couponInventory[couponId];
         return (_success, _newBalance);
     }
-} 
\ No newline at end of file
+    
+    function _addInventory(uint256 couponId, uint256 amount) internal {
+        if (!_isStocked[couponId]) {
+            _isStocked[couponId] = true;
+            _stockedCoupons.push(couponId);
+        }
+        
+        _couponInventory[couponId] += amount;
+        _totalRewards += amount;
+        
+        emit RewardDeposited(couponId, amount);
+    }
+    
+    function _removeInventory(uint256 couponId, uint256 amount) internal {
+        require(_couponInventory[couponId] >= amount, "Insufficient inventory");
+        
+        _couponInventory[couponId] -= amount;
+        _totalRewards -= amount;
+        
+        emit RewardWithdrawn(couponId, amount);
+    }
+    
+    function _reserveInventory(uint256 couponId, uint256 amount) internal {
+        require(_couponInventory[couponId] >= amount, "Insufficient inventory");
+        
+        _couponInventory[couponId] -= amount;
+        _reservedInventory[couponId] += amount;
+        
+        emit InventoryReserved(couponId, amount);
+    }
+    
+    function _releaseInventory(uint256 couponId, uint256 amount) internal {
+        require(_reservedInventory[couponId] >= amount, "Insufficient reserved inventory");
+        
+        _reservedInventory[couponId] -= amount;
+        _couponInventory[couponId] += amount;
+        
+        emit InventoryReleased(couponId, amount);
+    }
+    
+    function _hasInventory(uint256 couponId) internal view returns (bool) {
+        return _couponInventory[couponId] > 0 || _reservedInventory[couponId] > 0;
+    }
+}
@@ -0,0 +1,281 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/IGreenChainSystem.sol";
+
+/**
+ * @title SeasonManager
+ * @dev Competitive seasons: per-season points, an on-chain top-N leaderboard, and season-end badges and bonus points
+ */
+contract SeasonManager is ISeasonManager, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+    
+    // Roles
+    bytes32 public constant SEASON_ADMIN_ROLE = keccak256("SEASON_ADMIN_ROLE");
+    bytes32 public constant POINTS_RECORDER_ROLE = keccak256("POINTS_RECORDER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Bounds the leaderboard insertion cost added to every points award
+    uint256 public constant MAX_LEADERBOARD_SIZE = 100;
+    
+    struct Season {
+        string name;
+        string badgeURI; // Image for the season-end badges
+        uint256 leaderboardSize;
+        uint256 startTime;
+        uint256 endTime; // Set when the season is closed
+        bool isClosed;
+    }
+    
+    // Latest season; it is active until closed
+    uint256 public currentSeasonId;
+    
+    mapping(uint256 => Season) private _seasons;
+    mapping(uint256 => mapping(address => uint256)) private _seasonPoints;
+    
+    // Top participants per season, highest first; frozen when the season closes
+    mapping(uint256 => LeaderboardEntry[]) private _leaderboards;
+    mapping(uint256 => mapping(address => uint256)) private _leaderboardPositions; // index + 1, 0 = not ranked
+    
+    // Season badge token IDs (seasonId => wallet => tokenId)
+    mapping(uint256 => mapping(address => uint256)) private _seasonBadges;
+    
+    // External contract addresses
+    address public participantRegistry;
+    address public badgeNFT;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _badgeNFT) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(SEASON_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
+        participantRegistry = _participantRegistry;
+        badgeNFT = _badgeNFT;
+    }
+    
+    /**
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Start a new season (season admin only; the previous season must be closed)
+     * @param name Season name, used in the badge names
+     * @param leaderboardSize Number of participants ranked on-chain
+     * @param badgeURI Image URI for the season-end badges
+     * @return New season ID
+     */
+    function startSeason(
+        string memory name,
+        uint256 leaderboardSize,
+        string memory badgeURI
+    ) external onlyRole(SEASON_ADMIN_ROLE) whenNotPaused returns (uint256) {
+        require(bytes(name).length > 0, "Name required");
+        require(leaderboardSize > 0 && leaderboardSize <= MAX_LEADERBOARD_SIZE, "Invalid leaderboard size");
+        require(!isSeasonActive(), "Season already active");
+        
+        currentSeasonId++;
+        _seasons[currentSeasonId] = Season({
+            name: name,
+            badgeURI: badgeURI,
+            leaderboardSize: leaderboardSize,
+            startTime: block.timestamp,
+            endTime: 0,
+            isClosed: false
+        });
+        
+        emit SeasonStarted(currentSeasonId, name, leaderboardSize);
+        return currentSeasonId;
+    }
+    
+    /**
+     * @dev Add points to the active season (called by ParticipantRegistry whenever it awards points).
+     * Does nothing between seasons so point awards never fail because of seasons.
+     * @param wallet Participant address
+     * @param points Points awarded
+     */
+    function recordPoints(address wallet, uint256 points) external override onlyRole(POINTS_RECORDER_ROLE) {
+        if (!isSeasonActive()) {
+            return;
+        }
+        
+        uint256 seasonId = currentSeasonId;
+        uint256 total = _seasonPoints[seasonId][wallet] + points;
+        _seasonPoints[seasonId][wallet] = total;
+        _updateLeaderboard(seasonId, wallet, total);
+    }
+    
+    /**
+     * @dev Close the active season: freeze its leaderboard and reward the top-ranked participants
+     * @param badgeCount Number of top-ranked participants who get a season badge
+     * @param bonusPoints Bonus points by rank (index 0 = rank 1); may be empty
+     */
+    function closeSeason(
+        uint256 badgeCount,
+        uint256[] calldata bonusPoints
+    ) external onlyRole(SEASON_ADMIN_ROLE) whenNotPaused nonReentrant {
+        require(isSeasonActive(), "No active season");
+        
+        uint256 seasonId = currentSeasonId;
+        Season storage season = _seasons[seasonId];
+        season.isClosed = true;
+        season.endTime = block.timestamp;
+        
+        LeaderboardEntry[] storage leaderboard = _leaderboards[seasonId];
+        for (uint256 i = 0; i < leaderboard.length; i++) {
+            if (i >= badgeCount && i >= bonusPoints.length) {
+                break;
+            }
+            
+            address wallet = leaderboard[i].wallet;
+            string memory rank = Strings.toString(i + 1);
+            
+            uint256 badgeId = 0;
+            if (i < badgeCount) {
+                badgeId = IBadgeNFT(badgeNFT).mintBadge(
+                    wallet,
+                    "SEASON",
+                    string.concat(season.name, " #", rank),
+                    string.concat("Finished #", rank, " in ", season.name),
+                    season.badgeURI
+                );
+                _seasonBadges[seasonId][wallet] = badgeId;
+            }
+            
+            // Bonus points go through the registry like other awards (tier multiplier, tier check)
+            uint256 bonus = i < bonusPoints.length ? bonusPoints[i] : 0;
+            if (bonus > 0) {
+                IParticipantRegistry(participantRegistry).updateParticipant(wallet, bonus, 0, "Season bonus");
+            }
+            
+            emit SeasonRewardAwarded(seasonId, wallet, i + 1, badgeId, bonus);
+        }
+        
+        emit SeasonClosed(seasonId, leaderboard.length);
+    }
+    
+    /**
+     * @dev Insert or move a participant on the season leaderboard, keeping it sorted by points
+     */
+    function _updateLeaderboard(uint256 seasonId, address wallet, uint256 total) internal {
+        LeaderboardEntry[] storage leaderboard = _leaderboards[seasonId];
+        uint256 position = _leaderboardPositions[seasonId][wallet];
+        uint256 index;
+        
+        if (position != 0) {
+            index = position - 1;
+        } else if (leaderboard.length < _seasons[seasonId].leaderboardSize) {
+            leaderboard.push(LeaderboardEntry({ wallet: wallet, points: total }));
+            index = leaderboard.length - 1;
+        } else if (total > leaderboard[leaderboard.length - 1].points) {
+            // Knock the last entry off the board
+            index = leaderboard.length - 1;
+            delete _leaderboardPositions[seasonId][leaderboard[index].wallet];
+        } else {
+            return;
+        }
+        
+        // Ties keep the participant who reached the score first ahead
+        while (index > 0 && leaderboard[index - 1].points < total) {
+            leaderboard[index] = leaderboard[index - 1];
+            _leaderboardPositions[seasonId][leaderboard[index].wallet] = index + 1;
+            index--;
+        }
+        
+        leaderboard[index] = LeaderboardEntry({ wallet: wallet, points: total });
+        _leaderboardPositions[seasonId][wallet] = index + 1;
+    }
+    
+    /**
+     * @dev Check if a season is running
+     */
+    function isSeasonActive() public view returns (bool) {
+        return currentSeasonId != 0 && !_seasons[currentSeasonId].isClosed;
+    }
+    
+    /**
+     * @dev Get season details
+     */
+    function getSeason(uint256 seasonId) external view returns (Season memory) {
+        require(seasonId != 0 && seasonId <= currentSeasonId, "Season does not exist");
+        return _seasons[seasonId];
+    }
+    
+    /**
+     * @dev Get a participant's points in a season
+     */
+    function getSeasonPoints(uint256 seasonId, address wallet) external view override returns (uint256) {
+        return _seasonPoints[seasonId][wallet];
+    }
+    
+    /**
+     * @dev Get a participant's points in the active season (zero between seasons)
+     */
+    function getCurrentSeasonPoints(address wallet) external view returns (uint256) {
+        return isSeasonActive() ? _seasonPoints[currentSeasonId][wallet] : 0;
+    }
+    
+    /**
+     * @dev Get a season leaderboard, highest first (final rankings once the season is closed)
+     */
+    function getLeaderboard(uint256 seasonId) external view override returns (LeaderboardEntry[] memory) {
+        return _leaderboards[seasonId];
+    }
+    
+    /**
+     * @dev Get a participant's leaderboard rank in a season (1-based, 0 if not on the leaderboard)
+     */
+    function getRank(uint256 seasonId, address wallet) external view returns (uint256) {
+        return _leaderboardPositions[seasonId][wallet];
+    }
+    
+    /**
+     * @dev Get the season badge token ID awarded to a participant (0 if none)
+     */
+    function getSeasonBadge(uint256 seasonId, address wallet) external view returns (uint256) {
+        return _seasonBadges[seasonId][wallet];
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
+     */
+    function updateContractAddresses(address _participantRegistry, address _badgeNFT) external onlyRole(CONFIG_ADMIN_ROLE) {
+        participantRegistry = _participantRegistry;
+        badgeNFT = _badgeNFT;
+    }
+    
+    /**
+     * @dev Pause contract (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Unpause contract (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+}
@@ -1,43 +1,85 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "./interfaces/IGreenChainSystem.sol";
 
 /**
  * @title TierManager
  * @dev Manages tier progression, benefits, and multipliers for GreenChain participants
  */
-contract TierManager is ITierManager, Ownable, Pausable {
+contract TierManager is ITierManager, AccessControlUpgradeable, PausableUpgradeable, UUPSUpgradeable {
     
-    // Tier configuration mapping
-    mapping(Tier => TierInfo) private _tierConfigs;
+    // Roles
+    bytes32 public constant TIER_UPDATER_ROLE = keccak256("TIER_UPDATER_ROLE");
+    bytes32 public constant CONFIG_ADMIN_ROLE = keccak256("CONFIG_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    
+    // Ordered tier list; point ranges are contiguous from 0 to type(uint256).max
+    TierInfo[] private _tiers;
     
     // External contract addresses
     address public participantRegistry;
     address public badgeNFT;
+    address public pointsToken;
+    
+    // Tier decay configuration
+    uint256 public qualifyingWindow; // Rolling window for qualifying points (0 = lifetime points)
+    uint256 public gracePeriod; // Time a participant keeps a tier after falling below it
+    
+    // Start of the current grace period for participants below their tier's threshold
+    mapping(address => uint256) private _graceStartedAt;
+    
+    // Events
+    event TierDecayConfigUpdated(uint256 qualifyingWindow, uint256 gracePeriod);
+    event TierGracePeriodStarted(address indexed wallet, uint256 currentTier, uint256 graceEndsAt);
+    event TierGracePeriodCleared(address indexed wallet);
     
     // Modifiers
-    modifier onlyAuthorized() {
-        require(msg.sender == owner() || msg.sender == participantRegistry, "Not authorized");
+    modifier validTier(uint256 tier) {
+        require(tier < _tiers.length, "Invalid tier");
         _;
     }
     
-    constructor(address _participantRegistry, address _badgeNFT) 
-        Ownable(msg.sender)
-    {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy (replaces the constructor)
+     */
+    function initialize(address _participantRegistry, address _badgeNFT, address _pointsToken) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CONFIG_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+        
         participantRegistry = _participantRegistry;
         badgeNFT = _badgeNFT;
+        pointsToken = _pointsToken;
         _initializeTierConfigs();
     }
     
     /**
-     * @dev Initialize default tier configurations
+     * @dev Restrict implementation upgrades to UPGRADER_ROLE
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+    
+    /**
+     * @dev Initialize default tier configurations; tier badges use BadgeNFT's on-chain artwork (empty badgeURI)
      */
     function _initializeTierConfigs() internal {
         // BRONZE Tier (0-999 points)
-        _tierConfigs[Tier.BRONZE] = TierInfo({
+        _tiers.push(TierInfo({
+            name: "BRONZE",
             minPoints: 0,
             maxPoints: 999,
             multiplier: 100, // 1.0x multiplier
@@ -45,11 +87,12 @@ contract TierManager is ITierManager, Ownable, Pausable {
             hasPriorityAccess: false,
             hasExclusiveProjects: false,
             hasVipAccess: false,
-            badgeURI: "ipfs://QmBronzeBadgeURI"
-        });
+            badgeURI: ""
+        }));
         
         // SILVER Tier (1,000-4,999 points)
-        _tierConfigs[Tier.SILVER] = TierInfo({
+        _tiers.push(TierInfo({
+            name: "SILVER",
             minPoints: 1000,
             maxPoints: 4999,
             multiplier: 120, // 1.2x multiplier
@@ -57,11 +100,12 @@ contract TierManager is ITierManager, Ownable, Pausable {
             hasPriorityAccess: true,
             hasExclusiveProjects: false,
             hasVipAccess: false,
-            badgeURI: "ipfs://QmSilverBadgeURI"
-        });
+            badgeURI: ""
+        }));
         
         // GOLD Tier (5,000-19,999 points)
-        _tierConfigs[Tier.GOLD] = TierInfo({
+        _tiers.push(TierInfo({
+            name: "GOLD",
             minPoints: 5000,
             maxPoints: 19999,
             multiplier: 150, // 1.5x multiplier
@@ -69,11 +113,12 @@ contract TierManager is ITierManager, Ownable, Pausable {
             hasPriorityAccess: true,
             hasExclusiveProjects: true,
             hasVipAccess: false,
-            badgeURI: "ipfs://QmGoldBadgeURI"
-        });
+            badgeURI: ""
+        }));
         
         // PLATINUM Tier (20,000+ points)
-        _tierConfigs[Tier.PLATINUM] = TierInfo({
+        _tiers.push(TierInfo({
+            name: "PLATINUM",
             minPoints: 20000,
             maxPoints: type(uint256).max,
             multiplier: 200, // 2.0x multiplier
@@ -81,79 +126,193 @@ contract TierManager is ITierManager, Ownable, Pausable {
             hasPriorityAccess: true,
             hasExclusiveProjects: true,
             hasVipAccess: true,
-            badgeURI: "ipfs://QmPlatinumBadgeURI"
-        });
+            badgeURI: ""
+        }));
     }
     
     /**
      * @dev Calculate tier based on points
      * @param points Total points earned
-     * @return Tier enum value
+     * @return Tier index
      */
-    function calculateTier(uint256 points) external pure override returns (Tier) {
-        if (points >= 20000) {
-            return Tier.PLATINUM;
-        } else if (points >= 5000) {
-            return Tier.GOLD;
-        } else if (points >= 1000) {
-            return Tier.SILVER;
-        } else {
-            return Tier.BRONZE;
+    function calculateTier(uint256 points) external view override returns (uint256) {
+        return _calculateTier(points);
+    }
+    
+    /**
+     * @dev Get points that count towards a participant's tier; only offset activity points qualify,
+     *      not registration, referral, achievement or season bonuses
+     * @param wallet Participant address
+     * @return Activity points earned within the qualifying window, or over the participant's lifetime if no window is set
+     */
+    function getQualifyingPoints(address wallet) public view override returns (uint256) {
+        uint256 fromTime = block.timestamp > qualifyingWindow && qualifyingWindow > 0 ? block.timestamp - qualifyingWindow : 0;
+        return IPointsToken(pointsToken).getActivityPointsInRange(wallet, fromTime, block.timestamp);
+    }
+    
+    /**
+     * @dev Get qualifying points for the registry's tier check and end a pending grace period
+     *      once the participant qualifies for their current tier again (tier updater only)
+     * @param wallet Participant address
+     * @param currentTier Participant's current tier
+     * @return Qualifying points
+     */
+    function syncQualifyingPoints(address wallet, uint256 currentTier) external override onlyRole(TIER_UPDATER_ROLE) returns (uint256) {
+        uint256 qualifyingPoints = getQualifyingPoints(wallet);
+        if (_graceStartedAt[wallet] != 0 && currentTier < _tiers.length && qualifyingPoints >= _tiers[currentTier].minPoints) {
+            delete _graceStartedAt[wallet];
+            emit TierGracePeriodCleared(wallet);
+        }
+        return qualifyingPoints;
+    }
+    
+    /**
+     * @dev Re-check a participant's tier against qualifying points and demote once the grace period ends
+     * @param wallet Participant address
+     * @return Participant tier after re-evaluation
+     */
+    function reevaluateTier(address wallet) external whenNotPaused returns (uint256) {
+        IParticipantRegistry.Participant memory participant = IParticipantRegistry(participantRegistry).getParticipant(wallet);
+        require(participant.isActive, "Participant not found");
+        
+        uint256 currentTier = participant.currentTier;
+        uint256 qualifyingPoints = getQualifyingPoints(wallet);
+        uint256 qualifiedTier = _calculateTier(qualifyingPoints);
+        
+        if (qualifiedTier >= currentTier) {
+            if (_graceStartedAt[wallet] != 0) {
+                delete _graceStartedAt[wallet];
+                emit TierGracePeriodCleared(wallet);
+            }
+            return currentTier;
+        }
+        
+        if (gracePeriod > 0) {
+            if (_graceStartedAt[wallet] == 0) {
+                _graceStartedAt[wallet] = block.timestamp;
+                emit TierGracePeriodStarted(wallet, currentTier, block.timestamp + gracePeriod);
+                return currentTier;
+            }
+            if (block.timestamp < _graceStartedAt[wallet] + gracePeriod) {
+                return currentTier;
+            }
+        }
+        
+        delete _graceStartedAt[wallet];
+        IParticipantRegistry(participantRegistry).downgradeTier(wallet, qualifiedTier, qualifyingPoints);
+        return qualifiedTier;
+    }
+    
+    /**
+     * @dev Get the end of a participant's grace period
+     * @param wallet Participant address
+     * @return Grace period end timestamp, 0 if not in a grace period
+     */
+    function getGracePeriodEnd(address wallet) external view returns (uint256) {
+        uint256 startedAt = _graceStartedAt[wallet];
+        return startedAt == 0 ? 0 : startedAt + gracePeriod;
+    }
+    
+    /**
+     * @dev Update tier decay configuration (config admin only)
+     * @param _qualifyingWindow Rolling window for qualifying points (0 = lifetime points)
+     * @param _gracePeriod Time a participant keeps a tier after falling below it
+     */
+    function updateTierDecayConfig(uint256 _qualifyingWindow, uint256 _gracePeriod) external onlyRole(CONFIG_ADMIN_ROLE) {
+        qualifyingWindow = _qualifyingWindow;
+        gracePeriod = _gracePeriod;
+        emit TierDecayConfigUpdated(_qualifyingWindow, _gracePeriod);
+    }
+    
+    /**
+     * @dev Tier for a points total
+     */
+    function _calculateTier(uint256 points) internal view returns (uint256) {
+        for (uint256 i = _tiers.length - 1; i > 0; i--) {
+            if (points >= _tiers[i].minPoints) {
+                return i;
+            }
         }
+        return 0;
+    }
+    
+    /**
+     * @dev Get number of configured tiers
+     * @return Tier count
+     */
+    function getTierCount() external view override returns (uint256) {
+        return _tiers.length;
+    }
+    
+    /**
+     * @dev Get all tiers in ascending order
+     * @return Array of TierInfo structures
+     */
+    function getAllTiers() external view returns (TierInfo[] memory) {
+        return _tiers;
     }
     
     /**
      * @dev Get tier information
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return TierInfo structure
      */
-    function getTierInfo(Tier tier) external view override returns (TierInfo memory) {
-        return _tierConfigs[tier];
+    function getTierInfo(uint256 tier) external view override validTier(tier) returns (TierInfo memory) {
+        return _tiers[tier];
+    }
+    
+    /**
+     * @dev Get tier name
+     * @param tier Tier index
+     * @return Tier name (e.g., "SILVER")
+     */
+    function getTierName(uint256 tier) external view override validTier(tier) returns (string memory) {
+        return _tiers[tier].name;
     }
     
     /**
      * @dev Get tier multiplier (in basis points)
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return Multiplier in basis points (e.g., 120 = 1.2x)
      */
-    function getTierMultiplier(Tier tier) external view override returns (uint256) {
-        return _tierConfigs[tier].multiplier;
+    function getTierMultiplier(uint256 tier) external view override validTier(tier) returns (uint256) {
+        return _tiers[tier].multiplier;
     }
     
     /**
      * @dev Get tier coupon bonus (in basis points)
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return Coupon bonus in basis points (e.g., 10 = 10%)
      */
-    function getTierCouponBonus(Tier tier) external view override returns (uint256) {
-        return _tierConfigs[tier].couponBonus;
+    function getTierCouponBonus(uint256 tier) external view override validTier(tier) returns (uint256) {
+        return _tiers[tier].couponBonus;
     }
     
     /**
      * @dev Check if tier has priority access
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return True if tier has priority access
      */
-    function hasPriorityAccess(Tier tier) external view returns (bool) {
-        return _tierConfigs[tier].hasPriorityAccess;
+    function hasPriorityAccess(uint256 tier) external view validTier(tier) returns (bool) {
+        return _tiers[tier].hasPriorityAccess;
     }
     
     /**
      * @dev Check if tier has exclusive project access
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return True if tier has exclusive access
      */
-    function hasExclusiveAccess(Tier tier) external view returns (bool) {
-        return _tierConfigs[tier].hasExclusiveProjects;
+    function hasExclusiveAccess(uint256 tier) external view validTier(tier) returns (bool) {
+        return _tiers[tier].hasExclusiveProjects;
     }
     
     /**
      * @dev Check if tier has VIP access
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return True if tier has VIP access
      */
-    function hasVipAccess(Tier tier) external view returns (bool) {
-        return _tierConfigs[tier].hasVipAccess;
+    function hasVipAccess(uint256 tier) external view validTier(tier) returns (bool) {
+        return _tiers[tier].hasVipAccess;
     }
     
     /**
@@ -161,21 +320,11 @@ contract TierManager is ITierManager, Ownable, Pausable {
      * @param currentTier Current tier
      * @return Points required for next tier, 0 if at max tier
      */
-    function getNextTierRequirements(Tier currentTier) external view returns (uint256) {
-        if (currentTier == Tier.PLATINUM) {
+    function getNextTierRequirements(uint256 currentTier) external view validTier(currentTier) returns (uint256) {
+        if (currentTier + 1 >= _tiers.length) {
             return 0; // Already at max tier
         }
-        
-        Tier nextTier;
-        if (currentTier == Tier.BRONZE) {
-            nextTier = Tier.SILVER;
-        } else if (currentTier == Tier.SILVER) {
-            nextTier = Tier.GOLD;
-        } else if (currentTier == Tier.GOLD) {
-            nextTier = Tier.PLATINUM;
-        }
-        
-        return _tierConfigs[nextTier].minPoints;
+        return _tiers[currentTier + 1].minPoints;
     }
     
     /**
@@ -186,22 +335,12 @@ contract TierManager is ITierManager, Ownable, Pausable {
      * @return nextTier Next tier level
      * @return pointsNeeded Points needed for next tier
      */
-    function checkTierUpgrade(uint256 currentPoints, Tier currentTier) external view returns (
+    function checkTierUpgrade(uint256 currentPoints, uint256 currentTier) external view validTier(currentTier) returns (
         bool eligible,
-        Tier nextTier,
+        uint256 nextTier,
         uint256 pointsNeeded
     ) {
-        // Calculate tier based on points
-        Tier calculatedTier;
-        if (currentPoints >= 20000) {
-            calculatedTier = Tier.PLATINUM;
-        } else if (currentPoints >= 5000) {
-            calculatedTier = Tier.GOLD;
-        } else if (currentPoints >= 1000) {
-            calculatedTier = Tier.SILVER;
-        } else {
-            calculatedTier = Tier.BRONZE;
-        }
+        uint256 calculatedTier = _calculateTier(currentPoints);
         
         if (calculatedTier > currentTier) {
             eligible = true;
@@ -211,26 +350,20 @@ contract TierManager is ITierManager, Ownable, Pausable {
             eligible = false;
             nextTier = currentTier;
             
-            // Calculate points needed for next tier
-            if (currentTier == Tier.PLATINUM) {
-                pointsNeeded = 0; // Already at max tier
-            } else if (currentTier == Tier.BRONZE) {
-                pointsNeeded = _tierConfigs[Tier.SILVER].minPoints;
-            } else if (currentTier == Tier.SILVER) {
-                pointsNeeded = _tierConfigs[Tier.GOLD].minPoints;
-            } else if (currentTier == Tier.GOLD) {
-                pointsNeeded = _tierConfigs[Tier.PLATINUM].minPoints;
+            // Calculate points needed for next tier (0 if already at max tier)
+            if (currentTier + 1 < _tiers.length) {
+                pointsNeeded = _tiers[currentTier + 1].minPoints;
             }
         }
     }
     
     /**
      * @dev Get tier benefits summary
-     * @param tier Tier enum value
+     * @param tier Tier index
      * @return Benefits string
      */
-    function getTierBenefits(Tier tier) external view returns (string memory) {
-        TierInfo memory info = _tierConfigs[tier];
+    function getTierBenefits(uint256 tier) external view validTier(tier) returns (string memory) {
+        TierInfo memory info = _tiers[tier];
         
         string memory benefits = "";
         
@@ -264,39 +397,95 @@ contract TierManager is ITierManager, Ownable, Pausable {
     }
     
     /**
-     * @dev Update tier configuration (owner only)
+     * @dev Update tier configuration (config admin only)
      * @param tier Tier to update
      * @param tierInfo New tier configuration
      */
-    function updateTierConfig(Tier tier, TierInfo memory tierInfo) external override onlyOwner {
-        require(tierInfo.minPoints < tierInfo.maxPoints, "Invalid point range");
-        require(tierInfo.multiplier >= 100, "Multiplier must be at least 100");
-        require(tierInfo.couponBonus <= 100, "Coupon bonus cannot exceed 100%");
-        
-        _tierConfigs[tier] = tierInfo;
+    function updateTierConfig(uint256 tier, TierInfo memory tierInfo) external override onlyRole(CONFIG_ADMIN_ROLE) validTier(tier) {
+        _tiers[tier] = tierInfo;
+        _validateTiers();
         
         emit TierConfigUpdated(tier, tierInfo);
     }
     
     /**
-     * @dev Update external contract addresses (owner only)
+     * @dev Add a new top tier (config admin only); the current top tier is capped below the new tier's minimum
+     * @param tierInfo New tier configuration, with maxPoints = type(uint256).max
+     * @return New tier index
+     */
+    function addTier(TierInfo memory tierInfo) external onlyRole(CONFIG_ADMIN_ROLE) returns (uint256) {
+        TierInfo storage topTier = _tiers[_tiers.length - 1];
+        require(tierInfo.minPoints > topTier.minPoints + 1, "Tier must start above current top tier");
+        topTier.maxPoints = tierInfo.minPoints - 1;
+        
+        _tiers.push(tierInfo);
+        _validateTiers();
+        
+        uint256 newTier = _tiers.length - 1;
+        emit TierConfigUpdated(newTier - 1, _tiers[newTier - 1]);
+        emit TierConfigUpdated(newTier, tierInfo);
+        return newTier;
+    }
+    
+    /**
+     * @dev Replace the tier table (config admin only); existing tiers cannot be removed
+     * @param tiers Ordered tier configurations
+     */
+    function setTiers(TierInfo[] memory tiers) external onlyRole(CONFIG_ADMIN_ROLE) {
+        require(tiers.length >= _tiers.length, "Cannot remove tiers");
+        
+        delete _tiers;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            _tiers.push(tiers[i]);
+            emit TierConfigUpdated(i, tiers[i]);
+        }
+        _validateTiers();
+    }
+    
+    /**
+     * @dev Check the tier table is ordered, contiguous and non-overlapping
+     */
+    function _validateTiers() internal view {
+        require(_tiers.length > 0, "No tiers configured");
+        require(_tiers[0].minPoints == 0, "First tier must start at 0");
+        require(_tiers[_tiers.length - 1].maxPoints == type(uint256).max, "Last tier must be open-ended");
+        
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            TierInfo storage info = _tiers[i];
+            require(bytes(info.name).length > 0, "Tier name required");
+            require(info.minPoints < info.maxPoints, "Invalid point range");
+            require(info.multiplier >= 100, "Multiplier must be at least 100");
+            require(info.couponBonus <= 100, "Coupon bonus cannot exceed 100%");
+            if (i > 0) {
+                require(info.minPoints == _tiers[i - 1].maxPoints + 1, "Tier ranges must be contiguous");
+            }
+        }
+    }
+    
+    /**
+     * @dev Update external contract addresses (config admin only)
      */
-    function updateContractAddresses(address _participantRegistry, address _badgeNFT) external onlyOwner {
+    function updateContractAddresses(
+        address _participantRegistry,
+        address _badgeNFT,
+        address _pointsToken
+    ) external onlyRole(CONFIG_ADMIN_ROLE) {
         participantRegistry = _participantRegistry;
         badgeNFT = _badgeNFT;
+        pointsToken = _pointsToken;
     }
     
     /**
-     * @dev Pause contract (owner only)
+     * @dev Pause contract (pauser only)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (owner only)
+     * @dev Unpause contract (pauser only)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
@@ -305,13 +494,13 @@ contract TierManager is ITierManager, Ownable, Pausable {
      * @param participantAddress Participant address
      * @param newTier New tier level
      */
-    function upgradeTier(address participantAddress, Tier newTier) external onlyAuthorized {
+    function upgradeTier(address participantAddress, uint256 newTier) external onlyRole(TIER_UPDATER_ROLE) {
         require(participantAddress != address(0), "Invalid participant address");
-        require(uint256(newTier) <= 3, "Invalid tier level");
+        require(newTier < _tiers.length, "Invalid tier level");
         
         // This function would typically be called by ParticipantRegistry
         // after verifying the participant has enough points
-        emit TierUpgraded(participantAddress, Tier.BRONZE, newTier, 0);
+        emit TierUpgraded(participantAddress, 0, newTier, 0);
     }
     
     /**
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC5192
+ * @dev Minimal soulbound NFT interface (https://eips.ethereum.org/EIPS/eip-5192)
+ */
+interface IERC5192 {
+    /// @notice Emitted when the locking status is changed to locked
+    event Locked(uint256 tokenId);
+
+    /// @notice Emitted when the locking status is changed to unlocked
+    event Unlocked(uint256 tokenId);
+
+    /// @notice Returns the locking status of a soulbound token (reverts for unknown tokens)
+    function locked(uint256 tokenId) external view returns (bool);
+}
@@ -13,25 +13,40 @@ interface IParticipantRegistry {
         uint256 currentTier;
         uint256 joinDate;
         uint256 lastActivityDate;
+        uint256 totalCo2OffsetKg; // Lifetime CO2 offset across all activity types
+        uint256 activityCount; // Number of recorded offset activities
         bool isActive;
         string profileHash; // IPFS hash for off-chain profile data
     }
 
+    struct ActivityRecord {
+        string activityType; // "TRANSPORT", "ENERGY", "WASTE", ...
+        uint256 co2OffsetKg;
+        uint256 points; // Points awarded after multipliers
+        uint256 timestamp;
+        address verifier; // Verifier or authorized recorder that vouched for the offset
+    }
+
     event ParticipantRegistered(address indexed wallet, uint256 joinDate);
     event ParticipantUpdated(address indexed wallet, uint256 totalPoints, uint256 tier);
-    event PointsEarned(address indexed wallet, uint256 points, uint256 co2Offset, string activity);
+    event PointsEarned(address indexed wallet, uint256 points, uint256 co2Offset, string activity, address indexed verifier);
 
     function registerParticipant(string memory profileHash) external;
     function updateParticipant(address wallet, uint256 points, uint256 co2Offset, string memory activity) external;
+    function recordOffsetActivity(address wallet, uint256 co2OffsetKg, string memory activityType, string memory activityDescription) external returns (uint256 activityIndex);
     function getParticipant(address wallet) external view returns (Participant memory);
+    function getCo2OffsetByActivityType(address wallet, string memory activityType) external view returns (uint256);
+    function getCo2OffsetByYear(address wallet, uint256 year) external view returns (uint256);
+    function getActivityHistory(address wallet, uint256 offset, uint256 limit) external view returns (ActivityRecord[] memory);
     function isRegistered(address wallet) external view returns (bool);
     function getTotalParticipants() external view returns (uint256);
+    function downgradeTier(address wallet, uint256 newTier, uint256 qualifyingPoints) external;
 }
 
 interface ITierManager {
-    enum Tier { BRONZE, SILVER, GOLD, PLATINUM }
-
+    // Tiers are indexes into TierManager's ordered tier list (0 = entry tier, e.g. BRONZE)
     struct TierInfo {
+        string name; // "BRONZE", "SILVER", "GOLD", "PLATINUM", ...
         uint256 minPoints;
         uint256 maxPoints;
         uint256 multiplier; // Points multiplier (in basis points, e.g., 120 = 1.2x)
@@ -39,29 +54,50 @@ interface ITierManager {
         bool hasPriorityAccess;
         bool hasExclusiveProjects;
         bool hasVipAccess;
-        string badgeURI;
+        string badgeURI; // Off-chain artwork for the tier badge (empty = BadgeNFT's on-chain SVG)
     }
 
-    event TierUpgraded(address indexed wallet, Tier oldTier, Tier newTier, uint256 points);
-    event TierConfigUpdated(Tier tier, TierInfo tierInfo);
+    event TierUpgraded(address indexed wallet, uint256 oldTier, uint256 newTier, uint256 points);
+    event TierConfigUpdated(uint256 tier, TierInfo tierInfo);
 
-    function calculateTier(uint256 points) external pure returns (Tier);
-    function getTierInfo(Tier tier) external view returns (TierInfo memory);
-    function getTierMultiplier(Tier tier) external view returns (uint256);
-    function getTierCouponBonus(Tier tier) external view returns (uint256);
-    function updateTierConfig(Tier tier, TierInfo memory tierInfo) external;
+    function calculateTier(uint256 points) external view returns (uint256);
+    function getTierCount() external view returns (uint256);
+    function getTierInfo(uint256 tier) external view returns (TierInfo memory);
+    function getTierName(uint256 tier) external view returns (string memory);
+    function getTierMultiplier(uint256 tier) external view returns (uint256);
+    function getTierCouponBonus(uint256 tier) external view returns (uint256);
+    function hasPriorityAccess(uint256 tier) external view returns (bool);
+    function hasExclusiveAccess(uint256 tier) external view returns (bool);
+    function hasVipAccess(uint256 tier) external view returns (bool);
+    function updateTierConfig(uint256 tier, TierInfo memory tierInfo) external;
+    function getQualifyingPoints(address wallet) external view returns (uint256);
+    function syncQualifyingPoints(address wallet, uint256 currentTier) external returns (uint256);
 }
 
 interface IPointsToken {
+    // What points were minted for; expiry periods are configured per source
+    enum PointsSource {
+        ACTIVITY, // Verified offset activities
+        REGISTRATION, // Registration bonus
+        REFERRAL, // Referral and referral welcome bonuses
+        BONUS // Achievement, season and other admin-awarded bonuses
+    }
+
     event PointsMinted(address indexed to, uint256 amount, string reason);
     event PointsBurned(address indexed from, uint256 amount, string reason);
     event PointsTransferred(address indexed from, address indexed to, uint256 amount);
+    event PointsExpired(address indexed account, uint256 amount);
+    event PointsRefunded(address indexed to, uint256 amount, uint256 spendId, string reason);
 
-    function mint(address to, uint256 amount, string memory reason) external;
+    function mint(address to, uint256 amount, PointsSource source, string memory reason) external;
     function burn(address from, uint256 amount, string memory reason) external;
+    function spend(address from, uint256 amount, string memory reason) external returns (uint256 spendId);
+    function refund(uint256 spendId, string memory reason) external returns (uint256 amount);
     function transferPoints(address from, address to, uint256 amount) external;
     function balanceOf(address account) external view returns (uint256);
     function totalSupply() external view returns (uint256);
+    function getPointsEarnedInRange(address account, uint256 fromTime, uint256 toTime) external view returns (uint256);
+    function getActivityPointsInRange(address account, uint256 fromTime, uint256 toTime) external view returns (uint256);
 }
 
 interface IBadgeNFT {
@@ -71,19 +107,27 @@ interface IBadgeNFT {
         string badgeType; // "BRONZE", "SILVER", "GOLD", "PLATINUM", "SPECIAL"
         string name;
         string description;
-        string imageURI;
+        string imageURI; // Off-chain artwork used instead of the on-chain SVG in tokenURI (empty = on-chain SVG)
         uint256 earnedDate;
         bool isActive;
     }
 
     event BadgeMinted(address indexed to, uint256 tokenId, string badgeType);
     event BadgeUpdated(uint256 tokenId, string badgeType);
+    event BadgeStatusChanged(uint256 tokenId, bool isActive);
+    event BadgeRecovered(uint256 tokenId, address indexed from, address indexed to);
 
     function mintBadge(address to, string memory badgeType, string memory name, string memory description, string memory imageURI) external returns (uint256);
+    function mintTierBadge(address to, string memory tierName, string memory imageURI) external returns (uint256);
+    function mintStreakBadge(address to, uint256 streak, uint256 streakWindow) external returns (uint256);
     function getBadge(uint256 tokenId) external view returns (Badge memory);
     function getUserBadges(address user) external view returns (uint256[] memory);
-    function updateBadge(uint256 tokenId, string memory badgeType) external;
+    function getTierBadge(address holder) external view returns (uint256);
+    function updateBadge(uint256 tokenId, string memory badgeType, string memory name, string memory description, string memory imageURI) external;
     function burnBadge(uint256 tokenId) external;
+    function recoverBadge(uint256 tokenId, address to) external;
+    function setBadgeActive(uint256 tokenId, bool isActive) external;
+    function refreshMetadata(address holder) external;
 }
 
 interface ICouponExchange {
@@ -97,6 +141,17 @@ interface ICouponExchange {
         bool isActive;
         uint256 maxSupply;
         uint256 currentSupply;
+        address merchant; // Listing merchant (zero for centrally supplied coupons)
+    }
+
+    // Sale and holding rules for a coupon (all zero = always on sale, unlimited, open to all tiers, non-refundable)
+    struct CouponTerms {
+        uint256 startTime; // Sale start (priority tiers may buy earlier)
+        uint256 endTime; // Last moment to purchase or redeem (0 = no end)
+        uint256 maxPerUser; // Purchases per participant (0 = unlimited)
+        uint256 minTier; // Minimum tier index
+        bool isExclusive; // Requires a tier with exclusive access
+        uint256 refundWindow; // Seconds after purchase the owner may cancel for a refund
     }
 
     struct UserCoupon {
@@ -105,16 +160,23 @@ interface ICouponExchange {
         uint256 purchaseDate;
         bool isRedeemed;
         uint256 redemptionDate;
-        string redemptionCode;
+        bytes32 redemptionCodeHash; // Commitment to the owner's off-chain redemption code
+        bool isConsumed; // Used at a merchant
+        uint256 reservedValue; // Vault inventory held for this coupon (value incl. tier bonus)
+        uint256 pointsSpent;
+        bool isCancelled;
     }
 
     event CouponCreated(uint256 couponId, string name, uint256 pointsCost, uint256 value);
     event CouponPurchased(address indexed user, uint256 couponId, uint256 pointsSpent);
-    event CouponRedeemed(address indexed user, uint256 couponId, string redemptionCode);
+    event CouponRedeemed(address indexed user, uint256 couponId, bytes32 redemptionCodeHash);
+    event RedemptionConsumed(uint256 indexed userCouponId, address indexed merchant);
+    event CouponCancelled(address indexed user, uint256 couponId, uint256 userCouponId, uint256 pointsRefunded);
+    event CouponTermsUpdated(uint256 couponId, CouponTerms terms);
 
     function createCoupon(string memory name, string memory description, uint256 pointsCost, uint256 value, string memory category, uint256 maxSupply) external returns (uint256);
     function purchaseCoupon(uint256 couponId) external returns (uint256);
-    function redeemCoupon(uint256 userCouponId) external returns (string memory);
+    function redeemCoupon(uint256 userCouponId, bytes32 redemptionCodeHash) external;
     function getCoupon(uint256 couponId) external view returns (Coupon memory);
     function getUserCoupons(address user) external view returns (UserCoupon[] memory);
     function getAvailableCoupons() external view returns (uint256[] memory);
@@ -123,9 +185,146 @@ interface ICouponExchange {
 interface IRewardsVault {
     event RewardDeposited(uint256 couponId, uint256 amount);
     event RewardWithdrawn(uint256 couponId, uint256 amount);
+    event InventoryReserved(uint256 couponId, uint256 amount);
+    event InventoryReleased(uint256 couponId, uint256 amount);
+    event InventoryConsumed(uint256 couponId, uint256 amount);
 
     function depositReward(uint256 couponId, uint256 amount) external;
     function withdrawReward(uint256 couponId, uint256 amount) external;
+    function reserveInventory(uint256 couponId, uint256 amount) external;
+    function releaseInventory(uint256 couponId, uint256 amount) external;
+    function consumeInventory(uint256 couponId, uint256 amount) external;
     function getRewardBalance(uint256 couponId) external view returns (uint256);
     function getTotalRewards() external view returns (uint256);
-} 
\ No newline at end of file
+    function getCouponInventoryStatus(uint256 couponId) external view returns (uint256 available, uint256 reserved, uint256 consumed);
+}
+
+interface ISeasonManager {
+    struct LeaderboardEntry {
+        address wallet;
+        uint256 points; // Season points
+    }
+
+    event SeasonStarted(uint256 indexed seasonId, string name, uint256 leaderboardSize);
+    event SeasonClosed(uint256 indexed seasonId, uint256 rankedParticipants);
+    event SeasonRewardAwarded(uint256 indexed seasonId, address indexed wallet, uint256 rank, uint256 badgeId, uint256 bonusPoints);
+
+    function recordPoints(address wallet, uint256 points) external;
+    function getSeasonPoints(uint256 seasonId, address wallet) external view returns (uint256);
+    function getLeaderboard(uint256 seasonId) external view returns (LeaderboardEntry[] memory);
+}
+
+interface IAchievementManager {
+    enum RuleType {
+        OFFSET_COUNT, // At least `threshold` recorded offsets (1 = first offset)
+        CO2_TOTAL, // At least `threshold` kg CO2 offset in total, or for `activityType` if set
+        ACTIVITIES_IN_WINDOW, // At least `threshold` offsets within the last `window` seconds
+        TIER_REACHED // Tier level `threshold` or higher, within `window` seconds of joining (0 = any time)
+    }
+
+    struct AchievementRule {
+        string name; // Badge name
+        string description; // Badge description
+        RuleType ruleType;
+        string activityType; // CO2_TOTAL only; empty counts every activity type
+        uint256 threshold;
+        uint256 window; // Seconds, see RuleType
+        uint256 bonusPoints; // Awarded through ParticipantRegistry with the badge (0 = none)
+        bool isActive;
+    }
+
+    event AchievementRuleCreated(uint256 indexed ruleId, string name, RuleType ruleType);
+    event AchievementRuleStatusChanged(uint256 indexed ruleId, bool isActive);
+    event AchievementUnlocked(uint256 indexed ruleId, address indexed wallet, uint256 badgeId, uint256 bonusPoints);
+
+    function checkAchievements(address wallet) external;
+    function hasAchievement(uint256 ruleId, address wallet) external view returns (bool);
+}
+
+interface IOffsetCertificate {
+    enum CertificateKind {
+        CREDIT, // Retired registry credits; token amount in tonnes, retirable
+        ANNUAL // Yearly offset statement for top-tier members; amount 1
+    }
+
+    // Registry credits set aside for certificates; each serial number is one tonne of CO2
+    struct CreditBatch {
+        uint256 projectId;
+        uint256 vintage; // Vintage year
+        string serialPrefix; // Registry serial prefix, e.g. "VCS-VCU-1234"
+        uint256 serialStart;
+        uint256 serialEnd;
+        uint256 nextSerial; // First serial not yet claimed
+    }
+
+    struct Certificate {
+        CertificateKind kind;
+        address beneficiary; // Participant the offset is attributed to
+        uint256 projectId; // 0 for annual certificates
+        uint256 vintage; // Vintage year, or the covered year for annual certificates
+        string serialPrefix;
+        uint256 serialStart;
+        uint256 serialEnd;
+        uint256 co2OffsetKg;
+        uint256 retiredTonnes;
+        uint256 issuedAt;
+    }
+
+    event CreditBatchAdded(uint256 indexed batchId, uint256 indexed projectId, uint256 vintage, uint256 serialStart, uint256 serialEnd);
+    event CertificateIssued(uint256 indexed certificateId, address indexed wallet, CertificateKind kind, uint256 amount, uint256 co2OffsetKg);
+    event CertificateRetired(uint256 indexed certificateId, address indexed wallet, uint256 tonnes);
+
+    function getCertificate(uint256 certificateId) external view returns (Certificate memory);
+    function getUserCertificates(address wallet) external view returns (uint256[] memory);
+    function getClaimableCo2(address wallet) external view returns (uint256);
+}
+
+interface IProjectRegistry {
+    enum AccessLevel {
+        OPEN,
+        PRIORITY, // Tiers with hasPriorityAccess
+        EXCLUSIVE, // Tiers with hasExclusiveProjects
+        VIP // Tiers with hasVipAccess
+    }
+
+    enum ContributionStatus {
+        PLEDGED, // Capacity reserved, waiting for funding
+        FUNDED, // Recorded as an offset in ParticipantRegistry
+        CANCELLED
+    }
+
+    struct Project {
+        string name;
+        string projectType; // Recorded as the offset activity type, e.g. "FORESTRY", "RENEWABLE_ENERGY"
+        string location;
+        uint256 capacityKg; // CO2 the project can take contributions for
+        uint256 committedKg; // Open pledges plus funded contributions
+        uint256 fundedKg;
+        AccessLevel accessLevel;
+        uint256 openTime; // Contributions open (priority and VIP tiers may contribute earlier)
+        uint256 closeTime; // Last moment to contribute (0 = no end)
+        bool isActive;
+    }
+
+    struct Contribution {
+        uint256 projectId;
+        address wallet;
+        uint256 co2OffsetKg;
+        ContributionStatus status;
+        uint256 createdAt;
+        uint256 activityIndex; // Index in the participant's registry activity history once funded
+    }
+
+    event ProjectCreated(uint256 indexed projectId, string name, string projectType, AccessLevel accessLevel, uint256 capacityKg);
+    event ProjectUpdated(uint256 indexed projectId);
+    event ProjectStatusChanged(uint256 indexed projectId, bool isActive);
+    event ContributionPledged(uint256 indexed contributionId, uint256 indexed projectId, address indexed wallet, uint256 co2OffsetKg);
+    event ContributionFunded(uint256 indexed contributionId, uint256 indexed projectId, address indexed wallet, uint256 co2OffsetKg, uint256 activityIndex);
+    event ContributionCancelled(uint256 indexed contributionId, uint256 indexed projectId, address indexed wallet);
+    event AccessWindowsUpdated(uint256 priorityAccessWindow, uint256 vipAccessWindow);
+    event PledgeLimitsUpdated(uint256 pledgeDuration, uint256 maxOpenPledges);
+
+    function getProject(uint256 projectId) external view returns (Project memory);
+    function getContribution(uint256 contributionId) external view returns (Contribution memory);
+    function getActivityProject(address wallet, uint256 activityIndex) external view returns (uint256);
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title CalendarYear
+ * @dev Gregorian calendar years (UTC) for unix timestamps, shared by the per-year CO2 totals in
+ * ParticipantRegistry and the annual statements in OffsetCertificate
+ */
+library CalendarYear {
+    /**
+     * @dev Unix timestamp of January 1st of a year (UTC), for years from 1970
+     */
+    function yearStart(uint256 year) internal pure returns (uint256) {
+        uint256 previous = year - 1;
+        uint256 leapDays = (previous / 4 - 492) - (previous / 100 - 19) + (previous / 400 - 4);
+        return ((year - 1970) * 365 + leapDays) * 1 days;
+    }
+    
+    /**
+     * @dev Calendar year (UTC) of a timestamp
+     */
+    function yearOf(uint256 timestamp) internal pure returns (uint256) {
+        uint256 year = 1970 + timestamp / 365.2425 days;
+        if (yearStart(year) > timestamp) {
+            return year - 1;
+        }
+        if (yearStart(year + 1) <= timestamp) {
+            return year + 1;
+        }
+        return year;
+    }
+}
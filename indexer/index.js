@@ -0,0 +1,12 @@
+const { createStore } = require("./store");
+const { INDEXED_EVENTS, createIndexer } = require("./indexer");
+const { getLeaderboard, getUserTimeline, getCo2ByActivityType } = require("./queries");
+
+module.exports = {
+    INDEXED_EVENTS,
+    createStore,
+    createIndexer,
+    getLeaderboard,
+    getUserTimeline,
+    getCo2ByActivityType
+};
@@ -0,0 +1,207 @@
+// Follows the GreenChain contracts and copies their events into a store, undoing blocks lost to reorgs
+
+// Events copied into the store, per contract; everything else the contracts emit is skipped
+const INDEXED_EVENTS = {
+    ParticipantRegistry: [
+        "ParticipantRegistered",
+        "PointsEarned",
+        "OffsetRecorded",
+        "TierUpgraded",
+        "TierDowngraded",
+        "ReferralRewarded"
+    ],
+    BadgeNFT: ["BadgeMinted", "BadgeRecovered"],
+    CouponExchange: ["CouponCreated", "CouponPurchased", "CouponRedeemed", "CouponCancelled", "RedemptionConsumed"],
+    RewardsVault: ["RewardDeposited", "RewardWithdrawn", "InventoryReserved", "InventoryReleased", "InventoryConsumed"],
+    SeasonManager: ["SeasonStarted", "SeasonClosed", "SeasonRewardAwarded"],
+    AchievementManager: ["AchievementUnlocked"],
+    OffsetCertificate: ["CertificateIssued", "CertificateRetired"],
+    ProjectRegistry: ["ProjectCreated", "ContributionPledged", "ContributionFunded", "ContributionCancelled"]
+};
+
+const DEFAULTS = {
+    confirmations: 0,
+    batchSize: 2000,
+    maxReorgDepth: 64,
+    pollInterval: 5000
+};
+
+/**
+ * Plain JSON copy of decoded event arguments (bigints become decimal strings)
+ */
+function serializeArgs(fragment, args) {
+    const values = {};
+    fragment.inputs.forEach((input, i) => {
+        values[input.name] = serializeValue(args[i]);
+    });
+    return values;
+}
+
+function serializeValue(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, serializeValue);
+    }
+    return value;
+}
+
+/**
+ * @param options.provider   ethers provider for the chain to index
+ * @param options.contracts  ethers contracts keyed by contract name (see INDEXED_EVENTS)
+ * @param options.store      store from createStore
+ * @param options.startBlock first block to index on an empty store, usually the deployment block
+ */
+function createIndexer({ provider, contracts, store, startBlock = 0, ...options }) {
+    const settings = { ...DEFAULTS, ...options };
+    const sources = new Map();
+    let stopped = false;
+
+    for (const [name, contract] of Object.entries(contracts)) {
+        if (INDEXED_EVENTS[name]) {
+            sources.set(contract.target.toLowerCase(), { name, contract });
+        }
+    }
+    const addresses = [...sources.values()].map(({ contract }) => contract.target);
+
+    function decodeLog(log) {
+        const source = sources.get(log.address.toLowerCase());
+        if (!source) {
+            return null;
+        }
+
+        const parsed = source.contract.interface.parseLog(log);
+        if (!parsed || !INDEXED_EVENTS[source.name].includes(parsed.name)) {
+            return null;
+        }
+
+        return {
+            id: `${log.blockNumber}:${log.index}`,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            contract: source.name,
+            event: parsed.name,
+            args: serializeArgs(parsed.fragment, parsed.args)
+        };
+    }
+
+    /**
+     * Check the checkpoint is still on the canonical chain; after a reorg, roll back to
+     * the newest recorded block that still is
+     * @return Block rolled back to, or null if there was no reorg
+     */
+    async function handleReorg() {
+        const { checkpoint, recentBlocks } = store.state;
+        if (!checkpoint) {
+            return null;
+        }
+
+        const current = await provider.getBlock(checkpoint.blockNumber);
+        if (current && current.hash === checkpoint.blockHash) {
+            return null;
+        }
+
+        for (const block of [...recentBlocks].reverse()) {
+            if (block.blockNumber >= checkpoint.blockNumber) {
+                continue;
+            }
+            const canonical = await provider.getBlock(block.blockNumber);
+            if (canonical && canonical.hash === block.blockHash) {
+                store.rollback(block.blockNumber, block.blockHash);
+                return block.blockNumber;
+            }
+        }
+
+        // Nothing indexed is older than the reorg depth, so start over
+        if (checkpoint.blockNumber - startBlock < settings.maxReorgDepth) {
+            store.rollback(startBlock - 1, null);
+            return startBlock - 1;
+        }
+
+        throw new Error(
+            `Reorg below block ${checkpoint.blockNumber} is deeper than the ${settings.maxReorgDepth} blocks kept; ` +
+            "delete the store and reindex"
+        );
+    }
+
+    /**
+     * Index every confirmed block after the checkpoint
+     * @return Summary of the blocks indexed and any reorg handled
+     */
+    async function syncOnce() {
+        const { chainId } = await provider.getNetwork();
+        if (store.state.chainId === null) {
+            store.state.chainId = Number(chainId);
+        } else if (store.state.chainId !== Number(chainId)) {
+            throw new Error(`Store is for chain ${store.state.chainId}, connected to ${chainId}`);
+        }
+
+        const reorgedTo = await handleReorg();
+        const fromBlock = store.state.checkpoint ? store.state.checkpoint.blockNumber + 1 : startBlock;
+        const toBlock = (await provider.getBlockNumber()) - settings.confirmations;
+        const summary = { fromBlock, toBlock: fromBlock - 1, events: 0, reorgedTo };
+
+        for (let batchStart = fromBlock; batchStart <= toBlock; batchStart += settings.batchSize) {
+            const batchEnd = Math.min(batchStart + settings.batchSize - 1, toBlock);
+            const logs = await provider.getLogs({ address: addresses, fromBlock: batchStart, toBlock: batchEnd });
+            const events = logs.map(decodeLog).filter(Boolean);
+
+            // Timestamps come from the block headers, which also confirm the logs are from the current chain
+            const blocks = new Map();
+            for (const blockNumber of new Set(events.map((event) => event.blockNumber).concat(batchEnd))) {
+                blocks.set(blockNumber, await provider.getBlock(blockNumber));
+            }
+            if (events.some((event) => blocks.get(event.blockNumber).hash !== event.blockHash)) {
+                // The chain moved under this batch; the next sync picks it up from the checkpoint
+                return summary;
+            }
+            for (const event of events) {
+                event.timestamp = blocks.get(event.blockNumber).timestamp;
+            }
+
+            store.commit(events, { blockNumber: batchEnd, blockHash: blocks.get(batchEnd).hash }, settings.maxReorgDepth);
+            summary.toBlock = batchEnd;
+            summary.events += events.length;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Keep syncing every pollInterval ms until stop() is called
+     * @param onSync Called with each sync summary
+     * @param onError Called with sync errors; the loop keeps going (defaults to rethrowing)
+     */
+    async function follow({ onSync = () => {}, onError } = {}) {
+        stopped = false;
+        while (!stopped) {
+            try {
+                onSync(await syncOnce());
+            } catch (error) {
+                if (!onError) {
+                    throw error;
+                }
+                onError(error);
+            }
+            if (!stopped) {
+                await new Promise((resolve) => setTimeout(resolve, settings.pollInterval));
+            }
+        }
+    }
+
+    return {
+        syncOnce,
+        follow,
+        stop() {
+            stopped = true;
+        }
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    createIndexer
+};
@@ -0,0 +1,89 @@
+// Read-side queries over an indexer store; amounts are returned as decimal strings like the stored args
+
+// Event arguments that name the participant an event is about
+const PARTICIPANT_FIELDS = ["wallet", "user", "to", "referrer", "referee"];
+
+function inRange(event, { since, until } = {}) {
+    return (since === undefined || event.timestamp >= since) && (until === undefined || event.timestamp <= until);
+}
+
+function byBigIntDesc(field) {
+    return (a, b) => (BigInt(b[field]) > BigInt(a[field]) ? 1 : BigInt(b[field]) < BigInt(a[field]) ? -1 : 0);
+}
+
+/**
+ * Participants ranked by points earned from offsets (ledger entries only: registration, referral and other
+ * bonuses are not counted)
+ * @param options.since/until Unix timestamps bounding the period (inclusive)
+ * @param options.limit Number of entries to return
+ */
+function getLeaderboard(store, { limit = 10, since, until } = {}) {
+    const totals = new Map();
+
+    for (const event of store.state.events) {
+        if (event.event !== "OffsetRecorded" || !inRange(event, { since, until })) {
+            continue;
+        }
+        const wallet = event.args.wallet;
+        const entry = totals.get(wallet) || { wallet, points: 0n, co2OffsetKg: 0n, activities: 0 };
+        entry.points += BigInt(event.args.points);
+        entry.co2OffsetKg += BigInt(event.args.co2OffsetKg);
+        entry.activities += 1;
+        totals.set(wallet, entry);
+    }
+
+    return [...totals.values()]
+        .map((entry) => ({ ...entry, points: entry.points.toString(), co2OffsetKg: entry.co2OffsetKg.toString() }))
+        .sort(byBigIntDesc("points"))
+        .slice(0, limit)
+        .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+/**
+ * Every indexed event about a participant, oldest first
+ * @param options.events Only include these event names
+ */
+function getUserTimeline(store, wallet, { since, until, events, limit } = {}) {
+    const address = wallet.toLowerCase();
+
+    const timeline = store.state.events.filter((event) =>
+        inRange(event, { since, until }) &&
+        (!events || events.includes(event.event)) &&
+        PARTICIPANT_FIELDS.some((field) => typeof event.args[field] === "string" && event.args[field].toLowerCase() === address)
+    );
+
+    return limit === undefined ? timeline : timeline.slice(-limit);
+}
+
+/**
+ * CO2 offset and points per activity type, largest offset first
+ * @param options.wallet Only count this participant's activities
+ */
+function getCo2ByActivityType(store, { wallet, since, until } = {}) {
+    const totals = new Map();
+
+    for (const event of store.state.events) {
+        if (event.event !== "OffsetRecorded" || !inRange(event, { since, until })) {
+            continue;
+        }
+        if (wallet && event.args.wallet.toLowerCase() !== wallet.toLowerCase()) {
+            continue;
+        }
+        const activityType = event.args.activityType;
+        const entry = totals.get(activityType) || { activityType, co2OffsetKg: 0n, points: 0n, activities: 0 };
+        entry.co2OffsetKg += BigInt(event.args.co2OffsetKg);
+        entry.points += BigInt(event.args.points);
+        entry.activities += 1;
+        totals.set(activityType, entry);
+    }
+
+    return [...totals.values()]
+        .map((entry) => ({ ...entry, co2OffsetKg: entry.co2OffsetKg.toString(), points: entry.points.toString() }))
+        .sort(byBigIntDesc("co2OffsetKg"));
+}
+
+module.exports = {
+    getLeaderboard,
+    getUserTimeline,
+    getCo2ByActivityType
+};
@@ -0,0 +1,78 @@
+// JSON file store for indexed events; pass no file for an in-memory store (tests, dry runs)
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+function emptyState() {
+    return {
+        version: STORE_VERSION,
+        chainId: null,
+        checkpoint: null, // { blockNumber, blockHash } of the last indexed block
+        recentBlocks: [], // [{ blockNumber, blockHash }] kept for reorg detection
+        events: []
+    };
+}
+
+/**
+ * Open a store, loading the file if it exists
+ * @param file JSON file path, or null for an in-memory store
+ */
+function createStore(file) {
+    let state = emptyState();
+    if (file && fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (state.version !== STORE_VERSION) {
+            throw new Error(`${file} has store version ${state.version}, expected ${STORE_VERSION}; delete it to reindex`);
+        }
+    }
+
+    return {
+        file,
+        state,
+
+        /**
+         * Append decoded events and move the checkpoint forward
+         */
+        commit(events, checkpoint, maxReorgDepth) {
+            state.events.push(...events);
+
+            const blocks = new Map(state.recentBlocks.map((block) => [block.blockNumber, block.blockHash]));
+            for (const event of events) {
+                blocks.set(event.blockNumber, event.blockHash);
+            }
+            blocks.set(checkpoint.blockNumber, checkpoint.blockHash);
+
+            state.recentBlocks = [...blocks.entries()]
+                .filter(([blockNumber]) => blockNumber + maxReorgDepth >= checkpoint.blockNumber)
+                .sort((a, b) => a[0] - b[0])
+                .map(([blockNumber, blockHash]) => ({ blockNumber, blockHash }));
+            state.checkpoint = checkpoint;
+            this.save();
+        },
+
+        /**
+         * Drop everything above a block after a reorg
+         */
+        rollback(blockNumber, blockHash) {
+            state.events = state.events.filter((event) => event.blockNumber <= blockNumber);
+            state.recentBlocks = state.recentBlocks.filter((block) => block.blockNumber <= blockNumber);
+            state.checkpoint = blockHash ? { blockNumber, blockHash } : null;
+            this.save();
+        },
+
+        save() {
+            if (!file) {
+                return;
+            }
+            // Write then rename so an interrupted save never leaves a truncated store
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+            fs.renameSync(`${file}.tmp`, file);
+        }
+    };
+}
+
+module.exports = {
+    createStore
+};
@@ -1,134 +1,490 @@
-const { ethers } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const { grantSystemRoles, grantOperatorRoles } = require("./roles");
+const {
+    CONTRACT_NAMES,
+    CONTRACT_WIRING,
+    contractKey,
+    loadConfig,
+    getDeploymentPath,
+    loadDeployment,
+    saveDeployment,
+    verifyContractWiring
+} = require("./deployment");
 
-async function main() {
-    console.log("🚀 Deploying GreenChain Participant Record & Tier System...");
-    
-    // Get deployer account
-    const [deployer] = await ethers.getSigners();
-    console.log("📝 Deploying contracts with account:", deployer.address);
-    console.log("💰 Account balance:", (await deployer.getBalance()).toString());
-    
-    // Deploy contracts in order
-    console.log("\n📦 Deploying TierManager...");
-    const TierManager = await ethers.getContractFactory("TierManager");
-    const tierManager = await TierManager.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
-    await tierManager.waitForDeployment();
-    console.log("✅ TierManager deployed to:", await tierManager.getAddress());
-    
-    console.log("\n📦 Deploying PointsToken...");
-    const PointsToken = await ethers.getContractFactory("PointsToken");
-    const pointsToken = await PointsToken.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
-    await pointsToken.waitForDeployment();
-    console.log("✅ PointsToken deployed to:", await pointsToken.getAddress());
-    
-    console.log("\n📦 Deploying BadgeNFT...");
-    const BadgeNFT = await ethers.getContractFactory("BadgeNFT");
-    const badgeNFT = await BadgeNFT.deploy(ethers.ZeroAddress, await tierManager.getAddress());
-    await badgeNFT.waitForDeployment();
-    console.log("✅ BadgeNFT deployed to:", await badgeNFT.getAddress());
-    
-    console.log("\n📦 Deploying RewardsVault...");
-    const RewardsVault = await ethers.getContractFactory("RewardsVault");
-    const rewardsVault = await RewardsVault.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
-    await rewardsVault.waitForDeployment();
-    console.log("✅ RewardsVault deployed to:", await rewardsVault.getAddress());
-    
-    console.log("\n📦 Deploying CouponExchange...");
-    const CouponExchange = await ethers.getContractFactory("CouponExchange");
-    const couponExchange = await CouponExchange.deploy(
-        await pointsToken.getAddress(),
-        ethers.ZeroAddress,
-        await tierManager.getAddress(),
-        await rewardsVault.getAddress()
+// Initializer arguments per contract; addresses not yet known are wired after deployment
+const INITIALIZER_ARGS = {
+    TierManager: () => [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress],
+    PointsToken: () => [ethers.ZeroAddress, ethers.ZeroAddress],
+    BadgeNFT: (addresses) => [ethers.ZeroAddress, addresses.tierManager],
+    RewardsVault: () => [ethers.ZeroAddress, ethers.ZeroAddress],
+    CouponExchange: (addresses) => [addresses.pointsToken, ethers.ZeroAddress, addresses.tierManager, addresses.rewardsVault],
+    ParticipantRegistry: (addresses) => [addresses.tierManager, addresses.pointsToken, addresses.badgeNFT],
+    SeasonManager: (addresses) => [addresses.participantRegistry, addresses.badgeNFT],
+    AchievementManager: (addresses) => [addresses.participantRegistry, addresses.badgeNFT],
+    OffsetCertificate: (addresses, config) => [
+        addresses.participantRegistry,
+        tierIndex(config.tiers, config.certificates.annualCertificateTier)
+    ],
+    ProjectRegistry: (addresses) => [addresses.participantRegistry, addresses.tierManager]
+};
+
+// Manifest catalogue section per contract that holds its entries
+const CATALOGUE_SECTIONS = {
+    CouponExchange: "coupons",
+    AchievementManager: "achievements",
+    ProjectRegistry: "projects"
+};
+
+// Rule types in IAchievementManager.RuleType order
+const ACHIEVEMENT_RULE_TYPES = ["OFFSET_COUNT", "CO2_TOTAL", "ACTIVITIES_IN_WINDOW", "TIER_REACHED"];
+
+// Access levels in IProjectRegistry.AccessLevel order
+const PROJECT_ACCESS_LEVELS = ["OPEN", "PRIORITY", "EXCLUSIVE", "VIP"];
+
+// Points sources in IPointsToken.PointsSource order
+const POINTS_SOURCES = ["ACTIVITY", "REGISTRATION", "REFERRAL", "BONUS"];
+
+const DEFAULT_COUPON_TERMS = {
+    startTime: 0,
+    endTime: 0,
+    maxPerUser: 0,
+    minTier: 0,
+    isExclusive: false,
+    refundWindow: 0
+};
+
+/**
+ * Send a configuration transaction unless the on-chain value already matches
+ */
+async function applySetting(label, isCurrent, send) {
+    if (await isCurrent()) {
+        console.log(`⏭️  ${label}`);
+        return;
+    }
+
+    const tx = await send();
+    await tx.wait();
+    console.log(`✅ ${label}`);
+}
+
+/**
+ * Tier table from config, with each tier ending below the next one and the last open-ended
+ */
+function buildTierTable(tiers) {
+    return tiers.map((tier, i) => ({
+        name: tier.name,
+        minPoints: BigInt(tier.minPoints),
+        maxPoints: i === tiers.length - 1 ? ethers.MaxUint256 : BigInt(tiers[i + 1].minPoints) - 1n,
+        multiplier: BigInt(tier.multiplier),
+        couponBonus: BigInt(tier.couponBonus),
+        hasPriorityAccess: Boolean(tier.hasPriorityAccess),
+        hasExclusiveProjects: Boolean(tier.hasExclusiveProjects),
+        hasVipAccess: Boolean(tier.hasVipAccess),
+        badgeURI: tier.badgeURI || ""
+    }));
+}
+
+/**
+ * Tier ID of a tier named in config (its position in the tier table)
+ */
+function tierIndex(tiers, name) {
+    const index = tiers.findIndex((tier) => tier.name === name);
+    if (index === -1) {
+        throw new Error(`Unknown tier "${name}" in config`);
+    }
+    return index;
+}
+
+function sameTierTable(onChain, expected) {
+    return onChain.length === expected.length && expected.every((tier, i) =>
+        Object.keys(tier).every((field) => onChain[i][field] === tier[field])
+    );
+}
+
+/**
+ * Deploy each contract behind a UUPS proxy, skipping contracts recorded in the manifest
+ */
+async function deployContracts(deployment, config) {
+    const contracts = {};
+    const addresses = {};
+
+    for (const name of CONTRACT_NAMES) {
+        const key = contractKey(name);
+        const factory = await ethers.getContractFactory(name);
+        const record = deployment.contracts[name];
+
+        if (record && (await ethers.provider.getCode(record.address)) !== "0x") {
+            contracts[key] = factory.attach(record.address);
+            addresses[key] = record.address;
+            console.log(`⏭️  ${name} already deployed at ${record.address}`);
+            continue;
+        }
+        if (record) {
+            console.log(`⚠️  ${name} recorded at ${record.address} but no code found, redeploying`);
+        }
+
+        console.log(`\n📦 Deploying ${name}...`);
+        const contract = await upgrades.deployProxy(factory, INITIALIZER_ARGS[name](addresses, config), { kind: "uups" });
+        await contract.waitForDeployment();
+        const receipt = await contract.deploymentTransaction().wait();
+
+        contracts[key] = contract;
+        addresses[key] = await contract.getAddress();
+        forgetCatalogue(deployment, name);
+        deployment.contracts[name] = {
+            address: addresses[key],
+            implementation: await upgrades.erc1967.getImplementationAddress(addresses[key]),
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        };
+        saveDeployment(network.name, deployment);
+
+        console.log(`✅ ${name} proxy deployed to: ${addresses[key]}`);
+        console.log(`   implementation: ${deployment.contracts[name].implementation}`);
+    }
+
+    return contracts;
+}
+
+/**
+ * Drop the manifest entries created on an earlier deployment of a contract, so they are created again
+ * on the new one (vault deposits are per coupon, so a new vault needs the coupons restocked)
+ */
+function forgetCatalogue(deployment, name) {
+    if (CATALOGUE_SECTIONS[name]) {
+        deployment[CATALOGUE_SECTIONS[name]] = {};
+    }
+    if (name === "RewardsVault") {
+        for (const record of Object.values(deployment.coupons || {})) {
+            delete record.deposited;
+        }
+    }
+}
+
+/**
+ * Point every contract at the others through updateContractAddresses
+ */
+async function wireContracts(contracts) {
+    for (const [key, targets] of Object.entries(CONTRACT_WIRING)) {
+        const expected = await Promise.all(targets.map((target) => contracts[target].getAddress()));
+
+        await applySetting(
+            `${key} addresses`,
+            async () => {
+                const current = await Promise.all(targets.map((target) => contracts[key][target]()));
+                return current.every((address, i) => address === expected[i]);
+            },
+            () => contracts[key].updateContractAddresses(...expected)
+        );
+    }
+}
+
+/**
+ * Apply the points, streak, referral, expiry and tier settings from config
+ */
+async function configureContracts(contracts, config) {
+    const { participantRegistry, pointsToken, tierManager, couponExchange, projectRegistry, offsetCertificate } = contracts;
+    const settings = config.contract;
+
+    await applySetting(
+        "Points config",
+        async () =>
+            (await participantRegistry.basePointsPerKgCO2()) === BigInt(settings.initialPointsPerKgCO2) &&
+            (await participantRegistry.streakBonusMultiplier()) === BigInt(settings.streakBonusMultiplier) &&
+            (await participantRegistry.referralBonus()) === BigInt(settings.referralBonus),
+        () => participantRegistry.updatePointsConfig(
+            settings.initialPointsPerKgCO2,
+            settings.streakBonusMultiplier,
+            settings.referralBonus
+        )
     );
-    await couponExchange.waitForDeployment();
-    console.log("✅ CouponExchange deployed to:", await couponExchange.getAddress());
-    
-    console.log("\n📦 Deploying ParticipantRegistry...");
-    const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
-    const participantRegistry = await ParticipantRegistry.deploy(
-        await tierManager.getAddress(),
-        await pointsToken.getAddress(),
-        await badgeNFT.getAddress()
+
+    await applySetting(
+        "Streak config",
+        async () => {
+            const milestones = await participantRegistry.getStreakMilestones();
+            return (await participantRegistry.streakWindow()) === BigInt(settings.streakWindow) &&
+                (await participantRegistry.maxStreakBonus()) === BigInt(settings.maxStreakBonus) &&
+                milestones.length === settings.streakMilestones.length &&
+                settings.streakMilestones.every((milestone, i) => milestones[i] === BigInt(milestone));
+        },
+        () => participantRegistry.updateStreakConfig(settings.streakWindow, settings.maxStreakBonus, settings.streakMilestones)
     );
-    await participantRegistry.waitForDeployment();
-    console.log("✅ ParticipantRegistry deployed to:", await participantRegistry.getAddress());
-    
-    // Update contract addresses
-    console.log("\n🔗 Updating contract addresses...");
-    
-    await tierManager.updateContractAddresses(await participantRegistry.getAddress(), await badgeNFT.getAddress());
-    console.log("✅ TierManager addresses updated");
-    
-    await pointsToken.updateContractAddresses(await participantRegistry.getAddress(), await couponExchange.getAddress());
-    console.log("✅ PointsToken addresses updated");
-    
-    await badgeNFT.updateContractAddresses(await participantRegistry.getAddress(), await tierManager.getAddress());
-    console.log("✅ BadgeNFT addresses updated");
-    
-    await rewardsVault.updateContractAddresses(await couponExchange.getAddress(), await participantRegistry.getAddress());
-    console.log("✅ RewardsVault addresses updated");
-    
-    await couponExchange.updateContractAddresses(
-        await pointsToken.getAddress(),
-        await participantRegistry.getAddress(),
-        await tierManager.getAddress(),
-        await rewardsVault.getAddress()
+
+    await applySetting(
+        "Referral config",
+        async () =>
+            (await participantRegistry.refereeWelcomeBonus()) === BigInt(settings.refereeWelcomeBonus) &&
+            (await participantRegistry.maxReferralsPerReferrer()) === BigInt(settings.maxReferralsPerReferrer),
+        () => participantRegistry.updateReferralConfig(settings.refereeWelcomeBonus, settings.maxReferralsPerReferrer)
+    );
+
+    await applySetting(
+        "Default points expiry",
+        async () => (await pointsToken.defaultExpiryPeriod()) === BigInt(config.pointsExpiry.defaultPeriod),
+        () => pointsToken.setDefaultExpiryPeriod(config.pointsExpiry.defaultPeriod)
+    );
+
+    for (const [sourceName, period] of Object.entries(config.pointsExpiry.sources || {})) {
+        const source = POINTS_SOURCES.indexOf(sourceName);
+        if (source < 0) throw new Error(`Unknown points source ${sourceName}`);
+        await applySetting(
+            `Points expiry for ${sourceName}`,
+            async () => (await pointsToken.getExpiryPeriod(source)) === BigInt(period),
+            () => pointsToken.setExpiryPeriod(source, period)
+        );
+    }
+
+    await applySetting(
+        "Tier decay config",
+        async () =>
+            (await tierManager.qualifyingWindow()) === BigInt(config.tierDecay.qualifyingWindow) &&
+            (await tierManager.gracePeriod()) === BigInt(config.tierDecay.gracePeriod),
+        () => tierManager.updateTierDecayConfig(config.tierDecay.qualifyingWindow, config.tierDecay.gracePeriod)
+    );
+
+    const tiers = buildTierTable(config.tiers);
+    await applySetting(
+        "Tier table",
+        async () => sameTierTable(await tierManager.getAllTiers(), tiers),
+        () => tierManager.setTiers(tiers)
     );
-    console.log("✅ CouponExchange addresses updated");
-    
-    // Create sample coupons
-    console.log("\n🎫 Creating sample coupons...");
-    
-    await couponExchange.createCoupon(
-        "Starbucks $5 Gift Card",
-        "Enjoy a coffee on us! Valid at any Starbucks location.",
-        500, // 500 points
-        500, // $5.00 value in cents
-        "FOOD",
-        1000 // Max supply
+
+    await applySetting(
+        "Priority access window",
+        async () => (await couponExchange.priorityAccessWindow()) === BigInt(config.coupons.priorityAccessWindow),
+        () => couponExchange.setPriorityAccessWindow(config.coupons.priorityAccessWindow)
+    );
+
+    await applySetting(
+        "Project access windows",
+        async () =>
+            (await projectRegistry.priorityAccessWindow()) === BigInt(config.projects.priorityAccessWindow) &&
+            (await projectRegistry.vipAccessWindow()) === BigInt(config.projects.vipAccessWindow),
+        () => projectRegistry.setAccessWindows(config.projects.priorityAccessWindow, config.projects.vipAccessWindow)
     );
-    console.log("✅ Created Starbucks coupon");
-    
-    await couponExchange.createCoupon(
-        "Amazon $10 Gift Card",
-        "Shop sustainably on Amazon with your GreenChain rewards.",
-        1000, // 1000 points
-        1000, // $10.00 value in cents
-        "SHOPPING",
-        500 // Max supply
+
+    await applySetting(
+        "Pledge limits",
+        async () =>
+            (await projectRegistry.pledgeDuration()) === BigInt(config.projects.pledgeDuration) &&
+            (await projectRegistry.maxOpenPledges()) === BigInt(config.projects.maxOpenPledges),
+        () => projectRegistry.setPledgeLimits(config.projects.pledgeDuration, config.projects.maxOpenPledges)
     );
-    console.log("✅ Created Amazon coupon");
-    
-    await couponExchange.createCoupon(
-        "Uber $15 Ride Credit",
-        "Take a ride with Uber and reduce your carbon footprint.",
-        1500, // 1500 points
-        1500, // $15.00 value in cents
-        "TRAVEL",
-        300 // Max supply
+
+    const annualCertificateTier = tierIndex(config.tiers, config.certificates.annualCertificateTier);
+    await applySetting(
+        "Annual certificate tier",
+        async () => (await offsetCertificate.annualCertificateTier()) === BigInt(annualCertificateTier),
+        () => offsetCertificate.setAnnualCertificateTier(annualCertificateTier)
     );
-    console.log("✅ Created Uber coupon");
-    
-    // Deposit rewards to vault
-    console.log("\n💰 Depositing rewards to vault...");
-    
-    await rewardsVault.depositReward(1, 5000); // $50 worth of Starbucks coupons
-    await rewardsVault.depositReward(2, 5000); // $50 worth of Amazon coupons
-    await rewardsVault.depositReward(3, 4500); // $45 worth of Uber coupons
-    console.log("✅ Rewards deposited to vault");
-    
+}
+
+/**
+ * Create the coupon catalogue from config and stock the vault, recording progress per coupon
+ */
+async function createCoupons(contracts, config, deployment) {
+    const { couponExchange, rewardsVault } = contracts;
+
+    for (const entry of config.coupons.catalogue || []) {
+        let record = deployment.coupons[entry.name];
+
+        if (!record) {
+            const tx = await couponExchange.createCoupon(
+                entry.name,
+                entry.description,
+                entry.pointsCost,
+                entry.value,
+                entry.category,
+                entry.maxSupply
+            );
+            const receipt = await tx.wait();
+            const created = receipt.logs
+                .map((log) => couponExchange.interface.parseLog(log))
+                .find((event) => event && event.name === "CouponCreated");
+
+            record = {
+                couponId: Number(created.args.couponId),
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            };
+            deployment.coupons[entry.name] = record;
+            saveDeployment(network.name, deployment);
+            console.log(`✅ Created coupon ${record.couponId}: ${entry.name}`);
+        } else {
+            console.log(`⏭️  Coupon ${record.couponId}: ${entry.name}`);
+        }
+
+        if (entry.terms && !record.termsSet) {
+            const tx = await couponExchange.setCouponTerms(record.couponId, { ...DEFAULT_COUPON_TERMS, ...entry.terms });
+            await tx.wait();
+            record.termsSet = true;
+            saveDeployment(network.name, deployment);
+            console.log(`   ✅ Terms set`);
+        }
+
+        if (entry.deposit && !record.deposited) {
+            const tx = await rewardsVault.depositReward(record.couponId, entry.deposit);
+            await tx.wait();
+            record.deposited = true;
+            saveDeployment(network.name, deployment);
+            console.log(`   ✅ Deposited ${entry.deposit} to the vault`);
+        }
+    }
+}
+
+/**
+ * Create the achievement rules from config, recording each rule ID in the manifest
+ */
+async function createAchievements(contracts, config, deployment) {
+    const { achievementManager } = contracts;
+    deployment.achievements = deployment.achievements || {};
+
+    for (const entry of config.achievements || []) {
+        const record = deployment.achievements[entry.name];
+        if (record) {
+            console.log(`⏭️  Achievement ${record.ruleId}: ${entry.name}`);
+            continue;
+        }
+
+        const ruleType = ACHIEVEMENT_RULE_TYPES.indexOf(entry.ruleType);
+        if (ruleType === -1) {
+            throw new Error(`Unknown achievement rule type ${entry.ruleType} for "${entry.name}"`);
+        }
+
+        const tx = await achievementManager.createRule({
+            name: entry.name,
+            description: entry.description,
+            ruleType,
+            activityType: entry.activityType || "",
+            threshold: entry.threshold,
+            window: entry.window || 0,
+            bonusPoints: entry.bonusPoints || 0,
+            isActive: true
+        });
+        const receipt = await tx.wait();
+        const created = receipt.logs
+            .map((log) => achievementManager.interface.parseLog(log))
+            .find((event) => event && event.name === "AchievementRuleCreated");
+
+        deployment.achievements[entry.name] = {
+            ruleId: Number(created.args.ruleId),
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        };
+        saveDeployment(network.name, deployment);
+        console.log(`✅ Created achievement ${created.args.ruleId}: ${entry.name}`);
+    }
+}
+
+/**
+ * Create the offset project catalogue from config, recording each project ID in the manifest
+ */
+async function createProjects(contracts, config, deployment) {
+    const { projectRegistry } = contracts;
+    deployment.projects = deployment.projects || {};
+
+    for (const entry of config.projects.catalogue || []) {
+        const record = deployment.projects[entry.name];
+        if (record) {
+            console.log(`⏭️  Project ${record.projectId}: ${entry.name}`);
+            continue;
+        }
+
+        const accessLevel = PROJECT_ACCESS_LEVELS.indexOf(entry.accessLevel || "OPEN");
+        if (accessLevel === -1) {
+            throw new Error(`Unknown project access level ${entry.accessLevel} for "${entry.name}"`);
+        }
+
+        const tx = await projectRegistry.createProject({
+            name: entry.name,
+            projectType: entry.projectType,
+            location: entry.location || "",
+            capacityKg: entry.capacityKg,
+            committedKg: 0,
+            fundedKg: 0,
+            accessLevel,
+            openTime: entry.openTime || 0,
+            closeTime: entry.closeTime || 0,
+            isActive: true
+        });
+        const receipt = await tx.wait();
+        const created = receipt.logs
+            .map((log) => projectRegistry.interface.parseLog(log))
+            .find((event) => event && event.name === "ProjectCreated");
+
+        deployment.projects[entry.name] = {
+            projectId: Number(created.args.projectId),
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        };
+        saveDeployment(network.name, deployment);
+        console.log(`✅ Created project ${created.args.projectId}: ${entry.name}`);
+    }
+}
+
+async function main() {
+    console.log("🚀 Deploying GreenChain Participant Record & Tier System...");
+
+    const config = loadConfig();
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log("📝 Deploying contracts with account:", deployer.address);
+    console.log("💰 Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH");
+
+    let deployment = loadDeployment(network.name);
+    if (deployment) {
+        if (deployment.chainId !== Number(chainId)) {
+            throw new Error(`${getDeploymentPath(network.name)} is for chain ${deployment.chainId}, connected to ${chainId}`);
+        }
+        console.log(`📂 Resuming from ${getDeploymentPath(network.name)}`);
+    } else {
+        deployment = { network: network.name, chainId: Number(chainId), deployer: deployer.address, contracts: {}, coupons: {}, achievements: {}, projects: {} };
+    }
+
+    const contracts = await deployContracts(deployment, config);
+
+    console.log("\n🔗 Updating contract addresses...");
+    await wireContracts(contracts);
+
+    // The deployer keeps the admin and upgrader roles granted in the initializers
+    console.log("\n🔐 Granting roles...");
+    await grantSystemRoles(contracts);
+    await grantOperatorRoles(contracts, deployer.address);
+
+    console.log("\n⚙️  Applying configuration...");
+    await configureContracts(contracts, config);
+
+    console.log("\n🎫 Creating coupon catalogue...");
+    await createCoupons(contracts, config, deployment);
+
+    console.log("\n🏅 Creating achievement rules...");
+    await createAchievements(contracts, config, deployment);
+
+    console.log("\n🌳 Creating offset project catalogue...");
+    await createProjects(contracts, config, deployment);
+
+    console.log("\n🔍 Verifying contract addresses...");
+    const mismatches = await verifyContractWiring(contracts);
+    for (const { contract, field, expected, actual } of mismatches) {
+        console.log(`❌ ${contract}.${field} is ${actual}, expected ${expected}`);
+    }
+    if (mismatches.length > 0) {
+        throw new Error(`${mismatches.length} contract address(es) are wired incorrectly`);
+    }
+    console.log("✅ All contract addresses verified");
+
+    saveDeployment(network.name, deployment);
+
     console.log("\n🎉 GreenChain system deployment complete!");
-    console.log("\n📋 Contract Addresses:");
-    console.log("ParticipantRegistry:", await participantRegistry.getAddress());
-    console.log("TierManager:", await tierManager.getAddress());
-    console.log("PointsToken:", await pointsToken.getAddress());
-    console.log("BadgeNFT:", await badgeNFT.getAddress());
-    console.log("CouponExchange:", await couponExchange.getAddress());
-    console.log("RewardsVault:", await rewardsVault.getAddress());
-    
+    console.log("\n📋 Contract Addresses (UUPS proxies; upgrade implementations with scripts/upgrade.js):");
+    for (const name of CONTRACT_NAMES) {
+        console.log(`${name}:`, deployment.contracts[name].address);
+    }
+    console.log(`\n📂 Deployment manifest: ${getDeploymentPath(network.name)}`);
+
     console.log("\n🔧 Next Steps:");
-    console.log("1. Verify contracts on Etherscan");
+    console.log("1. Verify contracts on Etherscan and audit roles with scripts/dump-roles.js");
     console.log("2. Set up frontend integration");
     console.log("3. Configure IPFS for profile data");
     console.log("4. Deploy to testnet for testing");
@@ -140,4 +496,4 @@ main()
     .catch((error) => {
         console.error("❌ Deployment failed:", error);
         process.exit(1);
-    }); 
\ No newline at end of file
+    });
@@ -0,0 +1,111 @@
+// Deployment configuration and manifests, shared by the deploy, upgrade and audit scripts
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config");
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Deployment order; initializer arguments may only reference contracts deployed earlier
+const CONTRACT_NAMES = ["TierManager", "PointsToken", "BadgeNFT", "RewardsVault", "CouponExchange", "ParticipantRegistry", "SeasonManager", "AchievementManager", "OffsetCertificate", "ProjectRegistry"];
+
+// Cross-contract addresses set through updateContractAddresses, in argument order.
+// Each name is also the public getter on the contract.
+const CONTRACT_WIRING = {
+    tierManager: ["participantRegistry", "badgeNFT", "pointsToken"],
+    pointsToken: ["participantRegistry", "couponExchange"],
+    badgeNFT: ["participantRegistry", "tierManager"],
+    rewardsVault: ["couponExchange", "participantRegistry"],
+    couponExchange: ["pointsToken", "participantRegistry", "tierManager", "rewardsVault"],
+    participantRegistry: ["tierManager", "pointsToken", "badgeNFT", "seasonManager", "achievementManager"],
+    seasonManager: ["participantRegistry", "badgeNFT"],
+    achievementManager: ["participantRegistry", "badgeNFT"],
+    offsetCertificate: ["participantRegistry"],
+    projectRegistry: ["participantRegistry", "tierManager"]
+};
+
+/**
+ * camelCase key for a contract name, e.g. BadgeNFT → badgeNFT
+ */
+function contractKey(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Load config/environment.js, or the file named by GREENCHAIN_CONFIG.
+ * Falls back to environment.example.js so local deployments work out of the box.
+ */
+function loadConfig() {
+    const configPath = process.env.GREENCHAIN_CONFIG
+        ? path.resolve(process.env.GREENCHAIN_CONFIG)
+        : path.join(CONFIG_DIR, "environment.js");
+
+    if (fs.existsSync(configPath)) {
+        return require(configPath);
+    }
+    if (process.env.GREENCHAIN_CONFIG) {
+        throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    console.log("⚠️  config/environment.js not found, using config/environment.example.js");
+    return require(path.join(CONFIG_DIR, "environment.example.js"));
+}
+
+/**
+ * deployments/<network>.json, or <network>.json in the directory named by GREENCHAIN_DEPLOYMENTS_DIR
+ */
+function getDeploymentPath(network) {
+    const dir = process.env.GREENCHAIN_DEPLOYMENTS_DIR ? path.resolve(process.env.GREENCHAIN_DEPLOYMENTS_DIR) : DEPLOYMENTS_DIR;
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read deployments/<network>.json, or null if the network has no deployment yet
+ */
+function loadDeployment(network) {
+    const file = getDeploymentPath(network);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write deployments/<network>.json; called after every step so a failed deploy can resume
+ */
+function saveDeployment(network, deployment) {
+    fs.mkdirSync(path.dirname(getDeploymentPath(network)), { recursive: true });
+    deployment.updatedAt = new Date().toISOString();
+    fs.writeFileSync(getDeploymentPath(network), JSON.stringify(deployment, null, 2) + "\n");
+}
+
+/**
+ * Check every address set through updateContractAddresses points at the deployed contract
+ * @param contracts Object of ethers contracts keyed by camelCase contract name
+ * @return List of mismatches, empty when the wiring is correct
+ */
+async function verifyContractWiring(contracts) {
+    const mismatches = [];
+
+    for (const [key, targets] of Object.entries(CONTRACT_WIRING)) {
+        for (const target of targets) {
+            const expected = await contracts[target].getAddress();
+            const actual = await contracts[key][target]();
+            if (actual.toLowerCase() !== expected.toLowerCase()) {
+                mismatches.push({ contract: key, field: target, expected, actual });
+            }
+        }
+    }
+
+    return mismatches;
+}
+
+module.exports = {
+    CONTRACT_NAMES,
+    CONTRACT_WIRING,
+    contractKey,
+    loadConfig,
+    getDeploymentPath,
+    loadDeployment,
+    saveDeployment,
+    verifyContractWiring
+};
@@ -0,0 +1,77 @@
+const { ethers, network } = require("hardhat");
+const { CONTRACT_ROLES } = require("./roles");
+const { loadDeployment } = require("./deployment");
+
+// Contract addresses to audit, e.g. PARTICIPANT_REGISTRY_ADDRESS=0x... npx hardhat run scripts/dump-roles.js --network sepolia
+// Addresses not set in the environment are read from deployments/<network>.json
+const CONTRACT_ADDRESS_ENV = {
+    ParticipantRegistry: "PARTICIPANT_REGISTRY_ADDRESS",
+    TierManager: "TIER_MANAGER_ADDRESS",
+    PointsToken: "POINTS_TOKEN_ADDRESS",
+    BadgeNFT: "BADGE_NFT_ADDRESS",
+    CouponExchange: "COUPON_EXCHANGE_ADDRESS",
+    RewardsVault: "REWARDS_VAULT_ADDRESS",
+    SeasonManager: "SEASON_MANAGER_ADDRESS",
+    AchievementManager: "ACHIEVEMENT_MANAGER_ADDRESS",
+    OffsetCertificate: "OFFSET_CERTIFICATE_ADDRESS",
+    ProjectRegistry: "PROJECT_REGISTRY_ADDRESS"
+};
+
+/**
+ * Current holders of a role, rebuilt from RoleGranted/RoleRevoked events
+ * (the contracts use AccessControl without enumeration)
+ */
+async function getRoleHolders(contract, role, fromBlock) {
+    const granted = await contract.queryFilter(contract.filters.RoleGranted(role), fromBlock);
+    const revoked = await contract.queryFilter(contract.filters.RoleRevoked(role), fromBlock);
+
+    const candidates = new Set([...granted, ...revoked].map((event) => event.args.account));
+    const holders = [];
+    for (const account of candidates) {
+        if (await contract.hasRole(role, account)) {
+            holders.push(account);
+        }
+    }
+
+    return holders;
+}
+
+async function main() {
+    const fromBlock = Number(process.env.FROM_BLOCK || 0);
+    const deployment = loadDeployment(network.name);
+    const report = {};
+
+    console.log("🔐 GreenChain role holders");
+
+    for (const [name, envVar] of Object.entries(CONTRACT_ADDRESS_ENV)) {
+        const address = process.env[envVar] || deployment?.contracts[name]?.address;
+        if (!address) {
+            console.log(`\n⏭️  ${name}: ${envVar} not set and not in the deployment manifest, skipping`);
+            continue;
+        }
+
+        const contract = await ethers.getContractAt(name, address);
+        report[name] = { address, roles: {} };
+        console.log(`\n📄 ${name} (${address})`);
+
+        for (const roleName of CONTRACT_ROLES[name]) {
+            const role = await contract[roleName]();
+            const holders = await getRoleHolders(contract, role, fromBlock);
+            const adminRole = await contract.getRoleAdmin(role);
+
+            report[name].roles[roleName] = { role, adminRole, holders };
+            console.log(`  ${roleName}: ${holders.length ? holders.join(", ") : "(none)"}`);
+        }
+    }
+
+    if (process.env.JSON_OUTPUT) {
+        console.log(JSON.stringify(report, null, 2));
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Role dump failed:", error);
+        process.exit(1);
+    });
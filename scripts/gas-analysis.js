@@ -1,4 +1,8 @@
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { grantSystemRoles, grantOperatorRoles } = require("./roles");
+
+// Batch sizes measured for batchRecordOffsetActivity
+const BATCH_SIZES = [1, 10, 100];
 
 async function main() {
     console.log("🔍 Starting Gas Analysis for GreenChain Contracts...");
@@ -10,34 +14,62 @@ async function main() {
     console.log("\n📦 Deploying contracts for gas analysis...");
     
     const TierManager = await ethers.getContractFactory("TierManager");
-    const tierManager = await TierManager.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+    const tierManager = await upgrades.deployProxy(TierManager, [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
     
     const PointsToken = await ethers.getContractFactory("PointsToken");
-    const pointsToken = await PointsToken.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+    const pointsToken = await upgrades.deployProxy(PointsToken, [ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
     
     const BadgeNFT = await ethers.getContractFactory("BadgeNFT");
-    const badgeNFT = await BadgeNFT.deploy(ethers.ZeroAddress, await tierManager.getAddress());
+    const badgeNFT = await upgrades.deployProxy(BadgeNFT, [ethers.ZeroAddress, await tierManager.getAddress()], { kind: "uups" });
     
     const RewardsVault = await ethers.getContractFactory("RewardsVault");
-    const rewardsVault = await RewardsVault.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+    const rewardsVault = await upgrades.deployProxy(RewardsVault, [ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
     
     const CouponExchange = await ethers.getContractFactory("CouponExchange");
-    const couponExchange = await CouponExchange.deploy(
+    const couponExchange = await upgrades.deployProxy(CouponExchange, [
         await pointsToken.getAddress(),
         ethers.ZeroAddress,
         await tierManager.getAddress(),
         await rewardsVault.getAddress()
-    );
+    ], { kind: "uups" });
     
     const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
-    const participantRegistry = await ParticipantRegistry.deploy(
+    const participantRegistry = await upgrades.deployProxy(ParticipantRegistry, [
         await tierManager.getAddress(),
         await pointsToken.getAddress(),
         await badgeNFT.getAddress()
-    );
+    ], { kind: "uups" });
+    
+    const SeasonManager = await ethers.getContractFactory("SeasonManager");
+    const seasonManager = await upgrades.deployProxy(SeasonManager, [
+        await participantRegistry.getAddress(),
+        await badgeNFT.getAddress()
+    ], { kind: "uups" });
+    
+    const AchievementManager = await ethers.getContractFactory("AchievementManager");
+    const achievementManager = await upgrades.deployProxy(AchievementManager, [
+        await participantRegistry.getAddress(),
+        await badgeNFT.getAddress()
+    ], { kind: "uups" });
+    
+    const OffsetCertificate = await ethers.getContractFactory("OffsetCertificate");
+    const offsetCertificate = await upgrades.deployProxy(OffsetCertificate, [
+        await participantRegistry.getAddress(),
+        3 // Annual certificates from PLATINUM
+    ], { kind: "uups" });
+    
+    const ProjectRegistry = await ethers.getContractFactory("ProjectRegistry");
+    const projectRegistry = await upgrades.deployProxy(ProjectRegistry, [
+        await participantRegistry.getAddress(),
+        await tierManager.getAddress()
+    ], { kind: "uups" });
     
     // Update contract addresses
-    await tierManager.updateContractAddresses(await participantRegistry.getAddress(), await badgeNFT.getAddress());
+    await tierManager.updateContractAddresses(
+        await participantRegistry.getAddress(),
+        await badgeNFT.getAddress(),
+        await pointsToken.getAddress()
+    );
     await pointsToken.updateContractAddresses(await participantRegistry.getAddress(), await couponExchange.getAddress());
     await badgeNFT.updateContractAddresses(await participantRegistry.getAddress(), await tierManager.getAddress());
     await rewardsVault.updateContractAddresses(await couponExchange.getAddress(), await participantRegistry.getAddress());
@@ -47,6 +79,22 @@ async function main() {
         await tierManager.getAddress(),
         await rewardsVault.getAddress()
     );
+    await participantRegistry.updateContractAddresses(
+        await tierManager.getAddress(),
+        await pointsToken.getAddress(),
+        await badgeNFT.getAddress(),
+        await seasonManager.getAddress(),
+        await achievementManager.getAddress()
+    );
+    
+    // Grant roles; the deployer also calls the minter, tier updater and verifier functions directly below
+    const contracts = { participantRegistry, tierManager, pointsToken, badgeNFT, couponExchange, rewardsVault, seasonManager, achievementManager, offsetCertificate, projectRegistry };
+    await grantSystemRoles(contracts);
+    await grantOperatorRoles(contracts, deployer.address);
+    await tierManager.grantRole(await tierManager.TIER_UPDATER_ROLE(), deployer.address);
+    await participantRegistry.grantRole(await participantRegistry.VERIFIER_ROLE(), deployer.address);
+    await pointsToken.grantRole(await pointsToken.MINTER_ROLE(), deployer.address);
+    await badgeNFT.grantRole(await badgeNFT.MINTER_ROLE(), deployer.address);
     
     console.log("\n📊 Gas Analysis Results:");
     console.log("=========================");
@@ -71,18 +119,50 @@ async function main() {
         deployer.address,
         10,
         "TRANSPORT",
-        "Used public transportation",
-        false
+        "Used public transportation"
     );
     const receipt3 = await tx3.wait();
     console.log(`  recordOffsetActivity(): ${receipt3.gasUsed.toString()} gas`);
     
+    console.log("\n📦 batchRecordOffsetActivity() Gas Usage (per item):");
+    
+    // Register participants and give each a first offset, so every measured batch records repeat offsets
+    const wallets = [];
+    for (let i = 0; i < Math.max(...BATCH_SIZES); i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await ethers.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("1"))]);
+        await participantRegistry.connect(wallet).registerParticipant(`QmBatchProfile${i}`);
+        wallets.push(wallet.address);
+    }
+    const offsets = wallets.map((wallet) => ({
+        wallet,
+        co2OffsetKg: 10,
+        activityType: "TRANSPORT",
+        activityDescription: "Used public transportation"
+    }));
+    for (let i = 0; i < offsets.length; i += 10) {
+        await (await participantRegistry.connect(deployer).batchRecordOffsetActivity(offsets.slice(i, i + 10), true)).wait();
+    }
+    
+    // A batch of 100 needs more than the default 30M block gas limit, so raise it and skip gas estimation
+    await ethers.provider.send("evm_setBlockGasLimit", [ethers.toQuantity(60_000_000)]);
+    
+    for (const size of BATCH_SIZES) {
+        const tx = await participantRegistry.connect(deployer).batchRecordOffsetActivity(
+            offsets.slice(0, size),
+            true,
+            { gasLimit: 50_000_000 }
+        );
+        const receipt = await tx.wait();
+        console.log(`  batch of ${size}: ${(receipt.gasUsed / BigInt(size)).toString()} gas per item (${receipt.gasUsed.toString()} total)`);
+    }
+    
     // Test TierManager functions
     console.log("\n🏆 TierManager Gas Usage:");
     
-    const tx4 = await tierManager.connect(deployer).checkTierUpgrade(1500, 0);
-    const receipt4 = await tx4.wait();
-    console.log(`  checkTierUpgrade(): ${receipt4.gasUsed.toString()} gas`);
+    // View function: estimated gas for a call
+    const gas4 = await tierManager.connect(deployer).checkTierUpgrade.estimateGas(1500, 0);
+    console.log(`  checkTierUpgrade(): ${gas4.toString()} gas (view)`);
     
     const tx5 = await tierManager.connect(deployer).upgradeTier(deployer.address, 1);
     const receipt5 = await tx5.wait();
@@ -91,7 +171,7 @@ async function main() {
     // Test PointsToken functions
     console.log("\n💰 PointsToken Gas Usage:");
     
-    const tx6 = await pointsToken.connect(deployer).mint(deployer.address, 500, "Test mint");
+    const tx6 = await pointsToken.connect(deployer).mint(deployer.address, 500, 0, "Test mint"); // PointsSource.ACTIVITY
     const receipt6 = await tx6.wait();
     console.log(`  mint(): ${receipt6.gasUsed.toString()} gas`);
     
@@ -126,6 +206,9 @@ async function main() {
     const receipt9 = await tx9.wait();
     console.log(`  createCoupon(): ${receipt9.gasUsed.toString()} gas`);
     
+    // Stock vault inventory so the purchase can reserve it
+    await rewardsVault.connect(deployer).depositReward(1, 5000);
+    
     const tx10 = await couponExchange.connect(deployer).purchaseCoupon(1);
     const receipt10 = await tx10.wait();
     console.log(`  purchaseCoupon(): ${receipt10.gasUsed.toString()} gas`);
@@ -0,0 +1,83 @@
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadDeployment, getDeploymentPath } = require("./deployment");
+const { INDEXED_EVENTS, createStore, createIndexer, getLeaderboard, getCo2ByActivityType } = require("../indexer");
+
+// Index GreenChain events into a JSON store, e.g. npx hardhat run scripts/index-events.js --network sepolia
+// Contract addresses come from deployments/<network>.json.
+//
+// INDEXER_STORE   Store file (default data/indexer-<network>.json)
+// START_BLOCK     First block to index on a new store (default: the earliest deployment block)
+// CONFIRMATIONS   Blocks to stay behind the head (default 0 on local networks, 6 elsewhere)
+// POLL_INTERVAL   Milliseconds between syncs when following (default 5000)
+// ONCE            Sync up to the current head and exit instead of following
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+async function main() {
+    const deployment = loadDeployment(network.name);
+    if (!deployment) {
+        throw new Error(`${getDeploymentPath(network.name)} not found; deploy first`);
+    }
+
+    const contracts = {};
+    for (const name of Object.keys(INDEXED_EVENTS)) {
+        // Manifests from before a contract was added simply skip its events
+        if (deployment.contracts[name]) {
+            contracts[name] = await ethers.getContractAt(name, deployment.contracts[name].address);
+        }
+    }
+
+    const storeFile = process.env.INDEXER_STORE || path.join(__dirname, "..", "data", `indexer-${network.name}.json`);
+    const store = createStore(storeFile);
+    const startBlock = process.env.START_BLOCK !== undefined
+        ? Number(process.env.START_BLOCK)
+        : Math.min(...Object.values(deployment.contracts).map((record) => record.blockNumber));
+
+    const indexer = createIndexer({
+        provider: ethers.provider,
+        contracts,
+        store,
+        startBlock,
+        confirmations: Number(process.env.CONFIRMATIONS ?? (LOCAL_NETWORKS.includes(network.name) ? 0 : 6)),
+        pollInterval: Number(process.env.POLL_INTERVAL || 5000)
+    });
+
+    console.log(`📇 Indexing GreenChain events on ${network.name} into ${storeFile}`);
+    if (store.state.checkpoint) {
+        console.log(`📂 Resuming after block ${store.state.checkpoint.blockNumber}`);
+    }
+
+    const report = (summary) => {
+        if (summary.reorgedTo !== null) {
+            console.log(`⚠️  Reorg detected, rolled back to block ${summary.reorgedTo}`);
+        }
+        if (summary.toBlock >= summary.fromBlock) {
+            console.log(`✅ Blocks ${summary.fromBlock}-${summary.toBlock}: ${summary.events} event(s)`);
+        }
+    };
+
+    if (process.env.ONCE) {
+        report(await indexer.syncOnce());
+        console.log(`\n📊 ${store.state.events.length} event(s) stored`);
+        console.table(getLeaderboard(store, { limit: 5 }));
+        console.table(getCo2ByActivityType(store));
+        return;
+    }
+
+    process.on("SIGINT", () => {
+        console.log("\n⏹️  Stopping after the current sync");
+        indexer.stop();
+    });
+    await indexer.follow({
+        onSync: report,
+        onError: (error) => console.error("❌ Sync failed, retrying:", error.message)
+    });
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Indexing failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,82 @@
+// Role layout of the GreenChain contracts, shared by the deploy and audit scripts
+
+const CONTRACT_ROLES = {
+    ParticipantRegistry: ["DEFAULT_ADMIN_ROLE", "ACTIVITY_RECORDER_ROLE", "TIER_UPDATER_ROLE", "VERIFIER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    TierManager: ["DEFAULT_ADMIN_ROLE", "TIER_UPDATER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    PointsToken: ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    BadgeNFT: ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    CouponExchange: ["DEFAULT_ADMIN_ROLE", "COUPON_ADMIN_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    RewardsVault: ["DEFAULT_ADMIN_ROLE", "INVENTORY_MANAGER_ROLE", "COUPON_ADMIN_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    SeasonManager: ["DEFAULT_ADMIN_ROLE", "SEASON_ADMIN_ROLE", "POINTS_RECORDER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    AchievementManager: ["DEFAULT_ADMIN_ROLE", "ACHIEVEMENT_ADMIN_ROLE", "EVALUATOR_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    OffsetCertificate: ["DEFAULT_ADMIN_ROLE", "ISSUER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"],
+    ProjectRegistry: ["DEFAULT_ADMIN_ROLE", "PROJECT_ADMIN_ROLE", "CONTRIBUTION_MANAGER_ROLE", "CONFIG_ADMIN_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]
+};
+
+// Roles the contracts need on each other: [target contract, role, grantee contract]
+const SYSTEM_ROLE_GRANTS = [
+    ["participantRegistry", "TIER_UPDATER_ROLE", "tierManager"],
+    ["tierManager", "TIER_UPDATER_ROLE", "participantRegistry"],
+    ["pointsToken", "MINTER_ROLE", "participantRegistry"],
+    ["pointsToken", "MINTER_ROLE", "couponExchange"],
+    ["badgeNFT", "MINTER_ROLE", "participantRegistry"],
+    ["rewardsVault", "INVENTORY_MANAGER_ROLE", "couponExchange"],
+    ["seasonManager", "POINTS_RECORDER_ROLE", "participantRegistry"],
+    ["badgeNFT", "MINTER_ROLE", "seasonManager"],
+    ["participantRegistry", "ACTIVITY_RECORDER_ROLE", "seasonManager"],
+    ["achievementManager", "EVALUATOR_ROLE", "participantRegistry"],
+    ["badgeNFT", "MINTER_ROLE", "achievementManager"],
+    ["participantRegistry", "ACTIVITY_RECORDER_ROLE", "achievementManager"],
+    ["participantRegistry", "ACTIVITY_RECORDER_ROLE", "projectRegistry"]
+];
+
+// Day-to-day roles for an operator account (backend service or admin wallet)
+const OPERATOR_ROLE_GRANTS = [
+    ["participantRegistry", "ACTIVITY_RECORDER_ROLE"],
+    ["rewardsVault", "INVENTORY_MANAGER_ROLE"],
+    ["offsetCertificate", "ISSUER_ROLE"],
+    ["projectRegistry", "CONTRIBUTION_MANAGER_ROLE"]
+];
+
+async function grantRole(contract, roleName, account) {
+    const role = await contract[roleName]();
+    if (await contract.hasRole(role, account)) {
+        return false;
+    }
+
+    const tx = await contract.grantRole(role, account);
+    await tx.wait();
+    return true;
+}
+
+/**
+ * Grant the roles the GreenChain contracts need to call each other
+ * @param contracts Object of ethers contracts keyed by camelCase contract name
+ */
+async function grantSystemRoles(contracts) {
+    for (const [target, roleName, grantee] of SYSTEM_ROLE_GRANTS) {
+        const granteeAddress = await contracts[grantee].getAddress();
+        const granted = await grantRole(contracts[target], roleName, granteeAddress);
+        console.log(`${granted ? "✅" : "⏭️ "} ${target}.${roleName} → ${grantee}`);
+    }
+}
+
+/**
+ * Grant the operator roles to an account
+ * @param contracts Object of ethers contracts keyed by camelCase contract name
+ * @param account Operator address
+ */
+async function grantOperatorRoles(contracts, account) {
+    for (const [target, roleName] of OPERATOR_ROLE_GRANTS) {
+        const granted = await grantRole(contracts[target], roleName, account);
+        console.log(`${granted ? "✅" : "⏭️ "} ${target}.${roleName} → ${account}`);
+    }
+}
+
+module.exports = {
+    CONTRACT_ROLES,
+    SYSTEM_ROLE_GRANTS,
+    OPERATOR_ROLE_GRANTS,
+    grantSystemRoles,
+    grantOperatorRoles
+};
@@ -0,0 +1,67 @@
+const { ethers, upgrades, network } = require("hardhat");
+const { loadDeployment, saveDeployment } = require("./deployment");
+
+// Upgrade one GreenChain proxy, e.g.
+// CONTRACT=ParticipantRegistry PROXY_ADDRESS=0x... npx hardhat run scripts/upgrade.js --network sepolia
+//
+// CONTRACT         Name of the deployed contract (used for the role check)
+// PROXY_ADDRESS    UUPS proxy to upgrade (defaults to the address in deployments/<network>.json)
+// NEW_CONTRACT     Name of the new implementation, if it differs from CONTRACT (e.g. ParticipantRegistryV2)
+// VALIDATE_ONLY    Run the storage-layout checks without upgrading
+//
+// The checks compare against the implementation recorded in the plugin's .openzeppelin/<network>.json
+// manifest, so keep the manifest written by scripts/deploy.js.
+
+async function main() {
+    const contractName = process.env.CONTRACT;
+    const deployment = loadDeployment(network.name);
+    const proxyAddress = process.env.PROXY_ADDRESS || deployment?.contracts[contractName]?.address;
+    const newContractName = process.env.NEW_CONTRACT || contractName;
+
+    if (!contractName || !proxyAddress) {
+        throw new Error("CONTRACT must be set, and PROXY_ADDRESS unless the contract is in the deployment manifest");
+    }
+
+    console.log(`🔄 Upgrading ${contractName} at ${proxyAddress} to ${newContractName}`);
+
+    const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    console.log("📄 Current implementation:", currentImplementation);
+
+    // Storage layout and upgrade-safety checks; throws with a report if the new version is incompatible
+    console.log("\n🔍 Validating upgrade...");
+    const NewImplementation = await ethers.getContractFactory(newContractName);
+    await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+    console.log("✅ Storage layout is compatible");
+
+    if (process.env.VALIDATE_ONLY) {
+        console.log("\n⏭️  VALIDATE_ONLY set, not upgrading");
+        return;
+    }
+
+    const [upgrader] = await ethers.getSigners();
+    const proxy = await ethers.getContractAt(contractName, proxyAddress);
+    if (!(await proxy.hasRole(await proxy.UPGRADER_ROLE(), upgrader.address))) {
+        throw new Error(`${upgrader.address} does not hold UPGRADER_ROLE on ${contractName}`);
+    }
+
+    console.log("\n📦 Deploying new implementation and upgrading proxy...");
+    const upgraded = await upgrades.upgradeProxy(proxyAddress, NewImplementation, { kind: "uups" });
+    await upgraded.waitForDeployment();
+
+    const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    console.log("✅ New implementation:", newImplementation);
+
+    if (deployment?.contracts[contractName]?.address === proxyAddress) {
+        deployment.contracts[contractName].implementation = newImplementation;
+        saveDeployment(network.name, deployment);
+    }
+
+    console.log(`\n🎉 ${contractName} upgraded; proxy address and state are unchanged`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Upgrade failed:", error);
+        process.exit(1);
+    });
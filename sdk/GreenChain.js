@@ -0,0 +1,416 @@
+// High-level client for a deployed GreenChain system. It is part of this repository rather than a standalone
+// package and reads its ABIs from the repo's compiled artifacts/
+const fs = require("fs");
+const path = require("path");
+const { Contract, encodeBytes32String, hexlify, isHexString, randomBytes } = require("ethers");
+const { NotRegisteredError, decodeRevert } = require("./errors");
+
+// The TypeChain bindings are TypeScript sources, so plain JS cannot load their factories; handles are built
+// with ethers' Contract from the artifact ABIs and typed as the TypeChain contracts through JSDoc
+/**
+ * @typedef {import("../typechain-types").ParticipantRegistry} ParticipantRegistry
+ * @typedef {import("../typechain-types").TierManager} TierManager
+ * @typedef {import("../typechain-types").PointsToken} PointsToken
+ * @typedef {import("../typechain-types").BadgeNFT} BadgeNFT
+ * @typedef {import("../typechain-types").CouponExchange} CouponExchange
+ * @typedef {import("../typechain-types").RewardsVault} RewardsVault
+ * @typedef {import("../typechain-types").SeasonManager} SeasonManager
+ * @typedef {import("../typechain-types").AchievementManager} AchievementManager
+ * @typedef {import("../typechain-types").OffsetCertificate} OffsetCertificate
+ * @typedef {import("../typechain-types").ProjectRegistry} ProjectRegistry
+ */
+
+const CONTRACT_NAMES = ["ParticipantRegistry", "TierManager", "PointsToken", "BadgeNFT", "CouponExchange", "RewardsVault"];
+// Contracts added after the first release; older manifests may not have them
+const OPTIONAL_CONTRACT_NAMES = ["SeasonManager", "AchievementManager", "OffsetCertificate", "ProjectRegistry"];
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * ABI from Hardhat artifacts; `artifacts` is anything with readArtifact (e.g. hre.artifacts)
+ */
+async function loadAbi(name, artifacts) {
+    if (artifacts) {
+        return (await artifacts.readArtifact(name)).abi;
+    }
+    return JSON.parse(fs.readFileSync(path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`), "utf8")).abi;
+}
+
+function toReferralCode(code) {
+    return isHexString(code, 32) ? code : encodeBytes32String(code);
+}
+
+class GreenChain {
+    /**
+     * Use GreenChain.connect rather than the constructor
+     */
+    constructor(contracts, runner) {
+        /** @type {ParticipantRegistry} */
+        this.participantRegistry = contracts.participantRegistry;
+        /** @type {TierManager} */
+        this.tierManager = contracts.tierManager;
+        /** @type {PointsToken} */
+        this.pointsToken = contracts.pointsToken;
+        /** @type {BadgeNFT} */
+        this.badgeNFT = contracts.badgeNFT;
+        /** @type {CouponExchange} */
+        this.couponExchange = contracts.couponExchange;
+        /** @type {RewardsVault} */
+        this.rewardsVault = contracts.rewardsVault;
+        /** @type {SeasonManager | undefined} */
+        this.seasonManager = contracts.seasonManager;
+        /** @type {AchievementManager | undefined} */
+        this.achievementManager = contracts.achievementManager;
+        /** @type {OffsetCertificate | undefined} */
+        this.offsetCertificate = contracts.offsetCertificate;
+        /** @type {ProjectRegistry | undefined} */
+        this.projectRegistry = contracts.projectRegistry;
+        this.runner = runner;
+        this.interfaces = Object.values(contracts).map((contract) => contract.interface);
+    }
+
+    /**
+     * Attach to every contract in a deployment manifest
+     * @param manifest deployments/<network>.json contents, or its path
+     * @param signer Signer for transactions, or a provider for read-only use
+     * @param options.artifacts Artifact source (e.g. hre.artifacts); defaults to the repo's artifacts/ directory
+     */
+    static async connect(manifest, signer, { artifacts } = {}) {
+        const deployment = typeof manifest === "string" ? JSON.parse(fs.readFileSync(manifest, "utf8")) : manifest;
+        const provider = signer.provider || signer;
+
+        if (deployment.chainId !== undefined) {
+            const { chainId } = await provider.getNetwork();
+            if (Number(chainId) !== deployment.chainId) {
+                throw new Error(`Manifest is for chain ${deployment.chainId}, connected to ${chainId}`);
+            }
+        }
+
+        const contracts = {};
+        for (const name of [...CONTRACT_NAMES, ...OPTIONAL_CONTRACT_NAMES]) {
+            const record = deployment.contracts[name];
+            if (!record) {
+                if (OPTIONAL_CONTRACT_NAMES.includes(name)) {
+                    continue;
+                }
+                throw new Error(`${name} missing from the deployment manifest`);
+            }
+            const key = name.charAt(0).toLowerCase() + name.slice(1);
+            contracts[key] = new Contract(record.address, await loadAbi(name, artifacts), signer);
+        }
+
+        return new GreenChain(contracts, signer);
+    }
+
+    /**
+     * Run a call, rethrowing contract reverts as typed GreenChainErrors
+     */
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw decodeRevert(error, this.interfaces) || error;
+        }
+    }
+
+    async _send(contract, method, args) {
+        return this._call(async () => {
+            const tx = await contract[method](...args);
+            return tx.wait();
+        });
+    }
+
+    _parseLogs(receipt, contract, eventName) {
+        return receipt.logs
+            .filter((log) => log.address.toLowerCase() === contract.target.toLowerCase())
+            .map((log) => contract.interface.parseLog(log))
+            .filter((event) => event && event.name === eventName);
+    }
+
+    async _signerAddress() {
+        if (typeof this.runner.getAddress !== "function") {
+            throw new Error("A signer is required for this call");
+        }
+        return this.runner.getAddress();
+    }
+
+    /**
+     * Register the signer as a participant
+     * @param options.referrer Referrer address, or options.code for a referral code
+     */
+    async register(profileHash, { referrer, code } = {}) {
+        let receipt;
+        if (referrer) {
+            receipt = await this._send(this.participantRegistry, "registerParticipantWithReferrer", [profileHash, referrer]);
+        } else if (code) {
+            receipt = await this._send(this.participantRegistry, "registerParticipantWithCode", [profileHash, toReferralCode(code)]);
+        } else {
+            receipt = await this._send(this.participantRegistry, "registerParticipant", [profileHash]);
+        }
+
+        return { receipt, wallet: await this._signerAddress() };
+    }
+
+    /**
+     * Estimate the points and tier change an offset would give, without sending a transaction.
+     * Exact unless the streak, tier table or qualifying window changes before the offset is recorded.
+     */
+    async previewOffset(wallet, co2Kg) {
+        return this._call(async () => {
+            const participant = await this.participantRegistry.getParticipant(wallet);
+            if (!participant.isActive) {
+                throw new NotRegisteredError("Participant not found", { code: "PARTICIPANT_NOT_FOUND", reason: "Participant not found" });
+            }
+
+            const streak = await this.participantRegistry.getProjectedStreak(wallet);
+            const basePoints = await this.participantRegistry.calculatePoints(co2Kg, streak);
+            const multiplier = await this.tierManager.getTierMultiplier(participant.currentTier);
+            const points = (basePoints * multiplier) / 100n;
+
+            const qualifyingPoints = await this.tierManager.getQualifyingPoints(wallet);
+            const projectedTier = await this.tierManager.calculateTier(qualifyingPoints + points);
+            const newTier = projectedTier > participant.currentTier ? projectedTier : participant.currentTier;
+
+            return {
+                points,
+                streak,
+                currentTier: participant.currentTier,
+                newTier,
+                tierChanged: newTier !== participant.currentTier,
+                newTierName: await this.tierManager.getTierName(newTier)
+            };
+        });
+    }
+
+    /**
+     * Record an offset for a participant (signer needs ACTIVITY_RECORDER_ROLE)
+     * @return Receipt, the pre-check estimate, points awarded and any tier upgrade
+     */
+    async recordOffset(wallet, co2Kg, activityType, description) {
+        const preview = await this.previewOffset(wallet, co2Kg);
+        const receipt = await this._send(this.participantRegistry, "recordOffsetActivity", [wallet, co2Kg, activityType, description]);
+
+        const [earned] = this._parseLogs(receipt, this.participantRegistry, "PointsEarned")
+            .filter((event) => event.args.wallet.toLowerCase() === wallet.toLowerCase() && event.args.co2Offset > 0n);
+        const [upgrade] = this._parseLogs(receipt, this.participantRegistry, "TierUpgraded");
+
+        return {
+            receipt,
+            preview,
+            points: earned ? earned.args.points : 0n,
+            tierUpgrade: upgrade ? { oldTier: upgrade.args.oldTier, newTier: upgrade.args.newTier } : null
+        };
+    }
+
+    /**
+     * Record many offsets in one transaction (signer needs ACTIVITY_RECORDER_ROLE)
+     * @param activities Objects with wallet, co2Kg, activityType and description
+     * @param options.atomic Revert the whole batch on an invalid item (default), or skip invalid items
+     * @return Receipt, number of offsets recorded and the skipped items with their reasons
+     */
+    async recordOffsets(activities, { atomic = true } = {}) {
+        const offsets = activities.map(({ wallet, co2Kg, activityType, description }) => ({
+            wallet,
+            co2OffsetKg: co2Kg,
+            activityType,
+            activityDescription: description
+        }));
+        const receipt = await this._send(this.participantRegistry, "batchRecordOffsetActivity", [offsets, atomic]);
+
+        const skipped = this._parseLogs(receipt, this.participantRegistry, "OffsetActivitySkipped")
+            .map((event) => ({ index: Number(event.args.index), wallet: event.args.wallet, reason: event.args.reason }));
+
+        return { receipt, recorded: activities.length - skipped.length, skipped };
+    }
+
+    /**
+     * Buy a coupon with the signer's points
+     * @return Receipt, the new user coupon ID and the points spent
+     */
+    async buyCoupon(couponId) {
+        const receipt = await this._send(this.couponExchange, "purchaseCoupon", [couponId]);
+        const [purchase] = this._parseLogs(receipt, this.couponExchange, "CouponPurchased");
+
+        // The purchase event has no user coupon ID; the buyer's newest one as of the purchase block is this one
+        const ids = await this.couponExchange.getUserCouponIds(await this._signerAddress(), { blockTag: receipt.blockNumber });
+
+        return { receipt, userCouponId: ids[ids.length - 1], pointsSpent: purchase.args.pointsSpent };
+    }
+
+    /**
+     * Redeem one of the signer's coupons against an off-chain redemption code
+     * @param redemptionCode Code to show the merchant; a random one is generated if omitted
+     * @return Receipt and the redemption code (only its hash is stored on-chain)
+     */
+    async redeem(userCouponId, redemptionCode = hexlify(randomBytes(16))) {
+        const codeHash = await this.couponExchange.hashRedemptionCode(userCouponId, redemptionCode);
+        const receipt = await this._send(this.couponExchange, "redeemCoupon", [userCouponId, codeHash]);
+        return { receipt, redemptionCode };
+    }
+
+    /**
+     * Certify whole tonnes of the signer's verified CO2 offset from a credit batch
+     * @return Receipt and the new certificate token ID
+     */
+    async claimCertificate(batchId, tonnes) {
+        if (!this.offsetCertificate) {
+            throw new Error("OffsetCertificate missing from the deployment manifest");
+        }
+        const receipt = await this._send(this.offsetCertificate, "claimCertificate", [batchId, tonnes]);
+        const [issued] = this._parseLogs(receipt, this.offsetCertificate, "CertificateIssued");
+        return { receipt, certificateId: issued.args.certificateId };
+    }
+
+    /**
+     * Pledge an offset in a project for the signer; it is recorded once a contribution manager marks it funded
+     * @return Receipt and the new contribution ID
+     */
+    async pledge(projectId, co2Kg) {
+        if (!this.projectRegistry) {
+            throw new Error("ProjectRegistry missing from the deployment manifest");
+        }
+        const receipt = await this._send(this.projectRegistry, "pledge", [projectId, co2Kg]);
+        const [pledged] = this._parseLogs(receipt, this.projectRegistry, "ContributionPledged");
+        return { receipt, contributionId: pledged.args.contributionId };
+    }
+
+    /**
+     * Points and leaderboard rank in the active season, or null between seasons
+     */
+    async _getSeasonStanding(wallet) {
+        if (!this.seasonManager || !(await this.seasonManager.isSeasonActive())) {
+            return null;
+        }
+        const seasonId = await this.seasonManager.currentSeasonId();
+        return {
+            seasonId,
+            name: (await this.seasonManager.getSeason(seasonId)).name,
+            points: await this.seasonManager.getSeasonPoints(seasonId, wallet),
+            rank: await this.seasonManager.getRank(seasonId, wallet) // 0 when not on the leaderboard
+        };
+    }
+
+    /**
+     * Unlocked achievements with their badges (empty without an AchievementManager)
+     */
+    async _getAchievements(wallet) {
+        if (!this.achievementManager) {
+            return [];
+        }
+        const achievements = [];
+        for (const ruleId of await this.achievementManager.getAchievements(wallet)) {
+            achievements.push({
+                ruleId,
+                name: (await this.achievementManager.getRule(ruleId)).name,
+                badgeId: await this.achievementManager.getAchievementBadge(ruleId, wallet)
+            });
+        }
+        return achievements;
+    }
+
+    /**
+     * Offset certificates and the CO2 still available to certify (null without an OffsetCertificate)
+     */
+    async _getCertificates(wallet) {
+        if (!this.offsetCertificate) {
+            return null;
+        }
+        const issued = [];
+        for (const certificateId of await this.offsetCertificate.getUserCertificates(wallet)) {
+            const certificate = await this.offsetCertificate.getCertificate(certificateId);
+            issued.push({
+                certificateId,
+                kind: certificate.kind === 0n ? "CREDIT" : "ANNUAL",
+                projectId: certificate.projectId,
+                vintage: certificate.vintage,
+                co2OffsetKg: certificate.co2OffsetKg,
+                retiredTonnes: certificate.retiredTonnes
+            });
+        }
+        return { claimableCo2Kg: await this.offsetCertificate.getClaimableCo2(wallet), issued };
+    }
+
+    /**
+     * Everything a participant dashboard shows, in one call
+     * @param wallet Defaults to the signer
+     */
+    async getDashboard(wallet) {
+        const address = wallet || (await this._signerAddress());
+
+        return this._call(async () => {
+            const participant = await this.participantRegistry.getParticipant(address);
+            if (!participant.isActive) {
+                return { wallet: address, registered: false };
+            }
+
+            const tier = await this.tierManager.getTierInfo(participant.currentTier);
+            const nextTierPoints = await this.tierManager.getNextTierRequirements(participant.currentTier);
+            const qualifyingPoints = await this.tierManager.getQualifyingPoints(address);
+            const [earned, spent, expired, refunded] = await this.pointsToken.getAccountTotals(address);
+            const streak = await this.participantRegistry.getStreakInfo(address);
+            const [activityTypes, co2Totals] = await this.participantRegistry.getActivityTypeTotals(address);
+
+            const badges = [];
+            for (const tokenId of await this.badgeNFT.getUserBadges(address)) {
+                const badge = await this.badgeNFT.getBadge(tokenId);
+                badges.push({ tokenId, badgeType: badge.badgeType, name: badge.name, earnedDate: badge.earnedDate, isActive: badge.isActive });
+            }
+
+            const coupons = [];
+            const userCoupons = await this.couponExchange.getUserCoupons(address);
+            const userCouponIds = await this.couponExchange.getUserCouponIds(address);
+            for (let i = 0; i < userCoupons.length; i++) {
+                const coupon = await this.couponExchange.getCoupon(userCoupons[i].couponId);
+                coupons.push({
+                    userCouponId: userCouponIds[i],
+                    couponId: userCoupons[i].couponId,
+                    name: coupon.name,
+                    pointsSpent: userCoupons[i].pointsSpent,
+                    isRedeemed: userCoupons[i].isRedeemed,
+                    isConsumed: userCoupons[i].isConsumed,
+                    isCancelled: userCoupons[i].isCancelled
+                });
+            }
+
+            return {
+                wallet: address,
+                registered: true,
+                profileHash: participant.profileHash,
+                joinDate: participant.joinDate,
+                lastActivityDate: participant.lastActivityDate,
+                tier: {
+                    level: participant.currentTier,
+                    name: tier.name,
+                    multiplier: tier.multiplier,
+                    couponBonus: tier.couponBonus,
+                    qualifyingPoints,
+                    // Zero at the top tier
+                    pointsToNextTier: nextTierPoints > qualifyingPoints ? nextTierPoints - qualifyingPoints : 0n
+                },
+                points: {
+                    lifetime: participant.totalPoints,
+                    balance: await this.pointsToken.balanceOf(address),
+                    spendable: await this.pointsToken.getSpendableBalance(address),
+                    earned,
+                    spent,
+                    expired,
+                    refunded
+                },
+                co2: {
+                    totalKg: participant.totalCo2OffsetKg,
+                    activityCount: participant.activityCount,
+                    byActivityType: Object.fromEntries(activityTypes.map((type, i) => [type, co2Totals[i]]))
+                },
+                streak: { current: streak.currentStreak, longest: streak.longestStreak },
+                season: await this._getSeasonStanding(address),
+                achievements: await this._getAchievements(address),
+                certificates: await this._getCertificates(address),
+                badges,
+                coupons
+            };
+        });
+    }
+}
+
+module.exports = {
+    GreenChain
+};
@@ -0,0 +1,172 @@
+// Typed errors for GreenChain contract reverts, so integrators can branch on class or code
+// instead of matching revert strings
+const { AbiCoder, isHexString } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/**
+ * Base class for decoded reverts
+ * @property code Stable identifier, e.g. PARTICIPANT_NOT_FOUND or ACCESS_CONTROL_UNAUTHORIZED_ACCOUNT
+ * @property reason Revert string for require() failures, otherwise null
+ * @property errorName Solidity custom error name, otherwise null
+ * @property args Decoded custom error arguments
+ */
+class GreenChainError extends Error {
+    constructor(message, { code, reason = null, errorName = null, args = [], cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+        this.reason = reason;
+        this.errorName = errorName;
+        this.args = args;
+    }
+}
+
+class NotRegisteredError extends GreenChainError {}
+class AlreadyRegisteredError extends GreenChainError {}
+class UnauthorizedError extends GreenChainError {}
+class PausedError extends GreenChainError {}
+class InsufficientPointsError extends GreenChainError {}
+class CouponUnavailableError extends GreenChainError {}
+class TierRequirementError extends GreenChainError {}
+class ReferralError extends GreenChainError {}
+class AttestationError extends GreenChainError {}
+class InvalidArgumentError extends GreenChainError {}
+
+// require() reasons with a more specific class than InvalidArgumentError
+const REVERT_REASONS = {
+    "Participant not found": NotRegisteredError,
+    "Participant not registered": NotRegisteredError,
+    "Not registered": NotRegisteredError,
+    "Already registered": AlreadyRegisteredError,
+    "Not authorized": UnauthorizedError,
+    "Not a merchant": UnauthorizedError,
+    "Not coupon owner": UnauthorizedError,
+    "Not coupon merchant": UnauthorizedError,
+    "Insufficient balance": InsufficientPointsError,
+    "Insufficient points lots": InsufficientPointsError,
+    "Coupon does not exist": CouponUnavailableError,
+    "Coupon not active": CouponUnavailableError,
+    "Coupon not yet available": CouponUnavailableError,
+    "Coupon sold out": CouponUnavailableError,
+    "Coupon expired": CouponUnavailableError,
+    "Coupon cancelled": CouponUnavailableError,
+    "Coupon already redeemed": CouponUnavailableError,
+    "User coupon does not exist": CouponUnavailableError,
+    "Purchase limit reached": CouponUnavailableError,
+    "Insufficient inventory": CouponUnavailableError,
+    "Refund window closed": CouponUnavailableError,
+    "Tier too low": TierRequirementError,
+    "Exclusive access required": TierRequirementError,
+    "Tier not eligible": TierRequirementError,
+    "Priority access required": TierRequirementError,
+    "VIP access required": TierRequirementError,
+    "Referrer not registered": ReferralError,
+    "Referee not registered": ReferralError,
+    "Cannot refer self": ReferralError,
+    "Unknown referral code": ReferralError,
+    "Referral code taken": ReferralError,
+    "Referral code already set": ReferralError,
+    "Referral already rewarded": ReferralError,
+    "Referee has a different referrer": ReferralError,
+    "Attestation expired": AttestationError,
+    "Attestation already used": AttestationError,
+    "Invalid verifier": AttestationError
+};
+
+// Custom errors from the OpenZeppelin base contracts
+const CUSTOM_ERRORS = {
+    AccessControlUnauthorizedAccount: UnauthorizedError,
+    EnforcedPause: PausedError,
+    ERC20InsufficientBalance: InsufficientPointsError
+};
+
+/**
+ * UPPER_SNAKE_CASE code from a revert string or custom error name
+ */
+function toErrorCode(text) {
+    return text
+        .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+        .replace(/[^A-Za-z0-9]+/g, "_")
+        .replace(/^_|_$/g, "")
+        .toUpperCase();
+}
+
+/**
+ * Find the revert data in an error from ethers or the Hardhat network, which nest it differently
+ */
+function findRevertData(error, depth = 0) {
+    if (!error || typeof error !== "object" || depth > 5) {
+        return null;
+    }
+    if (isHexString(error.data) && error.data.length >= 10) {
+        return error.data;
+    }
+    if (error.data && isHexString(error.data.data)) {
+        return error.data.data;
+    }
+    return findRevertData(error.error, depth + 1) ||
+        findRevertData(error.info?.error, depth + 1) ||
+        findRevertData(error.cause, depth + 1);
+}
+
+/**
+ * Turn a failed call or transaction into a typed GreenChainError
+ * @param error Error thrown by ethers
+ * @param interfaces Contract interfaces used to decode custom errors
+ * @return Decoded error, or null if the error is not a contract revert
+ */
+function decodeRevert(error, interfaces = []) {
+    if (error instanceof GreenChainError) {
+        return error;
+    }
+
+    const data = findRevertData(error);
+    if (!data) {
+        return null;
+    }
+
+    const selector = data.slice(0, 10);
+    if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], "0x" + data.slice(10));
+        const ErrorClass = REVERT_REASONS[reason] || InvalidArgumentError;
+        return new ErrorClass(reason, { code: toErrorCode(reason), reason, cause: error });
+    }
+    if (selector === PANIC_SELECTOR) {
+        const [panicCode] = AbiCoder.defaultAbiCoder().decode(["uint256"], "0x" + data.slice(10));
+        return new GreenChainError(`Panic 0x${panicCode.toString(16)}`, { code: "PANIC", args: [panicCode], cause: error });
+    }
+
+    for (const contractInterface of interfaces) {
+        const parsed = contractInterface.parseError(data);
+        if (parsed) {
+            const ErrorClass = CUSTOM_ERRORS[parsed.name] || GreenChainError;
+            const args = Array.from(parsed.args);
+            return new ErrorClass(`${parsed.name}(${args.join(", ")})`, {
+                code: toErrorCode(parsed.name),
+                errorName: parsed.name,
+                args,
+                cause: error
+            });
+        }
+    }
+
+    return new GreenChainError(`Unknown revert ${selector}`, { code: "UNKNOWN_REVERT", args: [data], cause: error });
+}
+
+module.exports = {
+    GreenChainError,
+    NotRegisteredError,
+    AlreadyRegisteredError,
+    UnauthorizedError,
+    PausedError,
+    InsufficientPointsError,
+    CouponUnavailableError,
+    TierRequirementError,
+    ReferralError,
+    AttestationError,
+    InvalidArgumentError,
+    REVERT_REASONS,
+    decodeRevert
+};
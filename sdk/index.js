@@ -0,0 +1,7 @@
+const { GreenChain } = require("./GreenChain");
+const errors = require("./errors");
+
+module.exports = {
+    GreenChain,
+    ...errors
+};
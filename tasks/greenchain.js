@@ -0,0 +1,381 @@
+// Operational tasks: npx hardhat greenchain:<task> --network <network> [--json]
+// Contract addresses are read from deployments/<network>.json (see scripts/deploy.js)
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { CONTRACT_NAMES, contractKey, getDeploymentPath, loadDeployment } = require("../scripts/deployment");
+
+/**
+ * Attach to every contract in the network's deployment manifest.
+ * Fails with "not deployed on <network>" when the manifest, a contract entry or its code is missing.
+ */
+async function getContracts(hre, signer) {
+    const network = hre.network.name;
+    const manifestPath = getDeploymentPath(network);
+    const deployment = loadDeployment(network);
+    if (!deployment) {
+        throw new Error(`GreenChain is not deployed on ${network}: no deployment manifest at ${manifestPath}; run scripts/deploy.js first`);
+    }
+
+    const contracts = {};
+    for (const name of CONTRACT_NAMES) {
+        const record = (deployment.contracts || {})[name];
+        if (!record || !record.address) {
+            throw new Error(`${name} is not deployed on ${network}: missing from ${manifestPath}; run scripts/deploy.js`);
+        }
+        if ((await hre.ethers.provider.getCode(record.address)) === "0x") {
+            throw new Error(`${name} is not deployed on ${network}: no code at ${record.address}; run scripts/deploy.js`);
+        }
+        contracts[contractKey(name)] = await hre.ethers.getContractAt(name, record.address, signer);
+    }
+    return contracts;
+}
+
+/**
+ * Signer for --from (an address among the configured accounts), defaulting to the first account
+ */
+async function getSigner(hre, from) {
+    const signers = await hre.ethers.getSigners();
+    if (!from) {
+        return signers[0];
+    }
+
+    const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+    if (!signer) {
+        throw new Error(`${from} is not one of the configured accounts for ${hre.network.name}`);
+    }
+    return signer;
+}
+
+const stringifyBigInt = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * Print rows as a table, or as JSON with --json
+ */
+function output(rows, json, title) {
+    if (json) {
+        console.log(JSON.stringify(rows, stringifyBigInt, 2));
+        return;
+    }
+
+    if (title) {
+        console.log(`\n${title}`);
+    }
+    if (Array.isArray(rows) && rows.length === 0) {
+        console.log("(none)");
+        return;
+    }
+    console.table(JSON.parse(JSON.stringify(rows, stringifyBigInt)));
+}
+
+async function send(label, txPromise) {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+    return { action: label, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+function formatDate(timestamp) {
+    return timestamp > 0n ? new Date(Number(timestamp) * 1000).toISOString() : "";
+}
+
+/**
+ * Minimal CSV reader: header row, comma separated, double quotes for fields containing commas
+ */
+function readCsv(file) {
+    const lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter((line) => line.trim() !== "");
+    const parseLine = (line) => {
+        const fields = [];
+        let field = "";
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === "," && !quoted) {
+                fields.push(field.trim());
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    };
+
+    const header = parseLine(lines[0]);
+    return lines.slice(1).map((line) => {
+        const fields = parseLine(line);
+        return Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    });
+}
+
+/**
+ * Referral code as bytes32: a 0x-prefixed 32-byte hex value, or a short string
+ */
+function toReferralCode(hre, code) {
+    return hre.ethers.isHexString(code, 32) ? code : hre.ethers.encodeBytes32String(code);
+}
+
+task("greenchain:register", "Register the signer as a participant")
+    .addParam("profile", "IPFS hash of the off-chain profile")
+    .addOptionalParam("referrer", "Referrer address")
+    .addOptionalParam("code", "Referral code of the referrer")
+    .addOptionalParam("from", "Account to register (defaults to the first configured account)")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.from);
+        const { participantRegistry } = await getContracts(hre, signer);
+
+        let result;
+        if (args.code) {
+            result = await send("register", participantRegistry.registerParticipantWithCode(args.profile, toReferralCode(hre, args.code)));
+        } else if (args.referrer) {
+            result = await send("register", participantRegistry.registerParticipantWithReferrer(args.profile, args.referrer));
+        } else {
+            result = await send("register", participantRegistry.registerParticipant(args.profile));
+        }
+
+        output([{ wallet: signer.address, ...result }], args.json);
+    });
+
+task("greenchain:record-offset", "Record carbon offset activity (activity recorder only)")
+    .addOptionalParam("wallet", "Participant wallet")
+    .addOptionalParam("kg", "CO2 offset in kg", undefined, types.int)
+    .addOptionalParam("type", "Activity type, e.g. TRANSPORT or ENERGY")
+    .addOptionalParam("description", "Activity description")
+    .addOptionalParam("csv", "CSV file with columns wallet,co2Kg,activityType,description")
+    .addOptionalParam("batchSize", "Rows per batchRecordOffsetActivity transaction", 50, types.int)
+    .addOptionalParam("from", "Activity recorder account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { participantRegistry } = await getContracts(hre, await getSigner(hre, args.from));
+
+        let records;
+        if (args.csv) {
+            records = readCsv(args.csv);
+        } else {
+            if (!args.wallet || args.kg === undefined || !args.type || !args.description) {
+                throw new Error("Pass --wallet, --kg, --type and --description, or --csv");
+            }
+            records = [{ wallet: args.wallet, co2Kg: args.kg, activityType: args.type, description: args.description }];
+        }
+        if (args.batchSize < 1) {
+            throw new Error("--batch-size must be at least 1");
+        }
+
+        // Rows go out in non-atomic batches: an invalid row is skipped and reported from its
+        // OffsetActivitySkipped event, and a batch that reverts as a whole fails only its own rows
+        const rows = [];
+        for (let start = 0; start < records.length; start += args.batchSize) {
+            const chunk = records.slice(start, start + args.batchSize);
+            const offsets = chunk.map((record) => ({
+                wallet: record.wallet,
+                co2OffsetKg: record.co2Kg,
+                activityType: record.activityType,
+                activityDescription: record.description
+            }));
+
+            try {
+                const tx = await participantRegistry.batchRecordOffsetActivity(offsets, false);
+                const receipt = await tx.wait();
+                const skipped = new Map(receipt.logs
+                    .map((log) => participantRegistry.interface.parseLog(log))
+                    .filter((event) => event && event.name === "OffsetActivitySkipped")
+                    .map((event) => [Number(event.args.index), event.args.reason]));
+
+                chunk.forEach((record, i) => {
+                    const row = { wallet: record.wallet, co2Kg: Number(record.co2Kg) };
+                    rows.push(skipped.has(i)
+                        ? { ...row, status: "failed", error: skipped.get(i) }
+                        : { ...row, status: "recorded", action: "record-offset", txHash: receipt.hash, blockNumber: receipt.blockNumber });
+                });
+            } catch (error) {
+                for (const record of chunk) {
+                    rows.push({ wallet: record.wallet, co2Kg: Number(record.co2Kg), status: "failed", error: error.shortMessage || error.message });
+                }
+            }
+        }
+
+        output(rows, args.json);
+        if (rows.some((row) => row.status === "failed")) {
+            process.exitCode = 1;
+        }
+    });
+
+task("greenchain:award-referral", "Award a referral bonus (activity recorder only)")
+    .addParam("referrer", "Referrer address")
+    .addParam("referee", "Referee address")
+    .addOptionalParam("from", "Activity recorder account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { participantRegistry } = await getContracts(hre, await getSigner(hre, args.from));
+        const result = await send("award-referral", participantRegistry.awardReferralBonus(args.referrer, args.referee));
+
+        output([{ referrer: args.referrer, referee: args.referee, ...result }], args.json);
+    });
+
+task("greenchain:create-coupon", "Create a coupon (coupon admin, or a merchant within its categories)")
+    .addParam("name", "Coupon name")
+    .addParam("description", "Coupon description")
+    .addParam("pointsCost", "Points cost", undefined, types.int)
+    .addParam("value", "Value in USD cents", undefined, types.int)
+    .addParam("category", "Category, e.g. FOOD")
+    .addParam("maxSupply", "Maximum supply", undefined, types.int)
+    .addOptionalParam("from", "Coupon admin or merchant account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { couponExchange } = await getContracts(hre, await getSigner(hre, args.from));
+
+        const tx = await couponExchange.createCoupon(args.name, args.description, args.pointsCost, args.value, args.category, args.maxSupply);
+        const receipt = await tx.wait();
+        const created = receipt.logs
+            .map((log) => couponExchange.interface.parseLog(log))
+            .find((event) => event && event.name === "CouponCreated");
+
+        output([{
+            couponId: Number(created.args.couponId),
+            name: args.name,
+            action: "create-coupon",
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        }], args.json);
+    });
+
+task("greenchain:update-coupon", "Activate or deactivate a coupon, or change its exchange rate")
+    .addParam("id", "Coupon ID", undefined, types.int)
+    .addOptionalParam("active", "Whether the coupon is on sale", undefined, types.boolean)
+    .addOptionalParam("pointsCost", "New points cost", undefined, types.int)
+    .addOptionalParam("value", "New value in USD cents", undefined, types.int)
+    .addOptionalParam("from", "Coupon admin or listing merchant account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { couponExchange } = await getContracts(hre, await getSigner(hre, args.from));
+
+        if (args.active === undefined && args.pointsCost === undefined && args.value === undefined) {
+            throw new Error("Pass --active, --points-cost or --value");
+        }
+
+        const rows = [];
+        if (args.active !== undefined) {
+            rows.push({ couponId: args.id, ...(await send(`set active ${args.active}`, couponExchange.updateCoupon(args.id, args.active))) });
+        }
+        if (args.pointsCost !== undefined || args.value !== undefined) {
+            const coupon = await couponExchange.getCoupon(args.id);
+            const pointsCost = args.pointsCost ?? coupon.pointsCost;
+            const value = args.value ?? coupon.value;
+            rows.push({
+                couponId: args.id,
+                ...(await send(`rate ${pointsCost} points / ${value} cents`, couponExchange.updateExchangeRates(args.id, pointsCost, value)))
+            });
+        }
+
+        output(rows, args.json);
+    });
+
+task("greenchain:deposit", "Deposit vault inventory for a coupon (inventory manager only)")
+    .addParam("coupon", "Coupon ID", undefined, types.int)
+    .addParam("amount", "Amount in USD cents", undefined, types.int)
+    .addOptionalParam("from", "Inventory manager account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { rewardsVault } = await getContracts(hre, await getSigner(hre, args.from));
+        const result = await send("deposit", rewardsVault.depositReward(args.coupon, args.amount));
+        const [available, reserved, consumed] = await rewardsVault.getCouponInventoryStatus(args.coupon);
+
+        output([{ couponId: args.coupon, amount: args.amount, available, reserved, consumed, ...result }], args.json);
+    });
+
+task("greenchain:participant", "Show a participant's stats, badges and coupons")
+    .addParam("wallet", "Participant wallet")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => {
+        const { participantRegistry, badgeNFT, couponExchange } = await getContracts(hre);
+
+        const stats = await participantRegistry.getParticipantStats(args.wallet);
+        const badgeIds = await badgeNFT.getUserBadges(args.wallet);
+        const userCoupons = await couponExchange.getUserCoupons(args.wallet);
+
+        const report = {
+            stats: {
+                wallet: args.wallet,
+                totalPoints: stats.totalPoints,
+                currentTier: stats.currentTier,
+                joinDate: formatDate(stats.joinDate),
+                lastActivityDate: formatDate(stats.lastActivityDate),
+                daysActive: stats.daysActive,
+                averagePointsPerDay: stats.averagePointsPerDay
+            },
+            badges: [],
+            coupons: []
+        };
+
+        for (const tokenId of badgeIds) {
+            const badge = await badgeNFT.getBadge(tokenId);
+            report.badges.push({
+                tokenId: badge.tokenId,
+                badgeType: badge.badgeType,
+                name: badge.name,
+                earnedDate: formatDate(badge.earnedDate),
+                isActive: badge.isActive
+            });
+        }
+
+        for (const userCoupon of userCoupons) {
+            const coupon = await couponExchange.getCoupon(userCoupon.couponId);
+            report.coupons.push({
+                couponId: userCoupon.couponId,
+                name: coupon.name,
+                purchaseDate: formatDate(userCoupon.purchaseDate),
+                pointsSpent: userCoupon.pointsSpent,
+                isRedeemed: userCoupon.isRedeemed,
+                isConsumed: userCoupon.isConsumed,
+                isCancelled: userCoupon.isCancelled
+            });
+        }
+
+        if (args.json) {
+            output(report, true);
+            return;
+        }
+        output([report.stats], false, "📊 Stats");
+        output(report.badges, false, "🏅 Badges");
+        output(report.coupons, false, "🎫 Coupons");
+    });
+
+/**
+ * Pause or unpause one contract, or all of them
+ */
+async function setPaused(args, hre, paused) {
+    const contracts = await getContracts(hre, await getSigner(hre, args.from));
+    const names = args.contract === "all" ? CONTRACT_NAMES : [args.contract];
+
+    const rows = [];
+    for (const name of names) {
+        const contract = contracts[contractKey(name)];
+        if (!contract) {
+            throw new Error(`Unknown contract ${name}; expected one of ${CONTRACT_NAMES.join(", ")} or all`);
+        }
+
+        if ((await contract.paused()) === paused) {
+            rows.push({ contract: name, action: paused ? "already paused" : "already unpaused" });
+            continue;
+        }
+        rows.push({ contract: name, ...(await send(paused ? "pause" : "unpause", paused ? contract.pause() : contract.unpause())) });
+    }
+
+    output(rows, args.json);
+}
+
+task("greenchain:pause", "Pause a contract, or all of them (pauser only)")
+    .addOptionalParam("contract", "Contract name, e.g. CouponExchange, or all", "all")
+    .addOptionalParam("from", "Pauser account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => setPaused(args, hre, true));
+
+task("greenchain:unpause", "Unpause a contract, or all of them (pauser only)")
+    .addOptionalParam("contract", "Contract name, e.g. CouponExchange, or all", "all")
+    .addOptionalParam("from", "Pauser account")
+    .addFlag("json", "Output JSON")
+    .setAction(async (args, hre) => setPaused(args, hre, false));
@@ -1,43 +1,81 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades, artifacts, run } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { verifyContractWiring } = require("../scripts/deployment");
+const { createStore, createIndexer, getLeaderboard, getUserTimeline, getCo2ByActivityType } = require("../indexer");
+const sdk = require("../sdk");
 
 describe("GreenChain Participant Record & Tier System", function () {
-    let participantRegistry, tierManager, pointsToken, badgeNFT, couponExchange, rewardsVault;
+    let participantRegistry, tierManager, pointsToken, badgeNFT, couponExchange, rewardsVault, seasonManager, achievementManager, offsetCertificate, projectRegistry;
     let owner, user1, user2, user3;
     
+    // Parse a base64 JSON data: URI such as BadgeNFT's tokenURI
+    const decodeDataURI = (uri) => JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+    
+    // IPointsToken.PointsSource values
+    const SOURCE = { ACTIVITY: 0, REGISTRATION: 1, REFERRAL: 2, BONUS: 3 };
+    
     beforeEach(async function () {
         [owner, user1, user2, user3] = await ethers.getSigners();
         
         // Deploy contracts
         const TierManager = await ethers.getContractFactory("TierManager");
-        tierManager = await TierManager.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+        tierManager = await upgrades.deployProxy(TierManager, [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
         
         const PointsToken = await ethers.getContractFactory("PointsToken");
-        pointsToken = await PointsToken.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+        pointsToken = await upgrades.deployProxy(PointsToken, [ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
         
         const BadgeNFT = await ethers.getContractFactory("BadgeNFT");
-        badgeNFT = await BadgeNFT.deploy(ethers.ZeroAddress, await tierManager.getAddress());
+        badgeNFT = await upgrades.deployProxy(BadgeNFT, [ethers.ZeroAddress, await tierManager.getAddress()], { kind: "uups" });
         
         const RewardsVault = await ethers.getContractFactory("RewardsVault");
-        rewardsVault = await RewardsVault.deploy(ethers.ZeroAddress, ethers.ZeroAddress);
+        rewardsVault = await upgrades.deployProxy(RewardsVault, [ethers.ZeroAddress, ethers.ZeroAddress], { kind: "uups" });
         
         const CouponExchange = await ethers.getContractFactory("CouponExchange");
-        couponExchange = await CouponExchange.deploy(
+        couponExchange = await upgrades.deployProxy(CouponExchange, [
             await pointsToken.getAddress(),
             ethers.ZeroAddress,
             await tierManager.getAddress(),
             await rewardsVault.getAddress()
-        );
+        ], { kind: "uups" });
         
         const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
-        participantRegistry = await ParticipantRegistry.deploy(
+        participantRegistry = await upgrades.deployProxy(ParticipantRegistry, [
             await tierManager.getAddress(),
             await pointsToken.getAddress(),
             await badgeNFT.getAddress()
-        );
+        ], { kind: "uups" });
+        
+        const SeasonManager = await ethers.getContractFactory("SeasonManager");
+        seasonManager = await upgrades.deployProxy(SeasonManager, [
+            await participantRegistry.getAddress(),
+            await badgeNFT.getAddress()
+        ], { kind: "uups" });
+        
+        const AchievementManager = await ethers.getContractFactory("AchievementManager");
+        achievementManager = await upgrades.deployProxy(AchievementManager, [
+            await participantRegistry.getAddress(),
+            await badgeNFT.getAddress()
+        ], { kind: "uups" });
+        
+        const OffsetCertificate = await ethers.getContractFactory("OffsetCertificate");
+        offsetCertificate = await upgrades.deployProxy(OffsetCertificate, [await participantRegistry.getAddress(), 3], { kind: "uups" });
+        
+        const ProjectRegistry = await ethers.getContractFactory("ProjectRegistry");
+        projectRegistry = await upgrades.deployProxy(ProjectRegistry, [
+            await participantRegistry.getAddress(),
+            await tierManager.getAddress()
+        ], { kind: "uups" });
         
         // Update contract addresses
-        await tierManager.updateContractAddresses(await participantRegistry.getAddress(), await badgeNFT.getAddress());
+        await tierManager.updateContractAddresses(
+            await participantRegistry.getAddress(),
+            await badgeNFT.getAddress(),
+            await pointsToken.getAddress()
+        );
         await pointsToken.updateContractAddresses(await participantRegistry.getAddress(), await couponExchange.getAddress());
         await badgeNFT.updateContractAddresses(await participantRegistry.getAddress(), await tierManager.getAddress());
         await rewardsVault.updateContractAddresses(await couponExchange.getAddress(), await participantRegistry.getAddress());
@@ -47,6 +85,38 @@ describe("GreenChain Participant Record & Tier System", function () {
             await tierManager.getAddress(),
             await rewardsVault.getAddress()
         );
+        
+        await participantRegistry.updateContractAddresses(
+            await tierManager.getAddress(),
+            await pointsToken.getAddress(),
+            await badgeNFT.getAddress(),
+            await seasonManager.getAddress(),
+            await achievementManager.getAddress()
+        );
+        
+        // Grant contract roles
+        await participantRegistry.grantRole(await participantRegistry.TIER_UPDATER_ROLE(), await tierManager.getAddress());
+        await tierManager.grantRole(await tierManager.TIER_UPDATER_ROLE(), await participantRegistry.getAddress());
+        await pointsToken.grantRole(await pointsToken.MINTER_ROLE(), await participantRegistry.getAddress());
+        await pointsToken.grantRole(await pointsToken.MINTER_ROLE(), await couponExchange.getAddress());
+        await badgeNFT.grantRole(await badgeNFT.MINTER_ROLE(), await participantRegistry.getAddress());
+        await rewardsVault.grantRole(await rewardsVault.INVENTORY_MANAGER_ROLE(), await couponExchange.getAddress());
+        await seasonManager.grantRole(await seasonManager.POINTS_RECORDER_ROLE(), await participantRegistry.getAddress());
+        await badgeNFT.grantRole(await badgeNFT.MINTER_ROLE(), await seasonManager.getAddress());
+        await participantRegistry.grantRole(await participantRegistry.ACTIVITY_RECORDER_ROLE(), await seasonManager.getAddress());
+        await achievementManager.grantRole(await achievementManager.EVALUATOR_ROLE(), await participantRegistry.getAddress());
+        await badgeNFT.grantRole(await badgeNFT.MINTER_ROLE(), await achievementManager.getAddress());
+        await participantRegistry.grantRole(await participantRegistry.ACTIVITY_RECORDER_ROLE(), await achievementManager.getAddress());
+        await participantRegistry.grantRole(await participantRegistry.ACTIVITY_RECORDER_ROLE(), await projectRegistry.getAddress());
+        
+        // The owner also acts as activity recorder, verifier, minter, inventory and contribution manager in tests
+        await participantRegistry.grantRole(await participantRegistry.ACTIVITY_RECORDER_ROLE(), owner.address);
+        await participantRegistry.grantRole(await participantRegistry.VERIFIER_ROLE(), owner.address);
+        await tierManager.grantRole(await tierManager.TIER_UPDATER_ROLE(), owner.address);
+        await pointsToken.grantRole(await pointsToken.MINTER_ROLE(), owner.address);
+        await badgeNFT.grantRole(await badgeNFT.MINTER_ROLE(), owner.address);
+        await rewardsVault.grantRole(await rewardsVault.INVENTORY_MANAGER_ROLE(), owner.address);
+        await projectRegistry.grantRole(await projectRegistry.CONTRIBUTION_MANAGER_ROLE(), owner.address);
     });
     
     describe("Participant Registration", function () {
@@ -166,12 +236,12 @@ describe("GreenChain Participant Record & Tier System", function () {
         });
         
         it("Should calculate points correctly", async function () {
-            const points = await participantRegistry.calculatePoints(10, false); // 10kg CO2, no streak
+            const points = await participantRegistry.calculatePoints(10, 1); // 10kg CO2, no streak
             expect(points).to.equal(100); // 10 * 10 base points
         });
         
         it("Should apply streak bonus", async function () {
-            const points = await participantRegistry.calculatePoints(10, true); // 10kg CO2, with streak
+            const points = await participantRegistry.calculatePoints(10, 2); // 10kg CO2, 2-day streak
             expect(points).to.equal(105); // 100 + 5% bonus
         });
         
@@ -198,19 +268,72 @@ describe("GreenChain Participant Record & Tier System", function () {
             expect(badge.badgeType).to.equal("BRONZE");
         });
         
-        it("Should mint tier badges on upgrade", async function () {
-            await participantRegistry.connect(owner).updateParticipant(
+        it("Should upgrade the tier badge in place", async function () {
+            const tierBadgeId = await badgeNFT.getTierBadge(user1.address);
+            
+            await expect(participantRegistry.connect(owner).updateParticipant(
                 user1.address,
                 1000,
                 100,
                 "CO2 offset activity"
-            );
+            )).to.emit(badgeNFT, "BadgeUpdated").withArgs(tierBadgeId, "SILVER")
+                .and.to.emit(badgeNFT, "MetadataUpdate").withArgs(tierBadgeId);
             
             const userBadges = await badgeNFT.getUserBadges(user1.address);
-            expect(userBadges.length).to.equal(2); // BRONZE + SILVER
+            expect(userBadges).to.deep.equal([tierBadgeId]); // Still a single tier badge
             
-            const silverBadge = await badgeNFT.getBadge(userBadges[1]);
+            const silverBadge = await badgeNFT.getBadge(tierBadgeId);
             expect(silverBadge.badgeType).to.equal("SILVER");
+            expect(silverBadge.name).to.equal("GreenChain SILVER Member");
+            expect(silverBadge.imageURI).to.equal("");
+            
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(tierBadgeId));
+            expect(metadata.name).to.equal("GreenChain SILVER Member");
+        });
+        
+        it("Should make badges soulbound (ERC-5192)", async function () {
+            const [tierBadgeId] = await badgeNFT.getUserBadges(user1.address);
+            
+            expect(await badgeNFT.locked(tierBadgeId)).to.be.true;
+            expect(await badgeNFT.supportsInterface("0xb45a3c0e")).to.be.true; // IERC5192
+            expect(await badgeNFT.supportsInterface("0x49064906")).to.be.true; // IERC4906
+            await expect(badgeNFT.locked(999)).to.be.reverted;
+            
+            await expect(
+                badgeNFT.connect(user1).transferFrom(user1.address, user2.address, tierBadgeId)
+            ).to.be.revertedWith("Badge is soulbound");
+            await expect(
+                badgeNFT.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, tierBadgeId)
+            ).to.be.revertedWith("Badge is soulbound");
+            
+            await expect(badgeNFT.connect(owner).mintBadge(user1.address, "SPECIAL", "Early Adopter", "Joined early", "ipfs://QmSpecialBadge"))
+                .to.emit(badgeNFT, "Locked");
+        });
+        
+        it("Should only let admins burn or recover badges", async function () {
+            const tierBadgeId = await badgeNFT.getTierBadge(user1.address);
+            const minterRole = await badgeNFT.MINTER_ROLE();
+            await badgeNFT.connect(owner).grantRole(minterRole, user3.address);
+            
+            await expect(
+                badgeNFT.connect(user3).burnBadge(tierBadgeId)
+            ).to.be.revertedWithCustomError(badgeNFT, "AccessControlUnauthorizedAccount");
+            await expect(
+                badgeNFT.connect(user3).recoverBadge(tierBadgeId, user2.address)
+            ).to.be.revertedWithCustomError(badgeNFT, "AccessControlUnauthorizedAccount");
+            
+            // Recovery moves the badge, including the tier badge slot, to the new wallet
+            await expect(badgeNFT.connect(owner).recoverBadge(tierBadgeId, user2.address))
+                .to.emit(badgeNFT, "BadgeRecovered").withArgs(tierBadgeId, user1.address, user2.address);
+            expect(await badgeNFT.ownerOf(tierBadgeId)).to.equal(user2.address);
+            expect((await badgeNFT.getBadge(tierBadgeId)).owner).to.equal(user2.address);
+            expect(await badgeNFT.getTierBadge(user2.address)).to.equal(tierBadgeId);
+            expect(await badgeNFT.getTierBadge(user1.address)).to.equal(0);
+            expect(await badgeNFT.getUserBadges(user1.address)).to.deep.equal([]);
+            
+            await badgeNFT.connect(owner).burnBadge(tierBadgeId);
+            expect(await badgeNFT.getTierBadge(user2.address)).to.equal(0);
+            await expect(badgeNFT.ownerOf(tierBadgeId)).to.be.revertedWithCustomError(badgeNFT, "ERC721NonexistentToken");
         });
         
         it("Should allow manual badge minting", async function () {
@@ -236,6 +359,7 @@ describe("GreenChain Participant Record & Tier System", function () {
                 200,
                 "CO2 offset activity"
             );
+            await rewardsVault.connect(owner).depositReward(1, 10000);
         });
         
         it("Should create coupons", async function () {
@@ -300,7 +424,8 @@ describe("GreenChain Participant Record & Tier System", function () {
             const tx1 = await couponExchange.connect(user1).purchaseCoupon(1);
             const receipt1 = await tx1.wait();
             const userCouponId = 1; // First user coupon ID
-            const tx2 = await couponExchange.connect(user1).redeemCoupon(userCouponId);
+            const codeHash = await couponExchange.hashRedemptionCode(userCouponId, "secret-code");
+            const tx2 = await couponExchange.connect(user1).redeemCoupon(userCouponId, codeHash);
             const receipt2 = await tx2.wait();
             expect(receipt2.status).to.equal(1);
         });
@@ -347,13 +472,13 @@ describe("GreenChain Participant Record & Tier System", function () {
                     10,
                     "Unauthorized activity"
                 )
-            ).to.be.revertedWith("Not authorized");
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
         });
         
         it("Should only allow authorized contracts to mint points", async function () {
             await expect(
-                pointsToken.connect(user1).mint(user1.address, 100, "Unauthorized mint")
-            ).to.be.revertedWith("Not authorized");
+                pointsToken.connect(user1).mint(user1.address, 100, SOURCE.BONUS, "Unauthorized mint")
+            ).to.be.revertedWithCustomError(pointsToken, "AccessControlUnauthorizedAccount");
         });
         
         it("Should only allow authorized contracts to mint badges", async function () {
@@ -365,7 +490,47 @@ describe("GreenChain Participant Record & Tier System", function () {
                     "Test Description",
                     "ipfs://QmTest"
                 )
-            ).to.be.revertedWith("Not authorized");
+            ).to.be.revertedWithCustomError(badgeNFT, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should separate pausing from configuration", async function () {
+            const pauserRole = await participantRegistry.PAUSER_ROLE();
+            await participantRegistry.connect(owner).grantRole(pauserRole, user1.address);
+            
+            await participantRegistry.connect(user1).pause();
+            await participantRegistry.connect(user1).unpause();
+            await expect(
+                participantRegistry.connect(user1).updateReferralConfig(25, 10)
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should keep vault withdrawals away from inventory managers", async function () {
+            await rewardsVault.connect(owner).grantRole(await rewardsVault.INVENTORY_MANAGER_ROLE(), user1.address);
+            await rewardsVault.connect(user1).depositReward(1, 1000);
+            
+            await expect(
+                rewardsVault.connect(user1).withdrawReward(1, 1000)
+            ).to.be.revertedWithCustomError(rewardsVault, "AccessControlUnauthorizedAccount");
+            await expect(
+                rewardsVault.connect(user1).emergencyWithdraw(1, 1000)
+            ).to.be.revertedWithCustomError(rewardsVault, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should let a coupon admin manage coupons without other admin rights", async function () {
+            await couponExchange.connect(owner).grantRole(await couponExchange.COUPON_ADMIN_ROLE(), user1.address);
+            
+            await couponExchange.connect(user1).createCoupon("Test Coupon", "Test Description", 500, 500, "FOOD", 100);
+            await couponExchange.connect(user1).registerMerchant(user2.address, "Green Cafe", ["FOOD"]);
+            await expect(
+                couponExchange.connect(user1).setPriorityAccessWindow(0)
+            ).to.be.revertedWithCustomError(couponExchange, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should grant admin roles to the deployer only", async function () {
+            expect(await pointsToken.hasRole(await pointsToken.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await pointsToken.hasRole(await pointsToken.CONFIG_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await pointsToken.hasRole(await pointsToken.MINTER_ROLE(), user1.address)).to.be.false;
+            expect(await pointsToken.hasRole(await pointsToken.MINTER_ROLE(), await participantRegistry.getAddress())).to.be.true;
         });
     });
     
@@ -423,8 +588,7 @@ describe("GreenChain Participant Record & Tier System", function () {
                 user1.address,
                 10, // 10kg CO2
                 "TRANSPORT",
-                "Used public transportation instead of car",
-                false // no streak
+                "Used public transportation instead of car"
             );
             
             const participant = await participantRegistry.getParticipant(user1.address);
@@ -436,12 +600,19 @@ describe("GreenChain Participant Record & Tier System", function () {
                 user1.address,
                 10, // 10kg CO2
                 "ENERGY",
-                "Switched to renewable energy",
-                true // with streak
+                "Switched to renewable energy"
+            );
+            
+            await time.increase(24 * 60 * 60);
+            await participantRegistry.connect(owner).recordOffsetActivity(
+                user1.address,
+                10, // 10kg CO2, next day
+                "ENERGY",
+                "Switched to renewable energy"
             );
             
             const participant = await participantRegistry.getParticipant(user1.address);
-            expect(participant.totalPoints).to.equal(205); // 100 initial + 105 from activity (with 5% bonus)
+            expect(participant.totalPoints).to.equal(305); // 100 initial + 100 + 105 from activity (with 5% bonus)
         });
     });
     
@@ -484,7 +655,59 @@ describe("GreenChain Participant Record & Tier System", function () {
             const userBadges = await badgeNFT.getUserBadges(user1.address);
             const badgeMetadata = await badgeNFT.getBadgeMetadata(userBadges[0]);
             expect(badgeMetadata.badgeType).to.equal("BRONZE");
-            expect(badgeMetadata.name).to.equal("GreenChain Bronze Member");
+            expect(badgeMetadata.name).to.equal("GreenChain BRONZE Member");
+        });
+        
+        it("Should render token metadata and SVG artwork on-chain", async function () {
+            const tierBadgeId = await badgeNFT.getTierBadge(user1.address);
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(tierBadgeId));
+            
+            expect(metadata.name).to.equal("GreenChain BRONZE Member");
+            const attributes = Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+            expect(attributes["Badge Type"]).to.equal("BRONZE");
+            expect(attributes["Tier"]).to.equal("BRONZE");
+            expect(attributes["Status"]).to.equal("Active");
+            expect(attributes["Lifetime Points"]).to.equal(100);
+            expect(attributes["Lifetime CO2 Offset (kg)"]).to.equal(0);
+            expect(attributes["Earned"]).to.equal(Number((await badgeNFT.getBadge(tierBadgeId)).earnedDate));
+            
+            expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+            const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString();
+            expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+            expect(svg).to.include("#CD7F32"); // Bronze medal
+            expect(svg).to.include("GreenChain BRONZE Member");
+        });
+        
+        it("Should escape badge text in the JSON and the SVG", async function () {
+            await badgeNFT.connect(owner).mintBadge(
+                user1.address,
+                "SPECIAL",
+                'Tree "Hugger" <3 & co',
+                "Line one\nLine \\two",
+                ""
+            );
+            const userBadges = await badgeNFT.getUserBadges(user1.address);
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(userBadges[userBadges.length - 1]));
+            
+            expect(metadata.name).to.equal('Tree "Hugger" <3 & co');
+            expect(metadata.description).to.equal("Line one\nLine \\two");
+            const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString();
+            expect(svg).to.include("Tree &quot;Hugger&quot; &lt;3 &amp; co");
+        });
+        
+        it("Should follow the holder's stats without re-minting", async function () {
+            const tierBadgeId = await badgeNFT.getTierBadge(user1.address);
+            
+            await expect(participantRegistry.connect(owner).recordOffsetActivity(user1.address, 120, "ENERGY", "Solar panels"))
+                .to.emit(badgeNFT, "MetadataUpdate").withArgs(tierBadgeId);
+            
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(tierBadgeId));
+            const attributes = Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+            expect(attributes["Lifetime CO2 Offset (kg)"]).to.equal(120);
+            expect(attributes["Lifetime Points"]).to.equal(1300);
+            expect(attributes["Tier"]).to.equal("SILVER");
+            expect(Buffer.from(metadata.image.split(",")[1], "base64").toString()).to.include("120 kg CO2 offset");
+            expect(await badgeNFT.getUserBadges(user1.address)).to.deep.equal([tierBadgeId]);
         });
     });
     
@@ -497,6 +720,7 @@ describe("GreenChain Participant Record & Tier System", function () {
                 200,
                 "CO2 offset activity"
             );
+            await rewardsVault.connect(owner).depositReward(1, 10000);
         });
         
         it("Should update exchange rates", async function () {
@@ -527,20 +751,15 @@ describe("GreenChain Participant Record & Tier System", function () {
             );
             
             await couponExchange.connect(user1).purchaseCoupon(1);
-            const tx = await couponExchange.connect(user1).redeemCoupon(1);
-            const receipt = await tx.wait();
             
-            // Get the redemption code from the event
-            const event = receipt.logs.find(log => {
-                try {
-                    const parsed = couponExchange.interface.parseLog(log);
-                    return parsed.name === "CouponRedeemed";
-                } catch {
-                    return false;
-                }
-            });
+            // The owner derives the code off-chain and only commits its hash
+            const redemptionCode = await user1.signMessage("GreenChain coupon 1");
+            const codeHash = await couponExchange.hashRedemptionCode(1, redemptionCode);
+            await expect(couponExchange.connect(user1).redeemCoupon(1, codeHash))
+                .to.emit(couponExchange, "CouponRedeemed").withArgs(user1.address, 1, codeHash);
             
-            const redemptionCode = event ? couponExchange.interface.parseLog(event).args.redemptionCode : "GC-1-1234567890";
+            const [userCoupon] = await couponExchange.getUserCoupons(user1.address);
+            expect(userCoupon.redemptionCodeHash).to.equal(codeHash);
             
             const [valid, couponInfo] = await couponExchange.validateRedemption(1, redemptionCode);
             expect(valid).to.be.true;
@@ -558,11 +777,42 @@ describe("GreenChain Participant Record & Tier System", function () {
             );
             
             await couponExchange.connect(user1).purchaseCoupon(1);
-            await couponExchange.connect(user1).redeemCoupon(1);
+            await couponExchange.connect(user1).redeemCoupon(1, await couponExchange.hashRedemptionCode(1, "secret-code"));
             
             const [valid, couponInfo] = await couponExchange.validateRedemption(1, "INVALID_CODE");
             expect(valid).to.be.false;
         });
+        
+        it("Should let merchants consume a redemption code only once", async function () {
+            await couponExchange.connect(owner).createCoupon(
+                "Test Coupon",
+                "Test Description",
+                500,
+                500,
+                "FOOD",
+                100
+            );
+            
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).redeemCoupon(1, await couponExchange.hashRedemptionCode(1, "secret-code"));
+            await couponExchange.connect(owner).registerMerchant(user2.address, "Green Cafe", ["FOOD"]);
+            
+            await expect(
+                couponExchange.connect(user3).consumeRedemption(1, "secret-code")
+            ).to.be.revertedWith("Not a merchant");
+            await expect(
+                couponExchange.connect(user2).consumeRedemption(1, "wrong-code")
+            ).to.be.revertedWith("Invalid redemption code");
+            
+            await expect(couponExchange.connect(user2).consumeRedemption(1, "secret-code"))
+                .to.emit(couponExchange, "RedemptionConsumed").withArgs(1, user2.address);
+            
+            const [valid] = await couponExchange.validateRedemption(1, "secret-code");
+            expect(valid).to.be.false;
+            await expect(
+                couponExchange.connect(user2).consumeRedemption(1, "secret-code")
+            ).to.be.revertedWith("Invalid redemption code");
+        });
     });
     
     describe("Enhanced Rewards Vault Functions", function () {
@@ -594,4 +844,2140 @@ describe("GreenChain Participant Record & Tier System", function () {
             ).to.be.revertedWith("Insufficient inventory");
         });
     });
-}); 
\ No newline at end of file
+
+    describe("Verifier Attestations", function () {
+        let verifier, domain, types;
+        
+        const signAttestation = async (signer, attestation) => {
+            return signer.signTypedData(domain, types, attestation);
+        };
+        
+        beforeEach(async function () {
+            verifier = user3;
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).grantRole(await participantRegistry.VERIFIER_ROLE(), verifier.address);
+            
+            domain = {
+                name: "GreenChain ParticipantRegistry",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await participantRegistry.getAddress()
+            };
+            types = {
+                OffsetAttestation: [
+                    { name: "wallet", type: "address" },
+                    { name: "co2OffsetKg", type: "uint256" },
+                    { name: "activityType", type: "string" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+        });
+        
+        const buildAttestation = async (overrides = {}) => {
+            const block = await ethers.provider.getBlock("latest");
+            return {
+                wallet: user1.address,
+                co2OffsetKg: 10,
+                activityType: "TRANSPORT",
+                nonce: 1,
+                deadline: block.timestamp + 3600,
+                ...overrides
+            };
+        };
+        
+        it("Should record an offset from a verifier attestation submitted by anyone", async function () {
+            const attestation = await buildAttestation();
+            const signature = await signAttestation(verifier, attestation);
+            
+            await expect(
+                participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature)
+            ).to.emit(participantRegistry, "PointsEarned")
+                .withArgs(user1.address, 100, 10, "TRANSPORT", verifier.address);
+            
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.totalPoints).to.equal(200);
+            expect(await participantRegistry.isNonceUsed(verifier.address, 1)).to.be.true;
+        });
+        
+        it("Should reject attestations from unknown verifiers", async function () {
+            const attestation = await buildAttestation();
+            const signature = await signAttestation(user2, attestation);
+            
+            await expect(
+                participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature)
+            ).to.be.revertedWith("Invalid verifier");
+        });
+        
+        it("Should reject replayed attestations", async function () {
+            const attestation = await buildAttestation();
+            const signature = await signAttestation(verifier, attestation);
+            
+            await participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature);
+            await expect(
+                participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature)
+            ).to.be.revertedWith("Attestation already used");
+        });
+        
+        it("Should reject expired attestations", async function () {
+            const block = await ethers.provider.getBlock("latest");
+            const attestation = await buildAttestation({ deadline: block.timestamp - 1 });
+            const signature = await signAttestation(verifier, attestation);
+            
+            await expect(
+                participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature)
+            ).to.be.revertedWith("Attestation expired");
+        });
+        
+        it("Should reject attestations after the verifier is revoked", async function () {
+            await participantRegistry.connect(owner).revokeRole(await participantRegistry.VERIFIER_ROLE(), verifier.address);
+            const attestation = await buildAttestation();
+            const signature = await signAttestation(verifier, attestation);
+            
+            await expect(
+                participantRegistry.connect(user2).recordAttestedOffsetActivity(attestation, signature)
+            ).to.be.revertedWith("Invalid verifier");
+        });
+        
+        it("Should only allow the role admin to manage verifiers", async function () {
+            await expect(
+                participantRegistry.connect(user1).grantRole(await participantRegistry.VERIFIER_ROLE(), user1.address)
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Offset Ledger", function () {
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 25, "ENERGY", "Solar panels");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 5, "TRANSPORT", "Cycled to work");
+        });
+        
+        it("Should track lifetime CO2 and activity count on the participant", async function () {
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.totalCo2OffsetKg).to.equal(40);
+            expect(participant.activityCount).to.equal(3);
+            expect(await participantRegistry.getActivityCount(user1.address)).to.equal(3);
+        });
+        
+        it("Should aggregate CO2 per activity type", async function () {
+            expect(await participantRegistry.getCo2OffsetByActivityType(user1.address, "TRANSPORT")).to.equal(15);
+            expect(await participantRegistry.getCo2OffsetByActivityType(user1.address, "ENERGY")).to.equal(25);
+            expect(await participantRegistry.getCo2OffsetByActivityType(user1.address, "WASTE")).to.equal(0);
+            
+            const [activityTypes, totals] = await participantRegistry.getActivityTypeTotals(user1.address);
+            expect(activityTypes).to.deep.equal(["TRANSPORT", "ENERGY"]);
+            expect(totals).to.deep.equal([15n, 25n]);
+        });
+        
+        it("Should paginate activity history", async function () {
+            const firstPage = await participantRegistry.getActivityHistory(user1.address, 0, 2);
+            expect(firstPage.length).to.equal(2);
+            expect(firstPage[0].activityType).to.equal("TRANSPORT");
+            expect(firstPage[0].co2OffsetKg).to.equal(10);
+            expect(firstPage[0].points).to.equal(100);
+            expect(firstPage[0].verifier).to.equal(owner.address);
+            expect(firstPage[1].activityType).to.equal("ENERGY");
+            
+            const secondPage = await participantRegistry.getActivityHistory(user1.address, 2, 2);
+            expect(secondPage.length).to.equal(1);
+            expect(secondPage[0].co2OffsetKg).to.equal(5);
+            
+            const emptyPage = await participantRegistry.getActivityHistory(user1.address, 5, 2);
+            expect(emptyPage.length).to.equal(0);
+        });
+        
+        it("Should record CO2 reported through updateParticipant as a ledger adjustment", async function () {
+            await expect(participantRegistry.connect(owner).updateParticipant(user1.address, 200, 20, "Tree planting day"))
+                .to.emit(participantRegistry, "OffsetRecorded").withArgs(user1.address, "ADJUSTMENT", 20, 200, owner.address);
+            
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.totalCo2OffsetKg).to.equal(60);
+            expect(participant.activityCount).to.equal(4);
+            
+            const [adjustment] = await participantRegistry.getActivityHistory(user1.address, 3, 1);
+            expect(adjustment.activityType).to.equal("ADJUSTMENT");
+            expect(adjustment.co2OffsetKg).to.equal(20);
+            
+            // Pure bonuses carry no CO2 and stay out of the ledger
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 50, 0, "Achievement bonus");
+            expect(await participantRegistry.getActivityCount(user1.address)).to.equal(4);
+        });
+        
+        it("Should only let verifiers report CO2 through updateParticipant", async function () {
+            await participantRegistry.connect(owner).grantRole(await participantRegistry.ACTIVITY_RECORDER_ROLE(), user2.address);
+            await expect(
+                participantRegistry.connect(user2).updateParticipant(user1.address, 200, 20, "Tree planting day")
+            ).to.be.revertedWith("CO2 adjustments need a verifier");
+            
+            // Bonuses stay open to every activity recorder and are minted as BONUS
+            await participantRegistry.connect(user2).updateParticipant(user1.address, 50, 0, "Achievement bonus");
+            const bonusAt = await time.latest();
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, bonusAt, bonusAt)).to.equal(50);
+            expect(await pointsToken.getActivityPointsInRange(user1.address, bonusAt, bonusAt)).to.equal(0);
+            expect(await participantRegistry.getActivityCount(user1.address)).to.equal(3);
+        });
+    });
+
+    describe("Points Checkpoints", function () {
+        let registeredAt, activityAt;
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            registeredAt = await time.latest();
+            
+            await time.increase(30 * 24 * 60 * 60);
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 50, "ENERGY", "Heat pump");
+            activityAt = await time.latest();
+            
+            await time.increase(24 * 60 * 60);
+            await pointsToken.connect(owner).burn(user1.address, 200, "Coupon purchase");
+        });
+        
+        it("Should return points earned within a time range", async function () {
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, registeredAt, registeredAt)).to.equal(100);
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, registeredAt + 1, activityAt)).to.equal(500);
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, 0, await time.latest())).to.equal(600);
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, activityAt + 1, await time.latest())).to.equal(0);
+        });
+        
+        it("Should return points spent within a time range", async function () {
+            expect(await pointsToken.getPointsSpentInRange(user1.address, 0, activityAt)).to.equal(0);
+            expect(await pointsToken.getPointsSpentInRange(user1.address, activityAt + 1, await time.latest())).to.equal(200);
+        });
+        
+        it("Should look up historical balances", async function () {
+            expect(await pointsToken.getBalanceAt(user1.address, registeredAt - 1)).to.equal(0);
+            expect(await pointsToken.getBalanceAt(user1.address, registeredAt)).to.equal(100);
+            expect(await pointsToken.getBalanceAt(user1.address, activityAt)).to.equal(600);
+            expect(await pointsToken.getBalanceAt(user1.address, await time.latest())).to.equal(400);
+        });
+        
+        it("Should track global minted and burned totals", async function () {
+            const [totalMinted, totalBurned, supply] = await pointsToken.getPointsStats();
+            expect(totalMinted).to.equal(600);
+            expect(totalBurned).to.equal(200);
+            expect(supply).to.equal(400);
+            
+            const [mintedAt, burnedAt, supplyAt] = await pointsToken.getPointsStatsAt(activityAt);
+            expect(mintedAt).to.equal(600);
+            expect(burnedAt).to.equal(0);
+            expect(supplyAt).to.equal(600);
+            
+            const [earned, spent, expired] = await pointsToken.getAccountTotals(user1.address);
+            expect(earned).to.equal(600);
+            expect(spent).to.equal(200);
+            expect(expired).to.equal(0);
+        });
+        
+        it("Should reject inverted time ranges", async function () {
+            await expect(
+                pointsToken.getPointsEarnedInRange(user1.address, activityAt, registeredAt)
+            ).to.be.revertedWith("Invalid time range");
+        });
+    });
+
+    describe("Activity Streaks", function () {
+        const DAY = 24 * 60 * 60;
+        
+        const recordOffset = () => participantRegistry.connect(owner).recordOffsetActivity(
+            user1.address, 10, "TRANSPORT", "Took the bus"
+        );
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+        });
+        
+        it("Should count consecutive days and ignore repeats within a day", async function () {
+            await recordOffset();
+            await recordOffset();
+            await time.increase(DAY);
+            await recordOffset();
+            
+            const streak = await participantRegistry.getStreakInfo(user1.address);
+            expect(streak.currentStreak).to.equal(2);
+            expect(streak.longestStreak).to.equal(2);
+        });
+        
+        it("Should reset the current streak after a missed window but keep the longest", async function () {
+            await recordOffset();
+            await time.increase(DAY);
+            await recordOffset();
+            await time.increase(3 * DAY);
+            
+            expect(await participantRegistry.getProjectedStreak(user1.address)).to.equal(1);
+            await recordOffset();
+            
+            const streak = await participantRegistry.getStreakInfo(user1.address);
+            expect(streak.currentStreak).to.equal(1);
+            expect(streak.longestStreak).to.equal(2);
+        });
+        
+        it("Should grow the streak bonus up to the cap", async function () {
+            expect(await participantRegistry.getStreakBonus(1)).to.equal(0);
+            expect(await participantRegistry.getStreakBonus(3)).to.equal(10);
+            expect(await participantRegistry.getStreakBonus(11)).to.equal(50);
+            expect(await participantRegistry.getStreakBonus(100)).to.equal(50);
+            expect(await participantRegistry.calculatePoints(10, 100)).to.equal(150);
+        });
+        
+        it("Should support a weekly streak window", async function () {
+            await participantRegistry.connect(owner).updateStreakConfig(7 * DAY, 50, [4]);
+            
+            await recordOffset();
+            await time.increase(7 * DAY);
+            await recordOffset();
+            
+            const streak = await participantRegistry.getStreakInfo(user1.address);
+            expect(streak.currentStreak).to.equal(2);
+        });
+        
+        it("Should mint a SPECIAL badge when reaching a streak milestone", async function () {
+            await participantRegistry.connect(owner).updateStreakConfig(DAY, 50, [3]);
+            
+            await recordOffset();
+            await time.increase(DAY);
+            await recordOffset();
+            await time.increase(DAY);
+            await expect(recordOffset()).to.emit(participantRegistry, "StreakMilestoneReached");
+            
+            const userBadges = await badgeNFT.getUserBadges(user1.address);
+            const streakBadge = await badgeNFT.getBadge(userBadges[userBadges.length - 1]);
+            expect(streakBadge.badgeType).to.equal("SPECIAL");
+            expect(streakBadge.name).to.equal("GreenChain 3-Day Streak");
+            expect(streakBadge.imageURI).to.equal("");
+            
+            // No image override, so the artwork is the generated SVG
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(streakBadge.tokenId));
+            expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+            const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString();
+            expect(svg).to.include("#F472B6"); // SPECIAL medal
+            expect(svg).to.include("GreenChain 3-Day Streak");
+        });
+        
+        it("Should reject invalid streak configuration", async function () {
+            await expect(
+                participantRegistry.connect(owner).updateStreakConfig(0, 50, [7])
+            ).to.be.revertedWith("Invalid streak window");
+            await expect(
+                participantRegistry.connect(owner).updateStreakConfig(DAY, 50, [30, 7])
+            ).to.be.revertedWith("Milestones must be ascending");
+        });
+    });
+
+    describe("Tier Decay", function () {
+        const DAY = 24 * 60 * 60;
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 1000, 100, "CO2 offset activity");
+            await tierManager.connect(owner).updateTierDecayConfig(365 * DAY, 30 * DAY);
+        });
+        
+        it("Should keep the tier while qualifying points are within the window", async function () {
+            expect(await tierManager.getQualifyingPoints(user1.address)).to.equal(1000);
+            await tierManager.connect(user2).reevaluateTier(user1.address);
+            
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.currentTier).to.equal(1); // SILVER
+            expect(await tierManager.getGracePeriodEnd(user1.address)).to.equal(0);
+        });
+        
+        it("Should start a grace period, then demote and downgrade the tier badge", async function () {
+            await time.increase(366 * DAY);
+            
+            await expect(tierManager.connect(user2).reevaluateTier(user1.address))
+                .to.emit(tierManager, "TierGracePeriodStarted");
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(1);
+            
+            await time.increase(31 * DAY);
+            await expect(tierManager.connect(user2).reevaluateTier(user1.address))
+                .to.emit(participantRegistry, "TierDowngraded")
+                .withArgs(user1.address, 1, 0, 0);
+            
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.currentTier).to.equal(0); // BRONZE
+            expect(participant.totalPoints).to.equal(1100); // Lifetime points are kept
+            
+            const tierBadge = await badgeNFT.getBadge(await badgeNFT.getTierBadge(user1.address));
+            expect(tierBadge.badgeType).to.equal("BRONZE");
+            expect(tierBadge.name).to.equal("GreenChain BRONZE Member");
+        });
+        
+        it("Should clear the grace period when new offsets requalify the participant", async function () {
+            await time.increase(366 * DAY);
+            await tierManager.connect(user2).reevaluateTier(user1.address);
+            
+            await expect(participantRegistry.connect(owner).recordOffsetActivity(user1.address, 100, "ENERGY", "Solar panels"))
+                .to.emit(tierManager, "TierGracePeriodCleared").withArgs(user1.address);
+            expect(await tierManager.getGracePeriodEnd(user1.address)).to.equal(0);
+            
+            await time.increase(31 * DAY);
+            await tierManager.connect(user2).reevaluateTier(user1.address);
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(1);
+            
+            // Falling below the threshold again starts a fresh grace period instead of demoting straight away
+            await time.increase(366 * DAY);
+            await expect(tierManager.connect(user2).reevaluateTier(user1.address))
+                .to.emit(tierManager, "TierGracePeriodStarted");
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(1);
+        });
+        
+        it("Should only count offset activity points towards the tier", async function () {
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 5000, 0, "Achievement bonus");
+            
+            const participant = await participantRegistry.getParticipant(user1.address);
+            expect(participant.totalPoints).to.equal(7100);
+            expect(participant.currentTier).to.equal(1); // Still SILVER
+            expect(await tierManager.getQualifyingPoints(user1.address)).to.equal(1000);
+        });
+        
+        it("Should upgrade the same badge again when re-promoted", async function () {
+            await tierManager.connect(owner).updateTierDecayConfig(365 * DAY, 0);
+            await time.increase(366 * DAY);
+            await tierManager.connect(user2).reevaluateTier(user1.address);
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(0);
+            
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 1000, 100, "CO2 offset activity");
+            
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(1);
+            const userBadges = await badgeNFT.getUserBadges(user1.address);
+            expect(userBadges.length).to.equal(1);
+            const silverBadge = await badgeNFT.getBadge(userBadges[0]);
+            expect(silverBadge.badgeType).to.equal("SILVER");
+            expect(silverBadge.isActive).to.be.true;
+        });
+        
+        it("Should never demote on lifetime points when no window is set", async function () {
+            await tierManager.connect(owner).updateTierDecayConfig(0, 0);
+            await time.increase(3 * 365 * DAY);
+            await tierManager.connect(user2).reevaluateTier(user1.address);
+            
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(1);
+        });
+        
+        it("Should only let authorized contracts downgrade tiers", async function () {
+            await expect(
+                participantRegistry.connect(user2).downgradeTier(user1.address, 0, 0)
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Data-Driven Tier Table", function () {
+        const diamondTier = {
+            name: "DIAMOND",
+            minPoints: 50000,
+            maxPoints: ethers.MaxUint256,
+            multiplier: 250,
+            couponBonus: 40,
+            hasPriorityAccess: true,
+            hasExclusiveProjects: true,
+            hasVipAccess: true,
+            badgeURI: "ipfs://QmDiamondBadgeURI"
+        };
+        
+        const toConfig = (tier) => ({
+            name: tier.name,
+            minPoints: tier.minPoints,
+            maxPoints: tier.maxPoints,
+            multiplier: tier.multiplier,
+            couponBonus: tier.couponBonus,
+            hasPriorityAccess: tier.hasPriorityAccess,
+            hasExclusiveProjects: tier.hasExclusiveProjects,
+            hasVipAccess: tier.hasVipAccess,
+            badgeURI: tier.badgeURI
+        });
+        
+        it("Should expose the default tier list", async function () {
+            expect(await tierManager.getTierCount()).to.equal(4);
+            const tiers = await tierManager.getAllTiers();
+            expect(tiers.map(tier => tier.name)).to.deep.equal(["BRONZE", "SILVER", "GOLD", "PLATINUM"]);
+            expect(await tierManager.getTierName(2)).to.equal("GOLD");
+        });
+        
+        it("Should add a DIAMOND tier and cap the previous top tier", async function () {
+            await tierManager.connect(owner).addTier(diamondTier);
+            
+            expect(await tierManager.getTierCount()).to.equal(5);
+            expect((await tierManager.getTierInfo(3)).maxPoints).to.equal(49999);
+            expect(await tierManager.calculateTier(49999)).to.equal(3);
+            expect(await tierManager.calculateTier(50000)).to.equal(4);
+            expect(await tierManager.getNextTierRequirements(3)).to.equal(50000);
+            expect(await tierManager.getNextTierRequirements(4)).to.equal(0);
+            
+            const [eligible, nextTier] = await tierManager.checkTierUpgrade(60000, 3);
+            expect(eligible).to.be.true;
+            expect(nextTier).to.equal(4);
+        });
+        
+        it("Should promote participants into an added tier and mint its badge", async function () {
+            await tierManager.connect(owner).addTier(diamondTier);
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 50000, 5000, "Reforestation project");
+            
+            expect(await participantRegistry.getTierLevel(user1.address)).to.equal(4);
+            const badge = await badgeNFT.getBadge(await badgeNFT.getTierBadge(user1.address));
+            expect(badge.badgeType).to.equal("DIAMOND");
+            expect(badge.imageURI).to.equal("ipfs://QmDiamondBadgeURI");
+            
+            // The tier's badgeURI replaces the on-chain artwork; the attributes stay live
+            const metadata = decodeDataURI(await badgeNFT.tokenURI(badge.tokenId));
+            expect(metadata.image).to.equal("ipfs://QmDiamondBadgeURI");
+            expect(metadata.attributes.find((attribute) => attribute.trait_type === "Tier").value).to.equal("DIAMOND");
+        });
+        
+        it("Should reject gaps and overlaps in tier ranges", async function () {
+            const silver = await tierManager.getTierInfo(1);
+            
+            await expect(
+                tierManager.connect(owner).updateTierConfig(1, { ...toConfig(silver), minPoints: 1200 })
+            ).to.be.revertedWith("Tier ranges must be contiguous");
+            await expect(
+                tierManager.connect(owner).updateTierConfig(1, { ...toConfig(silver), maxPoints: 5999 })
+            ).to.be.revertedWith("Tier ranges must be contiguous");
+            await expect(
+                tierManager.connect(owner).addTier({ ...diamondTier, minPoints: 20001 })
+            ).to.be.revertedWith("Tier must start above current top tier");
+        });
+        
+        it("Should move tier boundaries through setTiers", async function () {
+            const tiers = (await tierManager.getAllTiers()).map(toConfig);
+            tiers[0].maxPoints = 1999;
+            tiers[1].minPoints = 2000;
+            
+            await tierManager.connect(owner).setTiers(tiers);
+            expect(await tierManager.calculateTier(1500)).to.equal(0);
+            expect(await tierManager.calculateTier(2000)).to.equal(1);
+            
+            await expect(
+                tierManager.connect(owner).setTiers(tiers.slice(0, 3))
+            ).to.be.revertedWith("Cannot remove tiers");
+        });
+    });
+
+    describe("Referral Program", function () {
+        const code = ethers.encodeBytes32String("USER1");
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(user1).setReferralCode(code);
+        });
+        
+        it("Should register with a referral code and store the relationship", async function () {
+            await expect(participantRegistry.connect(user2).registerParticipantWithCode("QmProfileHash456", code))
+                .to.emit(participantRegistry, "ReferralRegistered")
+                .withArgs(user1.address, user2.address);
+            
+            expect(await participantRegistry.getReferrer(user2.address)).to.equal(user1.address);
+            expect(await participantRegistry.getReferralCodeOwner(code)).to.equal(user1.address);
+            expect(await participantRegistry.getReferrals(user1.address, 0, 10)).to.deep.equal([user2.address]);
+        });
+        
+        it("Should pay bonuses only after the referee's first verified offset", async function () {
+            await participantRegistry.connect(user2).registerParticipantWithReferrer("QmProfileHash456", user1.address);
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(100);
+            expect(await participantRegistry.isReferralRewarded(user2.address)).to.be.false;
+            
+            await expect(
+                participantRegistry.connect(owner).recordOffsetActivity(user2.address, 10, "TRANSPORT", "Took the bus")
+            ).to.emit(participantRegistry, "ReferralRewarded").withArgs(user1.address, user2.address, 50, 25);
+            
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(150);
+            expect((await participantRegistry.getParticipant(user2.address)).totalPoints).to.equal(225); // 100 + 100 + 25 welcome
+            
+            // Later offsets do not pay again
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 10, "TRANSPORT", "Took the bus");
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(150);
+            
+            const [totalReferrals, rewardedReferrals] = await participantRegistry.getReferralStats(user1.address);
+            expect(totalReferrals).to.equal(1);
+            expect(rewardedReferrals).to.equal(1);
+        });
+        
+        it("Should only award a manual referral bonus once per referee", async function () {
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await participantRegistry.connect(owner).awardReferralBonus(user1.address, user2.address);
+            
+            await expect(
+                participantRegistry.connect(owner).awardReferralBonus(user1.address, user2.address)
+            ).to.be.revertedWith("Referral already rewarded");
+            expect(await participantRegistry.getReferrer(user2.address)).to.equal(user1.address);
+        });
+        
+        it("Should stop paying the referrer once the cap is reached", async function () {
+            await participantRegistry.connect(owner).updateReferralConfig(25, 1);
+            await participantRegistry.connect(user2).registerParticipantWithReferrer("QmProfileHash456", user1.address);
+            await participantRegistry.connect(user3).registerParticipantWithCode("QmProfileHash789", code);
+            
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 10, "TRANSPORT", "Took the bus");
+            await expect(
+                participantRegistry.connect(owner).recordOffsetActivity(user3.address, 10, "TRANSPORT", "Took the bus")
+            ).to.emit(participantRegistry, "ReferralRewarded").withArgs(user1.address, user3.address, 0, 25);
+            
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(150);
+            expect(await participantRegistry.getReferrals(user1.address, 1, 10)).to.deep.equal([user3.address]);
+        });
+        
+        it("Should reject self-referrals, unknown codes and taken codes", async function () {
+            await expect(
+                participantRegistry.connect(user2).registerParticipantWithReferrer("QmProfileHash456", user2.address)
+            ).to.be.revertedWith("Cannot refer self");
+            await expect(
+                participantRegistry.connect(user2).registerParticipantWithCode("QmProfileHash456", ethers.encodeBytes32String("NOPE"))
+            ).to.be.revertedWith("Unknown referral code");
+            
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await expect(
+                participantRegistry.connect(user2).setReferralCode(code)
+            ).to.be.revertedWith("Referral code taken");
+        });
+    });
+
+    describe("Expiring Points", function () {
+        const DAY = 24 * 60 * 60;
+        
+        beforeEach(async function () {
+            await pointsToken.connect(owner).setExpiryPeriod(SOURCE.REGISTRATION, 30 * DAY);
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+        });
+        
+        it("Should record points in lots with per-source expiry", async function () {
+            const lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.length).to.equal(2);
+            expect(lots[0].amount).to.equal(100);
+            expect(lots[1].amount).to.equal(100);
+            expect(lots[1].expiresAt - lots[0].expiresAt).to.be.closeTo(335n * BigInt(DAY), BigInt(DAY));
+            
+            expect(await pointsToken.getExpiryPeriod(SOURCE.REGISTRATION)).to.equal(30 * DAY);
+            expect(await pointsToken.getExpiryPeriod(SOURCE.ACTIVITY)).to.equal(365 * DAY);
+        });
+        
+        it("Should round expiry up to whole days and merge the day's points into one lot", async function () {
+            await pointsToken.connect(owner).mint(user1.address, 50, SOURCE.ACTIVITY, "Solar panels");
+            await time.increase(60);
+            await pointsToken.connect(owner).mint(user1.address, 50, SOURCE.ACTIVITY, "Solar panels");
+            
+            const lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.length).to.equal(2);
+            expect(lots[1].amount).to.equal(200);
+            expect(lots[0].expiresAt % BigInt(DAY)).to.equal(0);
+            expect(lots[1].expiresAt % BigInt(DAY)).to.equal(0);
+        });
+        
+        it("Should spend the soonest-expiring points first", async function () {
+            await pointsToken.connect(owner).burn(user1.address, 150, "Coupon redemption");
+            
+            const lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.length).to.equal(1);
+            expect(lots[0].amount).to.equal(50);
+            
+            await time.increase(31 * DAY);
+            expect(await pointsToken.getSpendableBalance(user1.address)).to.equal(50);
+        });
+        
+        it("Should keep lots in expiry order when later points expire sooner", async function () {
+            // Registration lot (30 days) and activity lot (365 days) are already recorded
+            await pointsToken.connect(owner).setDefaultExpiryPeriod(5 * DAY);
+            await pointsToken.connect(owner).mint(user1.address, 50, SOURCE.ACTIVITY, "Solar panels");
+            
+            let lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.map((lot) => lot.amount)).to.deep.equal([50n, 100n, 100n]);
+            expect(lots[0].expiresAt).to.be.lessThan(lots[1].expiresAt);
+            
+            await pointsToken.connect(owner).burn(user1.address, 150, "Coupon redemption");
+            lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.map((lot) => lot.amount)).to.deep.equal([100n]);
+            
+            // A lot expiring before every live lot reuses the spent slot in front of them
+            await pointsToken.connect(owner).mint(user1.address, 50, SOURCE.ACTIVITY, "Solar panels");
+            lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots.map((lot) => lot.amount)).to.deep.equal([50n, 100n]);
+            
+            await time.increase(6 * DAY);
+            expect(await pointsToken.getExpiringPoints(user1.address, await time.latest())).to.equal(50);
+            await expect(pointsToken.sweepExpiredPoints(user1.address))
+                .to.emit(pointsToken, "PointsExpired").withArgs(user1.address, 50);
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(100);
+        });
+        
+        it("Should keep spend and sweep gas flat as lots accumulate", async function () {
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await pointsToken.connect(owner).mint(user2.address, 10, SOURCE.ACTIVITY, "Daily offset");
+            
+            // One lot per day for 60 days (the first merges with today's activity lot)
+            for (let i = 0; i < 60; i++) {
+                await pointsToken.connect(owner).mint(user1.address, 10, SOURCE.ACTIVITY, "Daily offset");
+                await time.increase(DAY);
+            }
+            expect((await pointsToken.getPointsLots(user1.address)).length).to.equal(61);
+            
+            // Sweeping stops at the first live lot after the expired registration lot
+            const sweepGas = async (account) => (await (await pointsToken.sweepExpiredPoints(account)).wait()).gasUsed;
+            const fewLotsSweep = await sweepGas(user2.address);
+            const manyLotsSweep = await sweepGas(user1.address);
+            expect(manyLotsSweep).to.be.lessThan(fewLotsSweep + 10000n);
+            expect((await pointsToken.getPointsLots(user1.address)).length).to.equal(60);
+            expect(await pointsToken.getExpiringPoints(user1.address, await time.latest())).to.equal(0);
+            
+            const burnGas = async (account) =>
+                (await (await pointsToken.connect(owner).burn(account, 1, "Coupon redemption")).wait()).gasUsed;
+            const fewLotsGas = await burnGas(user2.address);
+            const manyLotsGas = await burnGas(user1.address);
+            expect(manyLotsGas).to.be.lessThan(fewLotsGas + 10000n);
+        });
+        
+        it("Should expire points and exclude them from spending", async function () {
+            await time.increase(31 * DAY);
+            
+            expect(await pointsToken.getExpiringPoints(user1.address, await time.latest())).to.equal(100);
+            expect(await pointsToken.getSpendableBalance(user1.address)).to.equal(100);
+            await expect(
+                pointsToken.connect(owner).burn(user1.address, 150, "Coupon redemption")
+            ).to.be.revertedWith("Insufficient balance");
+            
+            await expect(pointsToken.connect(user2).sweepExpiredPoints(user1.address))
+                .to.emit(pointsToken, "PointsExpired").withArgs(user1.address, 100);
+            
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(100);
+            const [earned, spent, expired] = await pointsToken.getAccountTotals(user1.address);
+            expect(earned).to.equal(200);
+            expect(spent).to.equal(0);
+            expect(expired).to.equal(100);
+            
+            const [, totalBurned] = await pointsToken.getPointsStats();
+            expect(totalBurned).to.equal(100);
+        });
+        
+        it("Should keep expiry when transferring points", async function () {
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await pointsToken.connect(owner).transferPoints(user1.address, user2.address, 150);
+            
+            await time.increase(31 * DAY);
+            await pointsToken.sweepExpiredPointsBatch([user1.address, user2.address]);
+            
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(50);
+            expect(await pointsToken.balanceOf(user2.address)).to.equal(50);
+        });
+        
+        it("Should never expire points when the period is zero", async function () {
+            await pointsToken.connect(owner).setDefaultExpiryPeriod(0);
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            
+            const lots = await pointsToken.getPointsLots(user1.address);
+            expect(lots[lots.length - 1].expiresAt).to.equal(0);
+            
+            await time.increase(400 * DAY);
+            await pointsToken.sweepExpiredPoints(user1.address);
+            expect(await pointsToken.balanceOf(user1.address)).to.be.greaterThan(0);
+        });
+        
+        it("Should only allow owner to configure expiry", async function () {
+            await expect(
+                pointsToken.connect(user1).setDefaultExpiryPeriod(0)
+            ).to.be.revertedWithCustomError(pointsToken, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Coupon Inventory", function () {
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 2000, 200, "CO2 offset activity");
+            await couponExchange.connect(owner).createCoupon("Test Coupon", "Test Description", 500, 1000, "FOOD", 100);
+            await rewardsVault.connect(owner).depositReward(1, 2500);
+        });
+        
+        it("Should reserve inventory on purchase, including the tier bonus", async function () {
+            await expect(couponExchange.connect(user1).purchaseCoupon(1))
+                .to.emit(rewardsVault, "InventoryReserved").withArgs(1, 1100);
+            
+            const [available, reserved, consumed] = await rewardsVault.getCouponInventoryStatus(1);
+            expect(available).to.equal(1400);
+            expect(reserved).to.equal(1100);
+            expect(consumed).to.equal(0);
+            expect(await rewardsVault.getTotalRewards()).to.equal(2500);
+            
+            const [userCoupon] = await couponExchange.getUserCoupons(user1.address);
+            expect(userCoupon.reservedValue).to.equal(1100);
+        });
+        
+        it("Should consume reserved inventory on redemption", async function () {
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await expect(couponExchange.connect(user1).redeemCoupon(1, ethers.id("secret-code")))
+                .to.emit(rewardsVault, "InventoryConsumed").withArgs(1, 1100);
+            
+            const [available, reserved, consumed] = await rewardsVault.getCouponInventoryStatus(1);
+            expect(available).to.equal(1400);
+            expect(reserved).to.equal(0);
+            expect(consumed).to.equal(1100);
+            expect(await rewardsVault.getTotalRewards()).to.equal(1400);
+        });
+        
+        it("Should release reserved inventory when a coupon is cancelled", async function () {
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await expect(couponExchange.connect(owner).cancelCoupon(1))
+                .to.emit(couponExchange, "CouponCancelled").withArgs(user1.address, 1, 1, 500);
+            
+            const [available, reserved] = await rewardsVault.getCouponInventoryStatus(1);
+            expect(available).to.equal(2500);
+            expect(reserved).to.equal(0);
+            
+            await expect(
+                couponExchange.connect(user1).redeemCoupon(1, ethers.id("secret-code"))
+            ).to.be.revertedWith("Coupon cancelled");
+        });
+        
+        it("Should fail purchases when inventory runs out", async function () {
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await expect(
+                couponExchange.connect(user1).purchaseCoupon(1)
+            ).to.be.revertedWith("Insufficient inventory");
+        });
+        
+        it("Should list coupons with available or reserved inventory", async function () {
+            await rewardsVault.connect(owner).depositReward(2, 1000);
+            await rewardsVault.connect(owner).depositReward(3, 500);
+            await rewardsVault.connect(owner).withdrawReward(3, 500);
+            
+            expect(await rewardsVault.getCouponsWithInventory()).to.deep.equal([1n, 2n]);
+        });
+        
+        it("Should reserve and release through manageInventory", async function () {
+            await rewardsVault.connect(owner).manageInventory(1, 2, 500);
+            await rewardsVault.connect(owner).manageInventory(1, 3, 200);
+            
+            const [available, reserved] = await rewardsVault.getCouponInventoryStatus(1);
+            expect(available).to.equal(2200);
+            expect(reserved).to.equal(300);
+            
+            await expect(
+                rewardsVault.connect(owner).manageInventory(1, 3, 400)
+            ).to.be.revertedWith("Insufficient reserved inventory");
+        });
+    });
+
+    describe("Merchant Partners", function () {
+        const stockAndList = async () => {
+            await couponExchange.connect(user2).createCoupon("Cafe Latte", "One latte", 500, 1000, "FOOD", 100);
+            await couponExchange.connect(user2).stockCoupon(1, 5000);
+        };
+        
+        beforeEach(async function () {
+            await couponExchange.connect(owner).registerMerchant(user2.address, "Green Cafe", ["FOOD"]);
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 2000, 200, "CO2 offset activity");
+        });
+        
+        it("Should register merchants with allowed categories", async function () {
+            const merchant = await couponExchange.getMerchant(user2.address);
+            expect(merchant.name).to.equal("Green Cafe");
+            expect(merchant.categories).to.deep.equal(["FOOD"]);
+            expect(await couponExchange.isMerchant(user2.address)).to.be.true;
+            expect(await couponExchange.getMerchants()).to.deep.equal([user2.address]);
+            
+            await expect(
+                couponExchange.connect(owner).registerMerchant(user2.address, "Green Cafe", ["FOOD"])
+            ).to.be.revertedWith("Merchant already registered");
+            await expect(
+                couponExchange.connect(user1).registerMerchant(user3.address, "Metro", ["TRAVEL"])
+            ).to.be.revertedWithCustomError(couponExchange, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should let merchants list and stock coupons in their categories", async function () {
+            await stockAndList();
+            
+            const coupon = await couponExchange.getCoupon(1);
+            expect(coupon.merchant).to.equal(user2.address);
+            expect(await couponExchange.getMerchantCoupons(user2.address)).to.deep.equal([1n]);
+            expect(await rewardsVault.getRewardBalance(1)).to.equal(5000);
+            
+            await expect(
+                couponExchange.connect(user2).createCoupon("Bus Pass", "One ride", 500, 300, "TRAVEL", 100)
+            ).to.be.revertedWith("Category not allowed");
+            await expect(
+                couponExchange.connect(user1).createCoupon("Bus Pass", "One ride", 500, 300, "FOOD", 100)
+            ).to.be.revertedWith("Not authorized");
+        });
+        
+        it("Should only let merchants stock and manage their own coupons", async function () {
+            await couponExchange.connect(owner).createCoupon("Central Coupon", "Test", 500, 500, "FOOD", 100);
+            await expect(
+                couponExchange.connect(user2).stockCoupon(1, 1000)
+            ).to.be.revertedWith("Not coupon merchant");
+            await expect(
+                couponExchange.connect(user2).updateCoupon(1, false)
+            ).to.be.revertedWith("Not authorized");
+            
+            await couponExchange.connect(user2).createCoupon("Cafe Latte", "One latte", 500, 1000, "FOOD", 100);
+            await couponExchange.connect(user2).updateExchangeRates(2, 400, 800);
+            expect((await couponExchange.getCoupon(2)).pointsCost).to.equal(400);
+        });
+        
+        it("Should track settlement for sold and confirmed coupons", async function () {
+            await stockAndList();
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            
+            let settlement = await couponExchange.getMerchantSettlement(user2.address);
+            expect(settlement.couponsListed).to.equal(1);
+            expect(settlement.couponsSold).to.equal(2);
+            expect(settlement.outstandingLiability).to.equal(2200); // 2 x ($10.00 + 10% SILVER bonus)
+            
+            await couponExchange.connect(user1).redeemCoupon(1, await couponExchange.hashRedemptionCode(1, "secret-code"));
+            await couponExchange.connect(user2).consumeRedemption(1, "secret-code");
+            await couponExchange.connect(owner).cancelCoupon(2);
+            
+            settlement = await couponExchange.getMerchantSettlement(user2.address);
+            expect(settlement.couponsSold).to.equal(1);
+            expect(settlement.redeemedCount).to.equal(1);
+            expect(settlement.redeemedValue).to.equal(1100);
+            expect(settlement.outstandingLiability).to.equal(0);
+        });
+        
+        it("Should only let the listing merchant confirm its coupons", async function () {
+            await stockAndList();
+            await couponExchange.connect(owner).registerMerchant(user3.address, "Other Cafe", ["FOOD"]);
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).redeemCoupon(1, await couponExchange.hashRedemptionCode(1, "secret-code"));
+            
+            await expect(
+                couponExchange.connect(user3).consumeRedemption(1, "secret-code")
+            ).to.be.revertedWith("Not coupon merchant");
+        });
+        
+        it("Should block suspended merchants", async function () {
+            await couponExchange.connect(owner).setMerchantActive(user2.address, false);
+            await expect(
+                couponExchange.connect(user2).createCoupon("Cafe Latte", "One latte", 500, 1000, "FOOD", 100)
+            ).to.be.revertedWith("Not authorized");
+            
+            await couponExchange.connect(owner).setMerchantActive(user2.address, true);
+            await couponExchange.connect(owner).setMerchantCategories(user2.address, ["SHOPPING"]);
+            expect(await couponExchange.isMerchantCategory(user2.address, "FOOD")).to.be.false;
+            expect(await couponExchange.isMerchantCategory(user2.address, "SHOPPING")).to.be.true;
+        });
+    });
+
+    describe("Coupon Lifecycle", function () {
+        const DAY = 24 * 60 * 60;
+        const defaultTerms = { startTime: 0, endTime: 0, maxPerUser: 0, minTier: 0, isExclusive: false, refundWindow: 0 };
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123"); // SILVER after update
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 2000, 200, "CO2 offset activity");
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456"); // BRONZE
+            await couponExchange.connect(owner).createCoupon("Test Coupon", "Test Description", 50, 100, "FOOD", 100);
+            await rewardsVault.connect(owner).depositReward(1, 10000);
+        });
+        
+        it("Should enforce the sale window, with early access for priority tiers", async function () {
+            const now = await time.latest();
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, startTime: now + 3600, endTime: now + 10 * DAY });
+            
+            expect(await couponExchange.getAvailableCoupons()).to.deep.equal([]);
+            await expect(
+                couponExchange.connect(user2).purchaseCoupon(1)
+            ).to.be.revertedWith("Coupon not yet available");
+            await couponExchange.connect(user1).purchaseCoupon(1); // SILVER has priority access
+            
+            await time.increase(3600);
+            await couponExchange.connect(user2).purchaseCoupon(1);
+            expect(await couponExchange.getAvailableCoupons()).to.deep.equal([1n]);
+            
+            await time.increase(10 * DAY);
+            await expect(
+                couponExchange.connect(user2).purchaseCoupon(1)
+            ).to.be.revertedWith("Coupon expired");
+            await expect(
+                couponExchange.connect(user2).redeemCoupon(2, ethers.id("secret-code"))
+            ).to.be.revertedWith("Coupon expired");
+        });
+        
+        it("Should limit purchases per participant", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, maxPerUser: 2 });
+            
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await expect(
+                couponExchange.connect(user1).purchaseCoupon(1)
+            ).to.be.revertedWith("Purchase limit reached");
+            expect(await couponExchange.getUserPurchaseCount(1, user1.address)).to.equal(2);
+            
+            await couponExchange.connect(user2).purchaseCoupon(1);
+        });
+        
+        it("Should gate coupons by minimum tier and exclusive access", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, minTier: 1 });
+            await expect(
+                couponExchange.connect(user2).purchaseCoupon(1)
+            ).to.be.revertedWith("Tier too low");
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, isExclusive: true });
+            await expect(
+                couponExchange.connect(user1).purchaseCoupon(1)
+            ).to.be.revertedWith("Exclusive access required"); // SILVER has no exclusive access
+            
+            await expect(
+                couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, minTier: 4 })
+            ).to.be.revertedWith("Invalid tier");
+        });
+        
+        it("Should refund points within the refund window", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, maxPerUser: 1, refundWindow: DAY });
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            
+            await expect(
+                couponExchange.connect(user2).cancelCoupon(1)
+            ).to.be.revertedWith("Not coupon owner");
+            await expect(couponExchange.connect(user1).cancelCoupon(1))
+                .to.emit(couponExchange, "CouponCancelled").withArgs(user1.address, 1, 1, 50);
+            
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(2100);
+            expect((await couponExchange.getCoupon(1)).currentSupply).to.equal(0);
+            
+            // The cancelled purchase no longer counts towards the limit
+            await couponExchange.connect(user1).purchaseCoupon(1);
+        });
+        
+        it("Should restore refunded points with their original expiry rather than minting new points", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, refundWindow: 30 * DAY });
+            const lotsBefore = await pointsToken.getPointsLots(user1.address);
+            const [mintedBefore] = await pointsToken.getPointsStats();
+            const purchasedAt = await time.latest();
+            
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await time.increase(10 * DAY);
+            await expect(couponExchange.connect(user1).cancelCoupon(1))
+                .to.emit(pointsToken, "PointsRefunded").withArgs(user1.address, 50, 1, "Coupon refund");
+            
+            // Same lots and expiry as before the purchase, so buying and cancelling cannot renew points
+            const lotsAfter = await pointsToken.getPointsLots(user1.address);
+            expect(lotsAfter.map((lot) => [lot.amount, lot.expiresAt])).to.deep.equal(
+                lotsBefore.map((lot) => [lot.amount, lot.expiresAt])
+            );
+            
+            // The refund is recorded as a refund, not as earned points, and the spend stays on record
+            const [earned, spent, , refunded] = await pointsToken.getAccountTotals(user1.address);
+            expect(earned).to.equal(2100);
+            expect(spent).to.equal(50);
+            expect(refunded).to.equal(50);
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, purchasedAt, await time.latest())).to.equal(0);
+            const [minted, burned, supply] = await pointsToken.getPointsStats();
+            expect(minted).to.equal(mintedBefore);
+            expect(burned).to.equal(50);
+            expect(await pointsToken.getTotalRefunded()).to.equal(50);
+            expect(supply).to.equal(minted);
+            const [, , supplyAt] = await pointsToken.getPointsStatsAt(await time.latest());
+            expect(supplyAt).to.equal(supply);
+            
+            await expect(
+                pointsToken.connect(owner).refund(1, "Coupon refund")
+            ).to.be.revertedWith("Spend already refunded");
+        });
+        
+        it("Should keep spends in the range they happened in when a later range refunds them", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, refundWindow: 60 * DAY });
+            
+            // First range: spend 50
+            const firstStart = (await time.latest()) + 1;
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            const firstEnd = await time.latest();
+            
+            // Second range: spend another 50 and refund the first purchase
+            await time.increase(30 * DAY);
+            const secondStart = await time.latest();
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            await couponExchange.connect(user1).cancelCoupon(1);
+            const secondEnd = await time.latest();
+            
+            expect(await pointsToken.getPointsSpentInRange(user1.address, firstStart, firstEnd)).to.equal(50);
+            expect(await pointsToken.getPointsSpentInRange(user1.address, secondStart, secondEnd)).to.equal(50);
+            expect(await pointsToken.getPointsRefundedInRange(user1.address, firstStart, firstEnd)).to.equal(0);
+            expect(await pointsToken.getPointsRefundedInRange(user1.address, secondStart, secondEnd)).to.equal(50);
+            expect(await pointsToken.getPointsEarnedInRange(user1.address, secondStart, secondEnd)).to.equal(0);
+            await expect(
+                pointsToken.getPointsRefundedInRange(user1.address, secondEnd, secondStart)
+            ).to.be.revertedWith("Invalid time range");
+        });
+        
+        it("Should reject refunds after the refund window closes", async function () {
+            await couponExchange.connect(owner).setCouponTerms(1, { ...defaultTerms, refundWindow: DAY });
+            await couponExchange.connect(user1).purchaseCoupon(1);
+            
+            await time.increase(DAY + 1);
+            await expect(
+                couponExchange.connect(user1).cancelCoupon(1)
+            ).to.be.revertedWith("Refund window closed");
+        });
+    });
+    
+    describe("Seasons", function () {
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await participantRegistry.connect(user3).registerParticipant("QmProfileHash789");
+            await seasonManager.connect(owner).startSeason("Spring 2025", 2, "ipfs://QmSeasonBadge");
+        });
+        
+        it("Should count season points separately from lifetime points", async function () {
+            expect(await seasonManager.isSeasonActive()).to.be.true;
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            
+            expect(await seasonManager.getCurrentSeasonPoints(user1.address)).to.equal(100);
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(200); // Includes registration bonus
+            
+            await seasonManager.connect(owner).closeSeason(0, []);
+            await seasonManager.connect(owner).startSeason("Summer 2025", 2, "");
+            expect(await seasonManager.getCurrentSeasonPoints(user1.address)).to.equal(0);
+            expect(await seasonManager.getSeasonPoints(1, user1.address)).to.equal(100);
+        });
+        
+        it("Should keep the top N participants ranked on-chain", async function () {
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 30, "ENERGY", "Solar panels");
+            await participantRegistry.connect(owner).recordOffsetActivity(user3.address, 20, "WASTE", "Recycling");
+            
+            // user1 was knocked off the two-entry board by user3
+            let leaderboard = await seasonManager.getLeaderboard(1);
+            expect(leaderboard.map((entry) => entry.wallet)).to.deep.equal([user2.address, user3.address]);
+            expect(leaderboard.map((entry) => entry.points)).to.deep.equal([300n, 200n]);
+            expect(await seasonManager.getRank(1, user1.address)).to.equal(0);
+            
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 25, "TRANSPORT", "Took the train");
+            leaderboard = await seasonManager.getLeaderboard(1);
+            expect(leaderboard.map((entry) => entry.wallet)).to.deep.equal([user1.address, user2.address]);
+            expect(await seasonManager.getRank(1, user1.address)).to.equal(1);
+            expect(await seasonManager.getRank(1, user3.address)).to.equal(0);
+        });
+        
+        it("Should reward the top participants and freeze the rankings when closing", async function () {
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 30, "ENERGY", "Solar panels");
+            
+            const lifetimeBefore = (await participantRegistry.getParticipant(user2.address)).totalPoints;
+            await expect(seasonManager.connect(owner).closeSeason(1, [500, 200]))
+                .to.emit(seasonManager, "SeasonRewardAwarded")
+                .and.to.emit(seasonManager, "SeasonClosed").withArgs(1, 2);
+            
+            const badgeId = await seasonManager.getSeasonBadge(1, user2.address);
+            const badge = await badgeNFT.getBadge(badgeId);
+            expect(badge.owner).to.equal(user2.address);
+            expect(badge.badgeType).to.equal("SEASON");
+            expect(badge.name).to.equal("Spring 2025 #1");
+            expect(await seasonManager.getSeasonBadge(1, user1.address)).to.equal(0);
+            
+            expect((await participantRegistry.getParticipant(user2.address)).totalPoints).to.equal(lifetimeBefore + 500n);
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(400);
+            
+            // Bonus points and later activity do not change the closed season
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 50, "TRANSPORT", "Took the train");
+            expect((await seasonManager.getLeaderboard(1)).map((entry) => entry.points)).to.deep.equal([300n, 100n]);
+            expect((await seasonManager.getSeason(1)).isClosed).to.be.true;
+            expect(await seasonManager.getCurrentSeasonPoints(user1.address)).to.equal(0);
+        });
+        
+        it("Should restrict season management to season admins", async function () {
+            await expect(
+                seasonManager.connect(user1).closeSeason(0, [])
+            ).to.be.revertedWithCustomError(seasonManager, "AccessControlUnauthorizedAccount");
+            await expect(
+                seasonManager.connect(owner).startSeason("Again", 2, "")
+            ).to.be.revertedWith("Season already active");
+            await expect(
+                seasonManager.connect(user1).recordPoints(user1.address, 1000)
+            ).to.be.revertedWithCustomError(seasonManager, "AccessControlUnauthorizedAccount");
+            
+            await seasonManager.connect(owner).closeSeason(0, []);
+            await expect(seasonManager.connect(owner).closeSeason(0, [])).to.be.revertedWith("No active season");
+            await expect(
+                seasonManager.connect(owner).startSeason("Too big", 101, "")
+            ).to.be.revertedWith("Invalid leaderboard size");
+        });
+    });
+    
+    describe("Achievements", function () {
+        const DAY = 24 * 60 * 60;
+        const RuleType = { OFFSET_COUNT: 0, CO2_TOTAL: 1, ACTIVITIES_IN_WINDOW: 2, TIER_REACHED: 3 };
+        const rule = (overrides) => ({
+            name: "",
+            description: "",
+            ruleType: RuleType.OFFSET_COUNT,
+            activityType: "",
+            threshold: 1,
+            window: 0,
+            bonusPoints: 0,
+            isActive: true,
+            ...overrides
+        });
+        const recordOffset = (co2Kg, activityType = "ENERGY") => participantRegistry.connect(owner).recordOffsetActivity(
+            user1.address, co2Kg, activityType, "Offset activity"
+        );
+        
+        beforeEach(async function () {
+            await achievementManager.connect(owner).createRule(rule({ name: "First Offset", description: "Recorded a first offset", bonusPoints: 50 }));
+            await achievementManager.connect(owner).createRule(rule({ name: "Green Commuter", ruleType: RuleType.CO2_TOTAL, activityType: "TRANSPORT", threshold: 100 }));
+            await achievementManager.connect(owner).createRule(rule({ name: "Busy Week", ruleType: RuleType.ACTIVITIES_IN_WINDOW, threshold: 3, window: 7 * DAY }));
+            await achievementManager.connect(owner).createRule(rule({ name: "Fast Track to Gold", ruleType: RuleType.TIER_REACHED, threshold: 2, window: 90 * DAY }));
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+        });
+        
+        it("Should mint an achievement badge once and award its bonus points", async function () {
+            await expect(recordOffset(10))
+                .to.emit(achievementManager, "AchievementUnlocked");
+            
+            const badgeId = await achievementManager.getAchievementBadge(1, user1.address);
+            const badge = await badgeNFT.getBadge(badgeId);
+            expect(badge.owner).to.equal(user1.address);
+            expect(badge.badgeType).to.equal("SPECIAL");
+            expect(badge.name).to.equal("First Offset");
+            expect(await achievementManager.hasAchievement(1, user1.address)).to.be.true;
+            
+            // 100 registration + 100 for 10 kg + 50 bonus
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(250);
+            
+            await expect(recordOffset(10)).to.not.emit(achievementManager, "AchievementUnlocked");
+            expect(await achievementManager.getAchievements(user1.address)).to.deep.equal([1n]);
+            expect((await badgeNFT.getUserBadges(user1.address)).length).to.equal(2); // Tier badge + First Offset
+        });
+        
+        it("Should count CO2 for a rule's activity type only", async function () {
+            await recordOffset(60, "TRANSPORT");
+            await recordOffset(50, "ENERGY");
+            expect(await achievementManager.hasAchievement(2, user1.address)).to.be.false;
+            
+            await recordOffset(40, "TRANSPORT");
+            expect(await achievementManager.hasAchievement(2, user1.address)).to.be.true;
+        });
+        
+        it("Should require the activities to fall within the rule's window", async function () {
+            await recordOffset(1);
+            await recordOffset(1);
+            await time.increase(8 * DAY);
+            await recordOffset(1);
+            expect(await achievementManager.hasAchievement(3, user1.address)).to.be.false;
+            
+            await recordOffset(1);
+            await recordOffset(1);
+            expect(await achievementManager.hasAchievement(3, user1.address)).to.be.true;
+        });
+        
+        it("Should unlock tier achievements only within the window after joining", async function () {
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 5000, 500, "Reforestation project");
+            expect(await participantRegistry.getTierLevel(user1.address)).to.equal(2); // GOLD
+            expect(await achievementManager.hasAchievement(4, user1.address)).to.be.true;
+            
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await time.increase(91 * DAY);
+            await participantRegistry.connect(owner).updateParticipant(user2.address, 5000, 500, "Reforestation project");
+            expect(await participantRegistry.getTierLevel(user2.address)).to.equal(2);
+            expect(await achievementManager.hasAchievement(4, user2.address)).to.be.false;
+        });
+        
+        it("Should check achievements on registration", async function () {
+            await achievementManager.connect(owner).createRule(rule({ name: "Welcome", ruleType: RuleType.TIER_REACHED, threshold: 0 }));
+            
+            await expect(participantRegistry.connect(user2).registerParticipant("QmProfileHash456"))
+                .to.emit(achievementManager, "AchievementUnlocked");
+            expect(await achievementManager.getAchievements(user2.address)).to.deep.equal([5n]);
+        });
+        
+        it("Should skip retired rules and keep recording offsets while paused", async function () {
+            await achievementManager.connect(owner).setRuleActive(1, false);
+            await recordOffset(10);
+            expect(await achievementManager.hasAchievement(1, user1.address)).to.be.false;
+            
+            await achievementManager.connect(owner).setRuleActive(1, true);
+            await achievementManager.connect(owner).pause();
+            await recordOffset(10);
+            expect(await achievementManager.hasAchievement(1, user1.address)).to.be.false;
+            
+            await achievementManager.connect(owner).unpause();
+            await recordOffset(10);
+            expect(await achievementManager.hasAchievement(1, user1.address)).to.be.true;
+        });
+        
+        it("Should restrict rule management and checks", async function () {
+            await expect(
+                achievementManager.connect(user1).createRule(rule({ name: "Cheat" }))
+            ).to.be.revertedWithCustomError(achievementManager, "AccessControlUnauthorizedAccount");
+            await expect(
+                achievementManager.connect(user1).checkAchievements(user1.address)
+            ).to.be.revertedWithCustomError(achievementManager, "AccessControlUnauthorizedAccount");
+            await expect(
+                achievementManager.connect(owner).createRule(rule({ name: "No window", ruleType: RuleType.ACTIVITIES_IN_WINDOW }))
+            ).to.be.revertedWith("Window required");
+            await expect(
+                achievementManager.connect(owner).createRule(rule({ name: "No threshold", threshold: 0 }))
+            ).to.be.revertedWith("Threshold required");
+            await expect(achievementManager.getRule(99)).to.be.revertedWith("Rule does not exist");
+        });
+    });
+    
+    describe("Offset Certificates", function () {
+        const CertificateKind = { CREDIT: 0, ANNUAL: 1 };
+        const recordOffset = (wallet, co2Kg) => participantRegistry.connect(owner).recordOffsetActivity(
+            wallet, co2Kg, "ENERGY", "Offset activity"
+        );
+        
+        beforeEach(async function () {
+            await offsetCertificate.connect(owner).addCreditBatch(1234, 2024, "VCS-VCU-1234", 101, 150);
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+        });
+        
+        it("Should issue certificates for verified offsets with consecutive serials", async function () {
+            await recordOffset(user1.address, 3500);
+            expect(await offsetCertificate.getClaimableCo2(user1.address)).to.equal(3500);
+            
+            await expect(offsetCertificate.connect(user1).claimCertificate(1, 2))
+                .to.emit(offsetCertificate, "CertificateIssued")
+                .withArgs(1, user1.address, CertificateKind.CREDIT, 2, 2000);
+            await offsetCertificate.connect(user1).claimCertificate(1, 1);
+            
+            const certificate = await offsetCertificate.getCertificate(2);
+            expect(certificate.beneficiary).to.equal(user1.address);
+            expect(certificate.projectId).to.equal(1234);
+            expect(certificate.vintage).to.equal(2024);
+            expect(certificate.serialStart).to.equal(103);
+            expect(certificate.serialEnd).to.equal(103);
+            expect(await offsetCertificate.balanceOf(user1.address, 1)).to.equal(2);
+            expect(await offsetCertificate.getUserCertificates(user1.address)).to.deep.equal([1n, 2n]);
+            expect((await offsetCertificate.getCreditBatch(1)).nextSerial).to.equal(104);
+            
+            // Only 500 kg left uncertified
+            expect(await offsetCertificate.getClaimableCo2(user1.address)).to.equal(500);
+            await expect(
+                offsetCertificate.connect(user1).claimCertificate(1, 1)
+            ).to.be.revertedWith("Insufficient verified offset");
+            
+            const metadata = decodeDataURI(await offsetCertificate.uri(1));
+            expect(metadata.name).to.equal("GreenChain Offset Certificate #1");
+            expect(metadata.attributes).to.deep.include({ trait_type: "Serial Range", value: "VCS-VCU-1234-101-102" });
+            expect(metadata.attributes).to.deep.include({ trait_type: "CO2 Offset (kg)", display_type: "number", value: 2000 });
+        });
+        
+        it("Should retire certificates by burning them and keep them non-transferable", async function () {
+            await recordOffset(user1.address, 3000);
+            await offsetCertificate.connect(user1).claimCertificate(1, 3);
+            
+            await expect(
+                offsetCertificate.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x")
+            ).to.be.revertedWith("Certificates are non-transferable");
+            await expect(
+                offsetCertificate.connect(user2).retireCertificate(1, 1)
+            ).to.be.revertedWithCustomError(offsetCertificate, "ERC1155InsufficientBalance");
+            
+            await expect(offsetCertificate.connect(user1).retireCertificate(1, 2))
+                .to.emit(offsetCertificate, "CertificateRetired")
+                .withArgs(1, user1.address, 2);
+            expect(await offsetCertificate.balanceOf(user1.address, 1)).to.equal(1);
+            expect(await offsetCertificate.isFullyRetired(1)).to.be.false;
+            
+            // Retired tonnes are gone and cannot be retired again
+            await expect(
+                offsetCertificate.connect(user1).retireCertificate(1, 2)
+            ).to.be.revertedWithCustomError(offsetCertificate, "ERC1155InsufficientBalance");
+            await offsetCertificate.connect(user1).retireCertificate(1, 1);
+            expect(await offsetCertificate.isFullyRetired(1)).to.be.true;
+            expect((await offsetCertificate.getCertificate(1)).retiredTonnes).to.equal(3);
+            
+            // Certified CO2 stays certified after retirement
+            expect(await offsetCertificate.getClaimableCo2(user1.address)).to.equal(0);
+        });
+        
+        it("Should only issue from batches with enough credits to registered participants", async function () {
+            await offsetCertificate.connect(owner).addCreditBatch(5678, 2023, "GS-5678", 1, 2);
+            await recordOffset(user1.address, 5000);
+            
+            await expect(
+                offsetCertificate.connect(user1).claimCertificate(2, 3)
+            ).to.be.revertedWith("Insufficient credits in batch");
+            await offsetCertificate.connect(user1).claimCertificate(2, 2);
+            await expect(
+                offsetCertificate.connect(user1).claimCertificate(2, 1)
+            ).to.be.revertedWith("Insufficient credits in batch");
+            await expect(
+                offsetCertificate.connect(user1).claimCertificate(3, 1)
+            ).to.be.revertedWith("Batch does not exist");
+            await expect(
+                offsetCertificate.connect(user2).claimCertificate(1, 1)
+            ).to.be.revertedWith("Participant not registered");
+            
+            await expect(
+                offsetCertificate.connect(user1).addCreditBatch(1, 2024, "FAKE", 1, 1000)
+            ).to.be.revertedWithCustomError(offsetCertificate, "AccessControlUnauthorizedAccount");
+            await expect(
+                offsetCertificate.connect(owner).addCreditBatch(1, 2024, "VCS", 10, 9)
+            ).to.be.revertedWith("Invalid serial range");
+            await expect(offsetCertificate.getCertificate(99)).to.be.revertedWith("Certificate does not exist");
+        });
+        
+        it("Should mint one annual certificate per year from the yearly totals", async function () {
+            // Start of February in the year after the current chain time
+            const year = new Date((await time.latest()) * 1000).getUTCFullYear() + 1;
+            await time.increaseTo(Date.UTC(year, 1, 1) / 1000);
+            
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await recordOffset(user1.address, 2000);
+            await recordOffset(user1.address, 500);
+            await recordOffset(user2.address, 100);
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(3); // PLATINUM
+            
+            await expect(
+                offsetCertificate.connect(user1).claimAnnualCertificate(year)
+            ).to.be.revertedWith("Year not finished");
+            
+            // The last second of the year still counts; offsets in the following year do not
+            await time.setNextBlockTimestamp(Date.UTC(year + 1, 0, 1) / 1000 - 1);
+            await recordOffset(user1.address, 50);
+            await time.increaseTo(Date.UTC(year + 1, 0, 2) / 1000);
+            await recordOffset(user1.address, 300);
+            expect(await offsetCertificate.getYearlyCo2(user1.address, year)).to.equal(2550);
+            expect(await participantRegistry.getCo2OffsetByYear(user1.address, year + 1)).to.equal(300);
+            
+            await expect(offsetCertificate.connect(user1).claimAnnualCertificate(year))
+                .to.emit(offsetCertificate, "CertificateIssued")
+                .withArgs(1, user1.address, CertificateKind.ANNUAL, 1, 2550);
+            expect(await offsetCertificate.getAnnualCertificate(user1.address, year)).to.equal(1);
+            expect((await offsetCertificate.getCertificate(1)).vintage).to.equal(year);
+            // Annual statements do not use up claimable CO2
+            expect(await offsetCertificate.getClaimableCo2(user1.address)).to.equal(2850);
+            
+            await expect(
+                offsetCertificate.connect(user1).claimAnnualCertificate(year)
+            ).to.be.revertedWith("Annual certificate already claimed");
+            await expect(
+                offsetCertificate.connect(user1).claimAnnualCertificate(year - 1)
+            ).to.be.revertedWith("No offsets in year");
+            await expect(
+                offsetCertificate.connect(user1).retireCertificate(1, 1)
+            ).to.be.revertedWith("Annual certificates cannot be retired");
+            await expect(
+                offsetCertificate.connect(user2).claimAnnualCertificate(year)
+            ).to.be.revertedWith("Tier not eligible");
+        });
+    });
+    
+    describe("Offset Projects", function () {
+        const AccessLevel = { OPEN: 0, PRIORITY: 1, EXCLUSIVE: 2, VIP: 3 };
+        const DAY = 24 * 60 * 60;
+        const project = (overrides) => ({
+            name: "Borneo Rainforest Protection",
+            projectType: "FORESTRY",
+            location: "Central Kalimantan, Indonesia",
+            capacityKg: 1000,
+            committedKg: 0,
+            fundedKg: 0,
+            accessLevel: AccessLevel.OPEN,
+            openTime: 0,
+            closeTime: 0,
+            isActive: true,
+            ...overrides
+        });
+        const recordOffset = (wallet, co2Kg) => participantRegistry.connect(owner).recordOffsetActivity(
+            wallet, co2Kg, "ENERGY", "Offset activity"
+        );
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+        });
+        
+        it("Should record funded pledges as offsets linked to the project", async function () {
+            await projectRegistry.connect(owner).createProject(project());
+            
+            await expect(projectRegistry.connect(user1).pledge(1, 400))
+                .to.emit(projectRegistry, "ContributionPledged")
+                .withArgs(1, 1, user1.address, 400);
+            expect((await projectRegistry.getProject(1)).committedKg).to.equal(400);
+            expect((await participantRegistry.getParticipant(user1.address)).totalCo2OffsetKg).to.equal(0);
+            
+            await expect(projectRegistry.connect(owner).fundPledge(1))
+                .to.emit(projectRegistry, "ContributionFunded")
+                .withArgs(1, 1, user1.address, 400, 0)
+                .and.to.emit(participantRegistry, "OffsetRecorded");
+            
+            expect(await participantRegistry.getCo2OffsetByActivityType(user1.address, "FORESTRY")).to.equal(400);
+            const [record] = await participantRegistry.getActivityHistory(user1.address, 0, 1);
+            expect(record.activityType).to.equal("FORESTRY");
+            expect(record.verifier).to.equal(await projectRegistry.getAddress());
+            expect(await projectRegistry.getActivityProject(user1.address, 0)).to.equal(1);
+            expect((await projectRegistry.getProject(1)).fundedKg).to.equal(400);
+            
+            await expect(projectRegistry.connect(owner).fundPledge(1)).to.be.revertedWith("Pledge not open");
+            await expect(
+                projectRegistry.connect(user1).fundPledge(1)
+            ).to.be.revertedWithCustomError(projectRegistry, "AccessControlUnauthorizedAccount");
+            await expect(projectRegistry.connect(user1).pledge(1, 700)).to.be.revertedWith("Insufficient project capacity");
+            await expect(projectRegistry.connect(user2).pledge(1, 100)).to.be.revertedWith("Participant not registered");
+        });
+        
+        it("Should release capacity when a pledge is cancelled and record direct contributions", async function () {
+            await projectRegistry.connect(owner).createProject(project());
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await projectRegistry.connect(user1).pledge(1, 1000);
+            
+            await expect(projectRegistry.connect(user2).cancelPledge(1)).to.be.revertedWith("Not authorized");
+            await expect(projectRegistry.connect(user1).cancelPledge(1))
+                .to.emit(projectRegistry, "ContributionCancelled")
+                .withArgs(1, 1, user1.address);
+            expect((await projectRegistry.getProject(1)).committedKg).to.equal(0);
+            await expect(projectRegistry.connect(owner).fundPledge(1)).to.be.revertedWith("Pledge not open");
+            
+            // Funded outside a pledge, e.g. paid through the backend
+            await expect(projectRegistry.connect(owner).recordContribution(1, user2.address, 250))
+                .to.emit(projectRegistry, "ContributionFunded")
+                .withArgs(2, 1, user2.address, 250, 0);
+            expect((await projectRegistry.getContribution(2)).status).to.equal(1); // FUNDED
+            expect(await projectRegistry.getUserContributions(user2.address)).to.deep.equal([2n]);
+            
+            await projectRegistry.connect(owner).setProjectActive(1, false);
+            await expect(projectRegistry.connect(user1).pledge(1, 100)).to.be.revertedWith("Project not active");
+            await expect(
+                projectRegistry.connect(owner).updateProject(1, project({ capacityKg: 100 }))
+            ).to.be.revertedWith("Capacity below committed");
+        });
+        
+        it("Should expire unfunded pledges and cap open pledges per wallet", async function () {
+            await projectRegistry.connect(owner).createProject(project({ capacityKg: 10000 }));
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            expect(await projectRegistry.pledgeDuration()).to.equal(7 * DAY);
+            
+            for (let i = 0; i < 5; i++) {
+                await projectRegistry.connect(user1).pledge(1, 100);
+            }
+            expect(await projectRegistry.openPledgeCount(user1.address)).to.equal(5);
+            await expect(projectRegistry.connect(user1).pledge(1, 100)).to.be.revertedWith("Too many open pledges");
+            
+            // Funding frees a slot and links the record the registry returns, after earlier offsets
+            await recordOffset(user1.address, 10);
+            await expect(projectRegistry.connect(owner).fundPledge(1))
+                .to.emit(projectRegistry, "ContributionFunded")
+                .withArgs(1, 1, user1.address, 100, 1);
+            expect(await projectRegistry.getActivityProject(user1.address, 1)).to.equal(1);
+            expect(await projectRegistry.getActivityProject(user1.address, 0)).to.equal(0);
+            await projectRegistry.connect(user1).pledge(1, 100);
+            
+            // Strangers may only cancel expired pledges, which can no longer be funded
+            await expect(projectRegistry.connect(user2).cancelPledge(2)).to.be.revertedWith("Not authorized");
+            await time.increase(7 * DAY + 1);
+            await expect(projectRegistry.connect(owner).fundPledge(2)).to.be.revertedWith("Pledge expired");
+            await expect(projectRegistry.connect(user2).cancelPledge(2))
+                .to.emit(projectRegistry, "ContributionCancelled")
+                .withArgs(2, 1, user1.address);
+            expect(await projectRegistry.openPledgeCount(user1.address)).to.equal(4);
+            expect((await projectRegistry.getProject(1)).committedKg).to.equal(500);
+            
+            await expect(projectRegistry.connect(owner).setPledgeLimits(0, 0))
+                .to.emit(projectRegistry, "PledgeLimitsUpdated")
+                .withArgs(0, 0);
+            await projectRegistry.connect(owner).fundPledge(3);
+            await projectRegistry.connect(user1).pledge(1, 100);
+            await projectRegistry.connect(user1).pledge(1, 100);
+            expect(await projectRegistry.openPledgeCount(user1.address)).to.equal(5);
+            await expect(
+                projectRegistry.connect(user1).setPledgeLimits(DAY, 1)
+            ).to.be.revertedWithCustomError(projectRegistry, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should gate projects by the tier access flags", async function () {
+            await projectRegistry.connect(owner).createProject(project({ name: "Solar Park", accessLevel: AccessLevel.PRIORITY }));
+            await projectRegistry.connect(owner).createProject(project({ name: "Clean Cookstoves", accessLevel: AccessLevel.EXCLUSIVE }));
+            await projectRegistry.connect(owner).createProject(project({ name: "Mangrove Restoration", accessLevel: AccessLevel.VIP }));
+            
+            // BRONZE
+            await expect(projectRegistry.connect(user1).pledge(1, 100)).to.be.revertedWith("Priority access required");
+            
+            // 500 kg takes user1 to GOLD
+            await recordOffset(user1.address, 500);
+            expect((await participantRegistry.getParticipant(user1.address)).currentTier).to.equal(2);
+            await projectRegistry.connect(user1).pledge(1, 100);
+            await projectRegistry.connect(user1).pledge(2, 100);
+            await expect(projectRegistry.connect(user1).pledge(3, 100)).to.be.revertedWith("VIP access required");
+        });
+        
+        it("Should open projects early to priority and VIP tiers", async function () {
+            const openTime = (await time.latest()) + 2 * DAY;
+            await projectRegistry.connect(owner).createProject(project({ capacityKg: 10000, openTime, closeTime: openTime + 30 * DAY }));
+            
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await participantRegistry.connect(user3).registerParticipant("QmProfileHash789");
+            await recordOffset(user2.address, 100); // SILVER: priority access
+            await recordOffset(user3.address, 2000); // PLATINUM: VIP access
+            
+            // Three-day VIP window
+            await projectRegistry.connect(user3).pledge(1, 100);
+            await expect(projectRegistry.connect(user2).pledge(1, 100)).to.be.revertedWith("Project not yet open");
+            
+            // One-day priority window
+            await time.increaseTo(openTime - DAY);
+            await projectRegistry.connect(user2).pledge(1, 100);
+            await expect(projectRegistry.connect(user1).pledge(1, 100)).to.be.revertedWith("Project not yet open");
+            
+            await time.increaseTo(openTime);
+            await projectRegistry.connect(user1).pledge(1, 100);
+            
+            await time.increaseTo(openTime + 30 * DAY + 1);
+            await expect(projectRegistry.connect(user1).pledge(1, 100)).to.be.revertedWith("Project closed");
+            
+            await expect(
+                projectRegistry.connect(user1).setAccessWindows(0, 7 * DAY)
+            ).to.be.revertedWithCustomError(projectRegistry, "AccessControlUnauthorizedAccount");
+        });
+    });
+    
+    describe("Batch Recording", function () {
+        const offset = (wallet, co2OffsetKg, activityType = "TRANSPORT") => ({
+            wallet,
+            co2OffsetKg,
+            activityType,
+            activityDescription: `${co2OffsetKg} kg ${activityType}`
+        });
+        
+        beforeEach(async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+        });
+        
+        it("Should award the same points as recording offsets one by one, minting once per wallet", async function () {
+            const activities = [offset(user1.address, 10), offset(user1.address, 20, "ENERGY"), offset(user1.address, 30)];
+            
+            const [recorded, skipped] = await participantRegistry.connect(owner).batchRecordOffsetActivity.staticCall(activities, true);
+            expect(recorded).to.equal(3);
+            expect(skipped).to.deep.equal([false, false, false]);
+            const receipt = await (await participantRegistry.connect(owner).batchRecordOffsetActivity(activities, true)).wait();
+            const tokenAddress = await pointsToken.getAddress();
+            const mints = receipt.logs
+                .filter((log) => log.address === tokenAddress)
+                .map((log) => pointsToken.interface.parseLog(log))
+                .filter((event) => event.name === "PointsMinted");
+            expect(mints.map((event) => [event.args.to, event.args.amount])).to.deep.equal([[user1.address, 600n]]);
+
+            for (const activity of activities) {
+                await participantRegistry.connect(owner).recordOffsetActivity(
+                    user2.address,
+                    activity.co2OffsetKg,
+                    activity.activityType,
+                    activity.activityDescription
+                );
+            }
+            
+            const batched = await participantRegistry.getParticipant(user1.address);
+            const single = await participantRegistry.getParticipant(user2.address);
+            expect(batched.totalPoints).to.equal(single.totalPoints);
+            expect(batched.currentTier).to.equal(single.currentTier);
+            expect(batched.activityCount).to.equal(3);
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(await pointsToken.balanceOf(user2.address));
+        });
+        
+        it("Should price items at the starting multiplier and upgrade tiers once the wallet's points are minted", async function () {
+            // 110 kg takes user1 to SILVER; 510 kg takes user2 straight to GOLD
+            await expect(
+                participantRegistry.connect(owner).batchRecordOffsetActivity([
+                    offset(user1.address, 100),
+                    offset(user2.address, 500),
+                    offset(user1.address, 10),
+                    offset(user2.address, 10)
+                ], true)
+            ).to.emit(participantRegistry, "TierUpgraded").withArgs(user1.address, 0, 1, 1200)
+                .and.to.emit(participantRegistry, "TierUpgraded").withArgs(user2.address, 0, 2, 5200);
+            
+            // BRONZE (1.0x) applies to every item, including those after the threshold was crossed
+            expect((await participantRegistry.getParticipant(user1.address)).totalPoints).to.equal(100 + 1100);
+            expect((await participantRegistry.getParticipant(user2.address)).totalPoints).to.equal(100 + 5100);
+        });
+        
+        it("Should revert the whole batch in atomic mode", async function () {
+            await expect(
+                participantRegistry.connect(owner).batchRecordOffsetActivity([offset(user1.address, 10), offset(user3.address, 10)], true)
+            ).to.be.revertedWith("Participant not found");
+            
+            await expect(
+                participantRegistry.connect(owner).batchRecordOffsetActivity([offset(user1.address, 10), offset(user1.address, 0)], true)
+            ).to.be.revertedWith("CO2 offset must be greater than 0");
+            
+            expect((await participantRegistry.getParticipant(user1.address)).activityCount).to.equal(0);
+        });
+        
+        it("Should skip and report invalid items in non-atomic mode", async function () {
+            const activities = [
+                offset(user1.address, 10),
+                offset(user3.address, 10),
+                offset(user1.address, 0),
+                { ...offset(user2.address, 10), activityDescription: "" },
+                offset(user2.address, 20)
+            ];
+            
+            const [recorded, skipped] = await participantRegistry.connect(owner).batchRecordOffsetActivity.staticCall(activities, false);
+            expect(recorded).to.equal(2);
+            expect(skipped).to.deep.equal([false, true, true, true, false]);
+            await expect(participantRegistry.connect(owner).batchRecordOffsetActivity(activities, false))
+                .to.emit(participantRegistry, "OffsetActivitySkipped").withArgs(1, user3.address, "Participant not found")
+                .and.to.emit(participantRegistry, "OffsetActivitySkipped").withArgs(2, user1.address, "CO2 offset must be greater than 0")
+                .and.to.emit(participantRegistry, "OffsetActivitySkipped").withArgs(3, user2.address, "Activity description required");
+            
+            expect((await participantRegistry.getParticipant(user1.address)).activityCount).to.equal(1);
+            expect((await participantRegistry.getParticipant(user2.address)).totalPoints).to.equal(300);
+        });
+        
+        it("Should revert the whole batch in non-atomic mode when a later step fails", async function () {
+            // Only the upfront item checks are skipped; minting and the hooks are not isolated per item
+            await pointsToken.connect(owner).pause();
+            await expect(
+                participantRegistry.connect(owner).batchRecordOffsetActivity([offset(user1.address, 10), offset(user3.address, 10)], false)
+            ).to.be.revertedWithCustomError(pointsToken, "EnforcedPause");
+            expect((await participantRegistry.getParticipant(user1.address)).activityCount).to.equal(0);
+        });
+        
+        it("Should reject batched and single offsets while the registry is paused", async function () {
+            await participantRegistry.connect(owner).pause();
+            await expect(
+                participantRegistry.connect(owner).batchRecordOffsetActivity([offset(user1.address, 10)], false)
+            ).to.be.revertedWithCustomError(participantRegistry, "EnforcedPause");
+            await expect(
+                participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the train")
+            ).to.be.revertedWithCustomError(participantRegistry, "EnforcedPause");
+            
+            await participantRegistry.connect(owner).unpause();
+            await participantRegistry.connect(owner).batchRecordOffsetActivity([offset(user1.address, 10)], false);
+            expect((await participantRegistry.getParticipant(user1.address)).activityCount).to.equal(1);
+        });
+        
+        it("Should only let activity recorders batch offsets", async function () {
+            await expect(
+                participantRegistry.connect(user1).batchRecordOffsetActivity([offset(user1.address, 10)], false)
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should bundle registry calls with multicall", async function () {
+            const code = ethers.encodeBytes32String("USER3");
+            await participantRegistry.connect(user3).multicall([
+                participantRegistry.interface.encodeFunctionData("registerParticipant", ["QmProfileHash789"]),
+                participantRegistry.interface.encodeFunctionData("setReferralCode", [code])
+            ]);
+            
+            expect(await participantRegistry.isRegistered(user3.address)).to.be.true;
+            expect(await participantRegistry.getReferralCodeOwner(code)).to.equal(user3.address);
+            
+            // Calls keep the caller's roles, and one failure reverts them all
+            await expect(
+                participantRegistry.connect(user1).multicall([
+                    participantRegistry.interface.encodeFunctionData("recordOffsetActivity", [user1.address, 10, "TRANSPORT", "Bus"])
+                ])
+            ).to.be.revertedWithCustomError(participantRegistry, "AccessControlUnauthorizedAccount");
+            await expect(
+                participantRegistry.connect(owner).multicall([
+                    participantRegistry.interface.encodeFunctionData("recordOffsetActivity", [user1.address, 10, "TRANSPORT", "Bus"]),
+                    participantRegistry.interface.encodeFunctionData("recordOffsetActivity", [user1.address, 0, "TRANSPORT", "Bus"])
+                ])
+            ).to.be.revertedWith("CO2 offset must be greater than 0");
+            expect((await participantRegistry.getParticipant(user1.address)).activityCount).to.equal(0);
+        });
+        
+        it("Should bundle coupon exchange calls with multicall", async function () {
+            await participantRegistry.connect(owner).updateParticipant(user1.address, 2000, 200, "CO2 offset activity");
+            await rewardsVault.connect(owner).depositReward(1, 10000);
+            await rewardsVault.connect(owner).depositReward(2, 10000);
+            
+            const createCoupon = (name) => couponExchange.interface.encodeFunctionData(
+                "createCoupon",
+                [name, "Test Description", 500, 500, "FOOD", 100]
+            );
+            await couponExchange.connect(owner).multicall([createCoupon("Coffee"), createCoupon("Bakery")]);
+            expect((await couponExchange.getCoupon(2)).name).to.equal("Bakery");
+            
+            await couponExchange.connect(user1).multicall([
+                couponExchange.interface.encodeFunctionData("purchaseCoupon", [1]),
+                couponExchange.interface.encodeFunctionData("purchaseCoupon", [2])
+            ]);
+            expect(await pointsToken.balanceOf(user1.address)).to.equal(2100 - 1000);
+        });
+    });
+    
+    describe("Upgradeability", function () {
+        it("Should not allow re-initializing a proxy or its implementation", async function () {
+            await expect(
+                participantRegistry.initialize(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(participantRegistry, "InvalidInitialization");
+            
+            const implementation = await ethers.getContractAt(
+                "ParticipantRegistry",
+                await upgrades.erc1967.getImplementationAddress(await participantRegistry.getAddress())
+            );
+            await expect(
+                implementation.initialize(ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+        
+        it("Should keep participant state across an upgrade", async function () {
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 50, "ENERGY", "Solar panels");
+            const proxyAddress = await participantRegistry.getAddress();
+            const oldImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+            
+            const ParticipantRegistry = await ethers.getContractFactory("ParticipantRegistry");
+            const upgraded = await upgrades.upgradeProxy(proxyAddress, ParticipantRegistry, {
+                kind: "uups",
+                redeployImplementation: "always"
+            });
+            
+            expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.not.equal(oldImplementation);
+            expect(await upgraded.getAddress()).to.equal(proxyAddress);
+            const participant = await upgraded.getParticipant(user1.address);
+            expect(participant.totalPoints).to.equal(600);
+            expect(participant.totalCo2OffsetKg).to.equal(50);
+            expect(await upgraded.basePointsPerKgCO2()).to.equal(10);
+            expect(await upgraded.hasRole(await upgraded.ACTIVITY_RECORDER_ROLE(), owner.address)).to.be.true;
+        });
+        
+        it("Should only let upgraders upgrade", async function () {
+            const PointsToken = await ethers.getContractFactory("PointsToken");
+            const newImplementation = await upgrades.deployImplementation(PointsToken, {
+                kind: "uups",
+                redeployImplementation: "always"
+            });
+            
+            await expect(
+                pointsToken.connect(user1).upgradeToAndCall(newImplementation, "0x")
+            ).to.be.revertedWithCustomError(pointsToken, "AccessControlUnauthorizedAccount");
+            
+            await pointsToken.connect(owner).grantRole(await pointsToken.UPGRADER_ROLE(), user1.address);
+            await pointsToken.connect(user1).upgradeToAndCall(newImplementation, "0x");
+            expect(await upgrades.erc1967.getImplementationAddress(await pointsToken.getAddress())).to.equal(newImplementation);
+        });
+        
+        it("Should pass the storage layout checks for every contract", async function () {
+            const proxies = { participantRegistry, tierManager, pointsToken, badgeNFT, couponExchange, rewardsVault, seasonManager, achievementManager, offsetCertificate, projectRegistry };
+            const names = {
+                participantRegistry: "ParticipantRegistry",
+                tierManager: "TierManager",
+                pointsToken: "PointsToken",
+                badgeNFT: "BadgeNFT",
+                couponExchange: "CouponExchange",
+                rewardsVault: "RewardsVault",
+                seasonManager: "SeasonManager",
+                achievementManager: "AchievementManager",
+                offsetCertificate: "OffsetCertificate",
+                projectRegistry: "ProjectRegistry"
+            };
+            
+            for (const [key, proxy] of Object.entries(proxies)) {
+                const Factory = await ethers.getContractFactory(names[key]);
+                await upgrades.validateUpgrade(await proxy.getAddress(), Factory, { kind: "uups" });
+            }
+        });
+    });
+    
+    describe("Deployment Wiring", function () {
+        it("Should verify the cross-contract addresses", async function () {
+            const contracts = { participantRegistry, tierManager, pointsToken, badgeNFT, couponExchange, rewardsVault, seasonManager, achievementManager, offsetCertificate, projectRegistry };
+            expect(await verifyContractWiring(contracts)).to.deep.equal([]);
+            
+            await rewardsVault.updateContractAddresses(user1.address, await participantRegistry.getAddress());
+            const mismatches = await verifyContractWiring(contracts);
+            expect(mismatches).to.have.lengthOf(1);
+            expect(mismatches[0]).to.include({
+                contract: "rewardsVault",
+                field: "couponExchange",
+                expected: await couponExchange.getAddress(),
+                actual: user1.address
+            });
+        });
+    });
+    
+    describe("Event Indexer", function () {
+        let store, indexer, startBlock;
+        
+        const newIndexer = (indexerStore) => createIndexer({
+            provider: ethers.provider,
+            contracts: {
+                ParticipantRegistry: participantRegistry,
+                BadgeNFT: badgeNFT,
+                CouponExchange: couponExchange,
+                RewardsVault: rewardsVault
+            },
+            store: indexerStore,
+            startBlock
+        });
+        
+        beforeEach(async function () {
+            startBlock = await ethers.provider.getBlockNumber();
+            store = createStore(null);
+            indexer = newIndexer(store);
+            
+            await participantRegistry.connect(user1).registerParticipant("QmProfileHash123");
+            await participantRegistry.connect(user2).registerParticipant("QmProfileHash456");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 10, "TRANSPORT", "Took the bus");
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 50, "ENERGY", "Solar panels");
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 5, "TRANSPORT", "Cycled to work");
+        });
+        
+        it("Should index participant events and answer queries", async function () {
+            const summary = await indexer.syncOnce();
+            expect(summary.toBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(summary.reorgedTo).to.be.null;
+            
+            const names = store.state.events.map((event) => event.event);
+            expect(names.filter((name) => name === "ParticipantRegistered")).to.have.lengthOf(2);
+            expect(names.filter((name) => name === "OffsetRecorded")).to.have.lengthOf(3);
+            
+            const leaderboard = getLeaderboard(store);
+            expect(leaderboard.map((entry) => entry.wallet)).to.deep.equal([user2.address, user1.address]);
+            // Offset points only: the registration bonus is neither points nor an activity here
+            expect(leaderboard[0]).to.include({ rank: 1, points: "500", co2OffsetKg: "50", activities: 1 });
+            expect(leaderboard[1]).to.include({ rank: 2, points: "150", co2OffsetKg: "15", activities: 2 });
+            
+            const timeline = getUserTimeline(store, user1.address);
+            expect(timeline.map((event) => event.event)).to.include.members(["ParticipantRegistered", "BadgeMinted", "OffsetRecorded"]);
+            expect(timeline.every((event) => event.timestamp > 0)).to.be.true;
+            expect(getUserTimeline(store, user1.address, { events: ["OffsetRecorded"] })).to.have.lengthOf(2);
+            
+            expect(getCo2ByActivityType(store)).to.deep.equal([
+                { activityType: "ENERGY", co2OffsetKg: "50", points: "500", activities: 1 },
+                { activityType: "TRANSPORT", co2OffsetKg: "15", points: "150", activities: 2 }
+            ]);
+            expect(getCo2ByActivityType(store, { wallet: user2.address })).to.have.lengthOf(1);
+        });
+        
+        it("Should resume from the saved checkpoint", async function () {
+            const file = path.join(os.tmpdir(), `greenchain-indexer-${Date.now()}.json`);
+            try {
+                await newIndexer(createStore(file)).syncOnce();
+                
+                await couponExchange.connect(owner).createCoupon("Coffee", "Free coffee", 100, 5, "food", 10);
+                await rewardsVault.connect(owner).depositReward(1, 10);
+                
+                const reopened = createStore(file);
+                const checkpoint = reopened.state.checkpoint.blockNumber;
+                const summary = await createIndexer({
+                    provider: ethers.provider,
+                    contracts: { CouponExchange: couponExchange, RewardsVault: rewardsVault },
+                    store: reopened
+                }).syncOnce();
+                
+                expect(summary.fromBlock).to.equal(checkpoint + 1);
+                expect(summary.events).to.equal(2);
+                expect(reopened.state.events.slice(-2).map((event) => event.event)).to.deep.equal(["CouponCreated", "RewardDeposited"]);
+                expect(reopened.state.events.filter((event) => event.event === "ParticipantRegistered")).to.have.lengthOf(2);
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+        });
+        
+        it("Should roll back events from reorganised blocks", async function () {
+            await indexer.syncOnce();
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            
+            await participantRegistry.connect(owner).recordOffsetActivity(user1.address, 100, "WASTE", "Recycling drive");
+            await indexer.syncOnce();
+            expect(getCo2ByActivityType(store).map((entry) => entry.activityType)).to.include("WASTE");
+            const forkBlock = store.state.checkpoint.blockNumber;
+            
+            // Replace the indexed block with a different one on a longer chain
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await participantRegistry.connect(owner).recordOffsetActivity(user2.address, 20, "FOOD", "Local produce");
+            await ethers.provider.send("hardhat_mine", ["0x2"]);
+            
+            const summary = await indexer.syncOnce();
+            expect(summary.reorgedTo).to.equal(forkBlock - 1);
+            expect(summary.toBlock).to.equal(forkBlock + 2);
+            expect(getCo2ByActivityType(store).map((entry) => entry.activityType)).to.deep.equal(["ENERGY", "FOOD", "TRANSPORT"]);
+            const forkHash = (await ethers.provider.getBlock(forkBlock)).hash;
+            const forkEvents = store.state.events.filter((event) => event.blockNumber === forkBlock);
+            expect(forkEvents).to.not.be.empty;
+            expect(forkEvents.every((event) => event.blockHash === forkHash)).to.be.true;
+        });
+    });
+    
+    describe("GreenChain SDK", function () {
+        let manifest;
+        
+        const connect = (signer) => sdk.GreenChain.connect(manifest, signer, { artifacts });
+        
+        beforeEach(async function () {
+            manifest = { chainId: 1337, contracts: {} };
+            const deployed = { ParticipantRegistry: participantRegistry, TierManager: tierManager, PointsToken: pointsToken, BadgeNFT: badgeNFT, CouponExchange: couponExchange, RewardsVault: rewardsVault, SeasonManager: seasonManager, AchievementManager: achievementManager, OffsetCertificate: offsetCertificate, ProjectRegistry: projectRegistry };
+            for (const [name, contract] of Object.entries(deployed)) {
+                manifest.contracts[name] = { address: await contract.getAddress() };
+            }
+        });
+        
+        it("Should register, preview and record offsets through one client", async function () {
+            const user = await connect(user1);
+            const operator = await connect(owner);
+            await user.register("QmProfileHash123");
+            
+            const preview = await operator.previewOffset(user1.address, 100);
+            expect(preview).to.include({ points: 1000n, currentTier: 0n, newTier: 1n, tierChanged: true, newTierName: "SILVER" });
+            
+            const result = await operator.recordOffset(user1.address, 100, "TRANSPORT", "Took the train");
+            expect(result.points).to.equal(preview.points);
+            expect(result.tierUpgrade).to.deep.equal({ oldTier: 0n, newTier: 1n });
+            
+            const dashboard = await user.getDashboard();
+            expect(dashboard.registered).to.be.true;
+            expect(dashboard.tier).to.include({ level: 1n, name: "SILVER", pointsToNextTier: 4000n });
+            expect(dashboard.points.balance).to.equal(1100n);
+            expect(dashboard.co2.byActivityType).to.deep.equal({ TRANSPORT: 100n });
+            expect(dashboard.certificates).to.deep.equal({ claimableCo2Kg: 100n, issued: [] });
+            expect(dashboard.badges.map((badge) => badge.badgeType)).to.include("SILVER");
+            
+            expect(await operator.getDashboard(user2.address)).to.deep.equal({ wallet: user2.address, registered: false });
+        });
+        
+        it("Should batch offsets and report skipped items", async function () {
+            const operator = await connect(owner);
+            await (await connect(user1)).register("QmProfileHash123");
+            
+            const activities = [
+                { wallet: user1.address, co2Kg: 10, activityType: "TRANSPORT", description: "Bus" },
+                { wallet: user2.address, co2Kg: 10, activityType: "TRANSPORT", description: "Bus" },
+                { wallet: user1.address, co2Kg: 20, activityType: "ENERGY", description: "Solar" }
+            ];
+            
+            const result = await operator.recordOffsets(activities, { atomic: false });
+            expect(result.recorded).to.equal(2);
+            expect(result.skipped).to.deep.equal([{ index: 1, wallet: user2.address, reason: "Participant not found" }]);
+            
+            await expect(operator.recordOffsets(activities)).to.be.rejectedWith(sdk.NotRegisteredError);
+        });
+        
+        it("Should buy and redeem coupons", async function () {
+            await couponExchange.connect(owner).createCoupon("Coffee", "Free coffee", 50, 500, "FOOD", 10);
+            await rewardsVault.connect(owner).depositReward(1, 10000);
+            
+            const user = await connect(user1);
+            await user.register("QmProfileHash123");
+            
+            const purchase = await user.buyCoupon(1);
+            expect(purchase.userCouponId).to.equal(1n);
+            expect(purchase.pointsSpent).to.equal(50n);
+            
+            const { redemptionCode } = await user.redeem(purchase.userCouponId);
+            const [isValid] = await couponExchange.validateRedemption(purchase.userCouponId, redemptionCode);
+            expect(isValid).to.be.true;
+            
+            const [coupon] = (await user.getDashboard()).coupons;
+            expect(coupon).to.include({ userCouponId: 1n, couponId: 1n, name: "Coffee", isRedeemed: true });
+        });
+        
+        it("Should surface reverts as typed errors", async function () {
+            const user = await connect(user1);
+            await user.register("QmProfileHash123");
+            
+            const alreadyRegistered = await user.register("QmProfileHash123").catch((error) => error);
+            expect(alreadyRegistered).to.be.instanceOf(sdk.AlreadyRegisteredError);
+            expect(alreadyRegistered).to.include({ code: "ALREADY_REGISTERED", reason: "Already registered" });
+            
+            const unauthorized = await user.recordOffset(user1.address, 10, "TRANSPORT", "Bus").catch((error) => error);
+            expect(unauthorized).to.be.instanceOf(sdk.UnauthorizedError);
+            expect(unauthorized.code).to.equal("ACCESS_CONTROL_UNAUTHORIZED_ACCOUNT");
+            expect(unauthorized.args[0]).to.equal(user1.address);
+            
+            await expect(user.previewOffset(user2.address, 10)).to.be.rejectedWith(sdk.NotRegisteredError);
+            await expect(user.buyCoupon(1)).to.be.rejectedWith(sdk.CouponUnavailableError, "Coupon not active");
+            
+            await participantRegistry.connect(owner).pause();
+            const paused = await (await connect(user2)).register("QmProfileHash456").catch((error) => error);
+            expect(paused).to.be.instanceOf(sdk.PausedError);
+            expect(paused).to.be.instanceOf(sdk.GreenChainError);
+            
+            await expect(sdk.GreenChain.connect({ ...manifest, chainId: 1 }, user1, { artifacts }))
+                .to.be.rejectedWith("Manifest is for chain 1");
+        });
+    });
+    
+    describe("Operational Tasks", function () {
+        let dir, manifest, previousDir;
+        
+        const writeManifest = () => fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(manifest));
+        
+        // Run a greenchain:* task with --json and return its parsed output
+        const runTask = async (name, args = {}) => {
+            const log = console.log;
+            const lines = [];
+            console.log = (line) => lines.push(line);
+            try {
+                await run(name, { ...args, json: true });
+            } finally {
+                console.log = log;
+            }
+            return JSON.parse(lines.join("\n"));
+        };
+        
+        beforeEach(async function () {
+            previousDir = process.env.GREENCHAIN_DEPLOYMENTS_DIR;
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "greenchain-tasks-"));
+            process.env.GREENCHAIN_DEPLOYMENTS_DIR = dir;
+            
+            manifest = { network: "hardhat", contracts: {} };
+            const deployed = { ParticipantRegistry: participantRegistry, TierManager: tierManager, PointsToken: pointsToken, BadgeNFT: badgeNFT, CouponExchange: couponExchange, RewardsVault: rewardsVault, SeasonManager: seasonManager, AchievementManager: achievementManager, OffsetCertificate: offsetCertificate, ProjectRegistry: projectRegistry };
+            for (const [name, contract] of Object.entries(deployed)) {
+                manifest.contracts[name] = { address: await contract.getAddress() };
+            }
+            writeManifest();
+        });
+        
+        afterEach(function () {
+            if (previousDir === undefined) {
+                delete process.env.GREENCHAIN_DEPLOYMENTS_DIR;
+            } else {
+                process.env.GREENCHAIN_DEPLOYMENTS_DIR = previousDir;
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+            process.exitCode = undefined;
+        });
+        
+        it("Should report a network without a deployment as not deployed", async function () {
+            const participant = { wallet: user1.address };
+            
+            fs.rmSync(path.join(dir, "hardhat.json"));
+            await expect(runTask("greenchain:participant", participant))
+                .to.be.rejectedWith("GreenChain is not deployed on hardhat: no deployment manifest");
+            
+            delete manifest.contracts.ProjectRegistry;
+            writeManifest();
+            await expect(runTask("greenchain:participant", participant))
+                .to.be.rejectedWith("ProjectRegistry is not deployed on hardhat: missing from");
+            
+            manifest.contracts.ProjectRegistry = { address: user3.address };
+            writeManifest();
+            await expect(runTask("greenchain:participant", participant))
+                .to.be.rejectedWith(`ProjectRegistry is not deployed on hardhat: no code at ${user3.address}`);
+        });
+        
+        it("Should register and record offsets from a CSV, reporting failed rows", async function () {
+            const [registered] = await runTask("greenchain:register", { profile: "QmProfileHash123", from: user1.address });
+            expect(registered).to.include({ wallet: user1.address, action: "register" });
+            
+            // Quoted fields with commas and escaped quotes, CRLF line endings and a blank line
+            const csv = path.join(dir, "offsets.csv");
+            fs.writeFileSync(csv, [
+                "wallet,co2Kg,activityType,description",
+                `${user1.address},10,TRANSPORT,"Bus, then train"`,
+                "",
+                ` ${user1.address} , 25 , ENERGY , "Rooftop ""solar"" panels"`,
+                `${user2.address},5,TRANSPORT,Not registered`
+            ].join("\r\n") + "\r\n");
+            
+            const rows = await runTask("greenchain:record-offset", { csv, batchSize: 2 });
+            expect(rows.map((row) => row.status)).to.deep.equal(["recorded", "recorded", "failed"]);
+            expect(rows[1]).to.include({ wallet: user1.address, co2Kg: 25, txHash: rows[0].txHash });
+            expect(rows[2]).to.deep.equal({ wallet: user2.address, co2Kg: 5, status: "failed", error: "Participant not found" });
+            expect(process.exitCode).to.equal(1);
+            
+            const history = await participantRegistry.getActivityHistory(user1.address, 0, 2);
+            expect(history.map((record) => [record.activityType, record.co2OffsetKg])).to.deep.equal([["TRANSPORT", 10n], ["ENERGY", 25n]]);
+            const earned = await participantRegistry.queryFilter(participantRegistry.filters.PointsEarned(user1.address));
+            expect(earned.slice(-2).map((event) => event.args[3])).to.deep.equal(["Bus, then train", 'Rooftop "solar" panels']);
+            
+            const report = await runTask("greenchain:participant", { wallet: user1.address });
+            expect(report.stats.totalPoints).to.equal((await participantRegistry.getParticipant(user1.address)).totalPoints.toString());
+            expect(report.badges).to.have.lengthOf(1);
+            
+            await expect(runTask("greenchain:record-offset", { wallet: user1.address, kg: 5 }))
+                .to.be.rejectedWith("Pass --wallet, --kg, --type and --description, or --csv");
+        });
+    });
+});